@@ -0,0 +1,46 @@
+/**
+ * GET /api/accuracy?year=2025
+ * How our recorded pre-game predictions went: tipping record, Brier score,
+ * log loss, margin error and calibration for the engine, the blend, the
+ * Squiggle aggregate and our weighted Squiggle ensemble — for the season and round by round — plus
+ * every Squiggle model scored on the same games.
+ *
+ * Predictions are recorded by /api/predict before kickoff (see ledger.js)
+ * and graded here once the game is complete.
+ * If no year specified, tries current year first, falls back to 2025.
+ */
+const squiggle = require('../squiggle');
+const ledger   = require('../ledger');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  try {
+    const reqYear = parseInt(req.query.year) || null;
+    let year = reqYear || new Date().getFullYear();
+
+    let games = await squiggle.getGames(year);
+
+    // If current year has no fixture, fall back to 2025
+    if (games.length === 0 && !reqYear) {
+      year = 2025;
+      games = await squiggle.getGames(year);
+    }
+
+    const [snapshots, tips] = await Promise.all([
+      ledger.grade(year, games),
+      squiggle.getTips(year),
+    ]);
+
+    res.json({
+      year,
+      // false: snapshots are kept per instance and will be lost (see ledger.js)
+      ledger: { persistent: ledger.isPersistent() },
+      ...ledger.summarise(snapshots, tips),
+    });
+
+  } catch (err) {
+    console.error('[accuracy]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * GET /api/backtest?from=2023&to=2025
+ * Walk-forward backtest of the prediction engine, its blend with Squiggle,
+ * the raw Squiggle aggregate and the weighted model ensemble over completed
+ * seasons.
+ * Defaults to last season only.
+ */
+const backtest = require('../backtest');
+
+// Each season is a full replay — cap the range so a request can't run forever
+const MAX_SEASONS = 5;
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const lastSeason = new Date().getFullYear() - 1;
+  const to   = parseInt(req.query.to) || lastSeason;
+  const from = parseInt(req.query.from) || to;
+
+  if (from > to) {
+    return res.status(400).json({ error: 'from must be less than or equal to to' });
+  }
+  if (to - from + 1 > MAX_SEASONS) {
+    return res.status(400).json({ error: `At most ${MAX_SEASONS} seasons per backtest` });
+  }
+
+  try {
+    const report = await backtest.runBacktest(from, to);
+    res.json(report);
+  } catch (err) {
+    console.error('[backtest]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,60 @@
+/**
+ * GET /api/calendar.ics?team=Geelong&year=2025
+ * The season fixture as an iCalendar feed (calendar.js) to subscribe to
+ * from a phone or desktop calendar. Each game has its venue and our tip —
+ * predicted winner and probability — and played games show the final
+ * score. team (name, alias or Squiggle id) narrows it to one club.
+ * vercel.json routes /api/calendar.ics here.
+ * If no year specified, tries current year first, falls back to 2025.
+ */
+const teams    = require('../teams');
+const finals   = require('../finals');
+const calendar = require('../calendar');
+const { loadSeasonContext, loadAllMeetings, homeWinProbability } = require('../matchup');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const reqYear = parseInt(req.query.year) || null;
+  const team = req.query.team ? teams.getTeam(req.query.team) : null;
+  if (req.query.team && !team) {
+    return res.status(400).json({ error: `Unknown team: ${req.query.team}` });
+  }
+
+  try {
+    let year = reqYear || new Date().getFullYear();
+    let ctx = await loadSeasonContext(year);
+
+    // Fall back to 2025 if current year has no fixture
+    if (ctx.games.length === 0 && !reqYear) {
+      year = 2025;
+      ctx = await loadSeasonContext(year);
+    }
+
+    const games = team
+      ? ctx.games.filter(g => teams.homeId(g) === team.id || teams.awayId(g) === team.id)
+      : ctx.games;
+
+    // Our tip for every game whose teams are known — played games as they
+    // stood before kickoff (homeWinProbability backdates them)
+    const probabilities = new Map();
+    await loadAllMeetings(ctx, games);
+    for (const g of games) {
+      if (!g.hteam || !g.ateam) continue;
+      const match = g.is_final ? finals.prepareFinal(g).match : g;
+      probabilities.set(g.id, homeWinProbability(match, ctx));
+    }
+
+    const name = `${team ? team.name : 'AFL'} ${year} fixture — AFL Edge`;
+    const ics  = calendar.buildCalendar(games, { name, probabilities });
+    const slug = team ? team.abbrev.toLowerCase() : 'afl';
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${slug}-${year}.ics"`);
+    res.setHeader('Cache-Control', 's-maxage=900, stale-while-revalidate=3600');
+    res.status(200).send(ics);
+
+  } catch (err) {
+    console.error('[calendar]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * GET /api/calibrate?from=2022&to=2025
+ * Fits engine factor weights on seasons from..to-1 and tests them on the
+ * held-out season `to`. Reports fitted weights, each factor's contribution
+ * and held-out accuracy against the weights currently in use.
+ * Defaults to fitting on the two seasons before last season.
+ *
+ * Report only — run `node calibrate.js <from> <to> --write` to save weights.json.
+ */
+const calibration = require('../calibrate');
+
+// Each season is a full replay — cap the range so a request can't run forever
+const MAX_SEASONS = 5;
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const lastSeason = new Date().getFullYear() - 1;
+  const to   = parseInt(req.query.to) || lastSeason;
+  const from = parseInt(req.query.from) || to - 2;
+
+  if (from >= to) {
+    return res.status(400).json({ error: 'from must be earlier than to (to is the held-out season)' });
+  }
+  if (to - from + 1 > MAX_SEASONS) {
+    return res.status(400).json({ error: `At most ${MAX_SEASONS} seasons per calibration` });
+  }
+
+  try {
+    const report = await calibration.calibrate(from, to);
+    res.json(report);
+  } catch (err) {
+    console.error('[calibrate]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
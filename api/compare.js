@@ -1,68 +1,89 @@
 /**
- * GET /api/compare?team1=Sydney&team2=Collingwood&year=2025
+ * GET /api/compare?team1=Sydney&team2=Collingwood&year=2025[&home=team1|team2|neutral][&venue=MCG]
  * Compare two teams: season stats, H2H record, and win probability.
+ * Teams can be given by name, alias ("GWS", "Swans") or Squiggle id.
+ *
+ * The win probability comes from the same engine as /api/predict, run on a
+ * hypothetical game. `home` picks the home side (default team1, or either
+ * team's name); its main ground is the venue unless `venue` names another.
+ * home=neutral designates no home side: each team's travel is still measured
+ * to `venue` if one is given, and without one there are no venue effects at
+ * all. When the game is on the fixture (same home side and ground, not yet
+ * played) it is blended with Squiggle's tip exactly as the Matches view is.
  */
 const squiggle = require('../squiggle');
+const engine   = require('../predictor');
+const teams    = require('../teams');
+const { loadSeasonContext, loadMeetings, buildMatchup, squiggleProbability, blendProbability,
+        resolveComparison, comparisonMatch } = require('../matchup');
 
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
 
-  const team1Name = req.query.team1;
-  const team2Name = req.query.team2;
   const reqYear = parseInt(req.query.year) || null;
 
-  if (!team1Name || !team2Name) {
+  if (!req.query.team1 || !req.query.team2) {
     return res.status(400).json({ error: 'team1 and team2 are required' });
   }
 
+  // ── Teams, home side and venue ─────────────────────────────────────────────
+  const comparison = resolveComparison(req.query);
+  if (comparison.error) return res.status(400).json({ error: comparison.error });
+  const { team1, team2, home: homeTeam, neutral, venue } = comparison;
+  const team1Name = team1.name;
+  const team2Name = team2.name;
+
   try {
     let year = reqYear || new Date().getFullYear();
-
-    let [allGames, standings] = await Promise.all([
-      squiggle.getGames(year),
-      squiggle.getStandings(year),
-    ]);
+    let ctx = await loadSeasonContext(year);
 
     // Fall back to 2025 if current year has no data
-    if (allGames.length === 0 && !reqYear) {
+    if (ctx.games.length === 0 && !reqYear) {
       year = 2025;
-      [allGames, standings] = await Promise.all([
-        squiggle.getGames(year),
-        squiggle.getStandings(year),
-      ]);
+      ctx = await loadSeasonContext(year);
     }
-
+    const { games: allGames, standings, history } = ctx;
     const completed = allGames.filter(g => g.complete === 100);
 
-    // Build stats for each team
-    const stats1 = squiggle.buildTeamStats(team1Name, year, allGames, standings, 6);
-    const stats2 = squiggle.buildTeamStats(team2Name, year, allGames, standings, 6);
+    // ── 1. The game, as the fixture has it if it's still to be played ─────────
+    const { match, fixture } = comparisonMatch(comparison, ctx);
 
-    if (!stats1 || !stats2) {
+    // ── 2. Engine prediction (last season fills in early in the year) ─────────
+    await loadMeetings(ctx, match.hteam, match.ateam);
+    const matchup = buildMatchup(match, { games: allGames, standings, history, archive: ctx.archive });
+    if (!matchup) {
       return res.status(422).json({
-        error: 'Not enough match data yet for one or both teams',
+        error: 'No match data this season or last for one or both teams',
       });
     }
+    const prediction = engine.predictMatch(matchup.homeStats, matchup.awayStats, matchup.venue);
+    const engineHomeProb = prediction.home.winProbability;
+
+    if (fixture) {
+      const squiggleSide = squiggleProbability(fixture, ctx.tips, ctx.ensemble);
+      engine.applyHomeProbability(prediction, blendProbability(engineHomeProb, squiggleSide?.homeProb ?? null));
+    }
+
+    const team1IsHome = homeTeam === team1;
+    const [stats1, stats2] = team1IsHome
+      ? [matchup.homeStats, matchup.awayStats]
+      : [matchup.awayStats, matchup.homeStats];
+    const [side1, side2] = team1IsHome
+      ? [prediction.home, prediction.away]
+      : [prediction.away, prediction.home];
 
-    // Head-to-head from this season
+    // ── 3. Head to head ───────────────────────────────────────────────────────
     const seasonH2H = squiggle.calcH2H(team1Name, team2Name, completed);
 
     // Historical H2H (last 4 years)
-    let historicalGames = [...completed];
-    for (let y = year - 1; y >= year - 3; y--) {
-      try {
-        const yearGames = await squiggle.getCompleted(y);
-        historicalGames.push(...yearGames);
-      } catch { /* skip */ }
-    }
-    const allTimeH2H1 = squiggle.calcH2H(team1Name, team2Name, historicalGames);
-    const allTimeH2H2 = squiggle.calcH2H(team2Name, team1Name, historicalGames);
+    const allTimeH2H1 = squiggle.calcH2H(team1Name, team2Name, history);
+    const allTimeH2H2 = squiggle.calcH2H(team2Name, team1Name, history);
 
     // Recent matchups between the two teams (last 6)
-    const recentMatchups = historicalGames
+    const recentMatchups = history
       .filter(g =>
-        ((g.hteam === team1Name && g.ateam === team2Name) ||
-         (g.hteam === team2Name && g.ateam === team1Name)) &&
+        ((teams.homeId(g) === team1.id && teams.awayId(g) === team2.id) ||
+         (teams.homeId(g) === team2.id && teams.awayId(g) === team1.id)) &&
         g.complete === 100
       )
       .slice(-6)
@@ -79,56 +100,46 @@ module.exports = async (req, res) => {
                 (g.ascore || 0) > (g.hscore || 0) ? g.ateam : 'Draw',
       }));
 
-    // Win probability estimate based on stats differential
-    const rankDiff = stats2.rank - stats1.rank; // positive = team1 ranked higher
-    const pctDiff = stats1.percentage - stats2.percentage;
-    const marginDiff = stats1.scoringMargin - stats2.scoringMargin;
-    const formScore1 = stats1.form.filter(f => f === 'W').length;
-    const formScore2 = stats2.form.filter(f => f === 'W').length;
-    const formDiff = formScore1 - formScore2;
-    const h2hAdv = allTimeH2H1.played > 0
-      ? (allTimeH2H1.wins / allTimeH2H1.played - 0.5) * 100
-      : 0;
-
-    // Weighted composite score
-    const composite = (
-      rankDiff * 2.5 +
-      pctDiff * 0.15 +
-      marginDiff * 0.8 +
-      formDiff * 3 +
-      h2hAdv * 0.3
-    );
-
-    // Convert to probability using logistic function
-    const team1WinProb = Math.round(100 / (1 + Math.exp(-composite * 0.08)));
-    const team2WinProb = 100 - team1WinProb;
+    const teamSummary = (name, stats, side) => ({
+      name,
+      rank: stats.rank,
+      wins: stats.wins,
+      losses: stats.losses,
+      percentage: stats.percentage,
+      avgScore: stats.avgScore,
+      avgConceded: stats.avgConceded,
+      scoringMargin: stats.scoringMargin,
+      form: stats.form,
+      prior: stats.prior,
+      travelKm: stats.travelKm,
+      winProbability: side.winProbability,
+      predictedScore: side.predictedScore,
+    });
 
     res.json({
       year,
-      team1: {
-        name: team1Name,
-        rank: stats1.rank,
-        wins: stats1.wins,
-        losses: stats1.losses,
-        percentage: stats1.percentage,
-        avgScore: stats1.avgScore,
-        avgConceded: stats1.avgConceded,
-        scoringMargin: stats1.scoringMargin,
-        form: stats1.form,
-        winProbability: team1WinProb,
+      match: {
+        hteam:   match.hteam,
+        ateam:   match.ateam,
+        home:    neutral ? null : homeTeam.name,
+        neutral,
+        venue,
+        ground:  matchup.venue,
+        fixture: fixture ? { id: fixture.id, round: fixture.round, date: fixture.date } : null,
       },
-      team2: {
-        name: team2Name,
-        rank: stats2.rank,
-        wins: stats2.wins,
-        losses: stats2.losses,
-        percentage: stats2.percentage,
-        avgScore: stats2.avgScore,
-        avgConceded: stats2.avgConceded,
-        scoringMargin: stats2.scoringMargin,
-        form: stats2.form,
-        winProbability: team2WinProb,
+      team1: teamSummary(team1Name, stats1, side1),
+      team2: teamSummary(team2Name, stats2, side2),
+      prediction: {
+        predictedWinner: prediction.predictedWinner,
+        // From team1's side — negative when team2 is tipped
+        predictedMargin: team1IsHome ? prediction.predictedMargin : -prediction.predictedMargin,
+        confidence:      prediction.confidence,
+        engineWinProbability: team1IsHome ? engineHomeProb : parseFloat((100 - engineHomeProb).toFixed(1)),
+        blended:         !!fixture,
+        weightsVersion:  prediction.weightsVersion,
       },
+      // Edges are for match.hteam (homeEdge) and match.ateam (awayEdge)
+      keyFactors: prediction.keyFactors,
       h2h: {
         season: {
           team1Wins: seasonH2H.wins,
@@ -142,6 +153,7 @@ module.exports = async (req, res) => {
         },
       },
       recentMatchups,
+      stale: squiggle.isStale(allGames, standings, ctx.tips),
     });
 
   } catch (err) {
@@ -1,8 +1,12 @@
 /**
  * GET /api/debug
  * Diagnostics endpoint — tests Squiggle API connectivity and returns raw results.
+ * Also lists team and venue names Squiggle uses that teams.js / venues.js
+ * don't know.
  */
 const squiggle = require('../squiggle');
+const registry = require('../teams');
+const venues   = require('../venues');
 
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -20,6 +24,8 @@ module.exports = async (req, res) => {
       ok: true,
       count: games.length,
       sample: games.length > 0 ? { id: games[0].id, round: games[0].round, hteam: games[0].hteam, ateam: games[0].ateam } : null,
+      // Grounds missing from venues.js — travel and ground advantage can't be judged there
+      unknownVenues: venues.unknownVenues(games),
     };
   } catch (err) {
     results.tests.games2025 = { ok: false, error: err.message };
@@ -43,6 +49,7 @@ module.exports = async (req, res) => {
     results.tests.games2026 = {
       ok: true,
       count: games.length,
+      unknownVenues: venues.unknownVenues(games),
     };
   } catch (err) {
     results.tests.games2026 = { ok: false, error: err.message };
@@ -54,6 +61,8 @@ module.exports = async (req, res) => {
     results.tests.teams = {
       ok: true,
       count: teams.length,
+      // Clubs with no home state / grounds in teams.js — travel can't be judged
+      unknownTeams: teams.filter(t => !registry.getTeam(t.id)?.state).map(t => t.name),
     };
   } catch (err) {
     results.tests.teams = { ok: false, error: err.message };
@@ -0,0 +1,40 @@
+/**
+ * GET /api/finals?year=2025&sims=10000&seed=42
+ * Finals projection: simulates the rest of the home-and-away season (if
+ * any), then the final-eight series. Finals already played use their real
+ * result. Returns each team's chance of making the finals, surviving week 1,
+ * reaching a preliminary final, the Grand Final, and winning the flag.
+ * If no year specified, tries current year first, falls back to 2025.
+ */
+const squiggle = require('../squiggle');
+const simulate = require('../simulate');
+const finals   = require('../finals');
+
+const MAX_SIMS = 50000;
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const sims = req.query.sims !== undefined ? Number(req.query.sims) : simulate.DEFAULT_SIMS;
+  if (!(Number.isInteger(sims) && sims >= 1 && sims <= MAX_SIMS)) {
+    return res.status(400).json({ error: `sims must be a whole number of seasons (at most ${MAX_SIMS}). e.g. /api/finals?sims=10000` });
+  }
+
+  try {
+    const reqYear = parseInt(req.query.year) || null;
+    const seed = parseInt(req.query.seed) || undefined;
+
+    let year = reqYear || new Date().getFullYear();
+
+    // If current year has no fixture, fall back to 2025
+    if (!reqYear && (await squiggle.getGames(year)).length === 0) {
+      year = 2025;
+    }
+
+    res.json(await finals.projectFinals(year, { sims, seed }));
+
+  } catch (err) {
+    console.error('[finals]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -0,0 +1,56 @@
+/**
+ * GET /api/fixture-difficulty?year=2025
+ * Strength of schedule for every team (schedule.js): how hard the games
+ * played so far and the games still to come are, judged on current Elo
+ * ratings and the ground, plus wins adjusted for the opponents faced.
+ * Each team's `games` has one row per round for a heatmap — difficulty is
+ * the chance an average team would lose that game (%).
+ * If no year specified, tries current year first, falls back to 2025.
+ */
+const squiggle = require('../squiggle');
+const schedule = require('../schedule');
+const { loadSeasonContext } = require('../matchup');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  try {
+    const reqYear = parseInt(req.query.year) || null;
+    let year = reqYear || new Date().getFullYear();
+    let ctx = await loadSeasonContext(year);
+
+    // Fall back to 2025 if current year has no fixture
+    if (ctx.games.length === 0 && !reqYear) {
+      year = 2025;
+      ctx = await loadSeasonContext(year);
+    }
+
+    const { current, grounds } = schedule.currentStrength(ctx.history, year);
+    const sos = schedule.strengthOfSchedule(ctx.games, current, grounds);
+
+    // Rank 1 = hardest; teams tied on difficulty share a rank
+    const rankBy = key => {
+      const value = t => t[key].difficulty ?? -1;
+      return t => 1 + sos.filter(o => value(o) > value(t)).length;
+    };
+    const playedRank = rankBy('played');
+    const remainingRank = rankBy('remaining');
+
+    const rounds = [...new Set(ctx.games.filter(g => !g.is_final).map(g => g.round))].sort((a, b) => a - b);
+
+    res.json({
+      year,
+      rounds,
+      teams: sos.map(t => ({
+        ...t,
+        playedRank:    playedRank(t),
+        remainingRank: remainingRank(t),
+      })),
+      stale: squiggle.isStale(ctx.games, ctx.standings, ctx.tips),
+    });
+
+  } catch (err) {
+    console.error('[fixture-difficulty]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
@@ -19,7 +19,7 @@ module.exports = async (req, res) => {
       standings = await squiggle.getStandings(year);
     }
 
-    res.json({ year, standings });
+    res.json({ year, standings, stale: squiggle.isStale(standings) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
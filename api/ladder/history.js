@@ -0,0 +1,69 @@
+/**
+ * GET /api/ladder/history?year=2025[&round=6]
+ * The ladder after every round: each team's position, points and percentage
+ * round by round, for the ladder movement chart. Tables are rebuilt from the
+ * completed home-and-away games (squiggle.ladderHistory), so every round is
+ * counted the same way and the whole season is one request.
+ *
+ * round adds `before`: the ladder as it stood going into that round — the
+ * table the prediction engine ranks teams on when backdating a prediction.
+ * If no year specified, tries current year first, falls back to 2025.
+ */
+const squiggle = require('../../squiggle');
+const teams    = require('../../teams');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const reqYear  = parseInt(req.query.year) || null;
+  const reqRound = squiggle.parseRound(req.query.round);
+  if (Number.isNaN(reqRound)) {
+    return res.status(400).json({ error: 'round must be a round number. e.g. /api/ladder/history?round=6' });
+  }
+
+  try {
+    let year = reqYear || new Date().getFullYear();
+    let games = await squiggle.getGames(year);
+
+    // If current year has no fixture, fall back to 2025
+    if (games.length === 0 && !reqYear) {
+      year = 2025;
+      games = await squiggle.getGames(year);
+    }
+
+    const history = squiggle.ladderHistory(games);
+    const latest  = history.length ? history[history.length - 1].ladder : [];
+
+    // buildLadder rows carry the registry id; only an unknown club goes by name
+    const key = t => t.id ?? t.name;
+
+    // One line per team, in current ladder order
+    const byTeam = latest.map(t => ({
+      id:     t.id,
+      name:   t.name,
+      abbrev: teams.getTeam(t.id ?? t.name)?.abbrev ?? null,
+      rounds: history.map(({ round, ladder }) => {
+        const entry = ladder.find(e => key(e) === key(t));
+        return entry
+          ? { round, rank: entry.rank, played: entry.played, wins: entry.wins, losses: entry.losses,
+              draws: entry.draws, pts: entry.pts, percentage: entry.percentage }
+          : { round, rank: null };
+      }),
+    }));
+
+    res.json({
+      year,
+      rounds: history.map(h => h.round),
+      teams:  byTeam,
+      before: reqRound === null ? null : {
+        round:  reqRound,
+        ladder: squiggle.ladderBefore(games, reqRound),
+      },
+      stale: squiggle.isStale(games),
+    });
+
+  } catch (err) {
+    console.error('[ladder/history]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
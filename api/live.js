@@ -0,0 +1,217 @@
+/**
+ * GET /api/live?year=2025&round=6[&replay=2025-round-6][&step=3]
+ * GET /api/live?...&stream=1[&interval=15000]   (or Accept: text/event-stream)
+ *
+ * In-play win probability and projected final margin for each game in a
+ * round (live.js), starting from the same blended pre-game probability as
+ * /api/predict.
+ *
+ * JSON by default. As a Server-Sent Events stream it sends a `snapshot`
+ * event with every game, an `update` event with the games whose score has
+ * changed each time Squiggle (or the replay) moves on, and `end` — with the
+ * reason, "no live games" or "replay finished" — once there's nothing more
+ * to send, including straight after the snapshot when no game is in
+ * progress. Streams close after STREAM_MAX_MS so serverless functions don't
+ * time out, sending `reconnect` first; EventSource reconnects on its own, and
+ * a replay carries on from the step in its Last-Event-ID.
+ *
+ * replay=<name> plays back <AFL_EDGE_REPLAY_DIR>/<name>.json (default
+ * ./replays) instead of asking Squiggle — one snapshot per `interval` when
+ * streaming; `step` picks the snapshot for JSON. JSON replays include each
+ * game's worm (probability after every snapshot so far).
+ * If no year specified, tries current year first, falls back to 2025.
+ */
+const fs   = require('fs');
+const path = require('path');
+const squiggle = require('../squiggle');
+const engine   = require('../predictor');
+const finals   = require('../finals');
+const live     = require('../live');
+const { loadSeasonContext, loadAllMeetings, homeWinProbability } = require('../matchup');
+
+const DEFAULT_REPLAY_DIR = path.join(__dirname, '..', 'replays');
+
+// Poll intervals (ms): Squiggle's live scores are cached for 15s anyway
+const LIVE_INTERVAL   = 15000;
+const MIN_LIVE_INTERVAL = 5000;
+const REPLAY_INTERVAL = 1000;
+
+// Longest a stream (live or replay) stays open before the client has to reconnect
+const STREAM_MAX_MS = 25000;
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const reqYear  = parseInt(req.query.year) || null;
+  const reqRound = squiggle.parseRound(req.query.round);
+  const replayName = req.query.replay ? String(req.query.replay) : null;
+  const streaming = req.query.stream === '1' || req.query.stream === 'true' ||
+    /text\/event-stream/.test(req.headers?.accept || '');
+  if (Number.isNaN(reqRound)) {
+    return res.status(400).json({ error: 'round must be a round number. e.g. /api/live?round=6' });
+  }
+
+  let streamOpen = false;
+  try {
+    // ── 1. Replay file, if asked for ──────────────────────────────────────────
+    let recording = null;
+    if (replayName) {
+      const file = replayFile(replayName);
+      if (!fs.existsSync(file)) {
+        return res.status(404).json({ error: `No replay ${path.basename(file)}` });
+      }
+      recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    let year = recording?.year || reqYear || new Date().getFullYear();
+
+    // If current year has no fixture, fall back to 2025
+    if (!recording && !reqYear && (await squiggle.getGames(year)).length === 0) {
+      year = 2025;
+    }
+
+    const ctx = await loadSeasonContext(year);
+    const round = recording?.round ?? reqRound ?? squiggle.currentRound(ctx.games);
+    const fixture = ctx.games.filter(g => g.round === round);
+    const replay = recording ? live.createReplay(recording, fixture) : null;
+
+    // ── 2. Pre-game probabilities, worked out once ────────────────────────────
+    const preGame = new Map();
+    await loadAllMeetings(ctx, fixture);
+    for (const game of fixture) {
+      if (!game.hteam || !game.ateam) { preGame.set(game.id, null); continue; }
+      const match = game.is_final ? finals.prepareFinal(game).match : game;
+      preGame.set(game.id, homeWinProbability(match, ctx));
+    }
+    const states = games => games
+      .filter(g => preGame.has(g.id))
+      .map(g => live.gameState(g, preGame.get(g.id), engine.SCORE_MODEL.marginSd));
+
+    const source = replay ? 'replay' : 'squiggle';
+    const anyLive = list => list.some(s => s.status === 'live');
+
+    // ── 3a. JSON ──────────────────────────────────────────────────────────────
+    if (!streaming) {
+      let current;
+      const step = replay && (req.query.step !== undefined ? parseInt(req.query.step) : replay.steps - 1);
+      if (replay) {
+        if (!(step >= 0 && step < replay.steps)) {
+          return res.status(400).json({ error: `step must be between 0 and ${replay.steps - 1}` });
+        }
+        const worms = new Map();
+        for (let k = 0; k <= step; k++) {
+          for (const s of states(replay.at(k))) {
+            if (!worms.has(s.id)) worms.set(s.id, [wormPoint({ ...s, complete: 0, homeWinProbability: s.preGameProbability })]);
+            if (s.status !== 'upcoming') worms.get(s.id).push(wormPoint(s));
+          }
+        }
+        current = states(replay.at(step)).map(s => ({ ...s, worm: worms.get(s.id) }));
+      } else {
+        const games = await squiggle.getLiveGames(year, round);
+        current = states(games).map(s => ({ ...s, worm: wormFromState(s) }));
+      }
+
+      return res.json({
+        year,
+        round,
+        source,
+        step: replay ? step : null,
+        steps: replay ? replay.steps : null,
+        live: current.filter(s => s.status === 'live').length,
+        games: current,
+        stale: squiggle.isStale(ctx.games, ctx.tips),
+      });
+    }
+
+    // ── 3b. Server-Sent Events ────────────────────────────────────────────────
+    const requested = parseInt(req.query.interval);
+    const interval = replay
+      ? (requested >= 0 ? requested : REPLAY_INTERVAL)
+      : Math.max(MIN_LIVE_INTERVAL, requested || LIVE_INTERVAL);
+
+    let closed = false;
+    req.on?.('close', () => { closed = true; });
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.status(200);
+    streamOpen = true;
+
+    const next = async step => replay ? replay.at(step) : squiggle.getLiveGames(year, round);
+
+    // Replay events carry their step as the event id, so a reconnect resumes
+    const lastStep = replay ? parseInt(req.headers?.['last-event-id']) : NaN;
+    const first = lastStep >= 0 && lastStep < replay.steps ? lastStep : 0;
+    const id = step => replay ? step : null;
+
+    let current = states(await next(first));
+    send(res, 'snapshot', { year, round, source, games: current }, id(first));
+
+    const started = Date.now();
+    for (let step = first + 1; !closed; step++) {
+      if (replay ? step >= replay.steps : !anyLive(current)) break;
+      if (Date.now() - started > STREAM_MAX_MS) {
+        send(res, 'reconnect', { reason: 'stream time limit' }, id(step - 1));
+        res.end();
+        return;
+      }
+      await sleep(interval);
+
+      let games;
+      try {
+        games = await next(step);
+      } catch (err) {
+        // Keep the stream up through a failed poll; the next one may work
+        console.warn('[live] poll failed:', err.message);
+        continue;
+      }
+      const updated = states(games);
+      const changed = live.changedStates(current, updated);
+      current = updated;
+      if (changed.length > 0) send(res, 'update', { games: changed }, id(step));
+    }
+
+    if (!closed) {
+      send(res, 'end', {
+        reason: replay ? 'replay finished' : 'no live games',
+        live: current.filter(s => s.status === 'live').length,
+      });
+    }
+    res.end();
+
+  } catch (err) {
+    console.error('[live]', err.message);
+    if (streamOpen) {
+      send(res, 'error', { error: err.message });
+      return res.end();
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+function send(res, event, data, id = null) {
+  res.write(`${id !== null ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+// One point on a win-probability worm
+function wormPoint(s) {
+  return { complete: s.complete, homeWinProbability: s.homeWinProbability };
+}
+
+// Without a replay there's no history server-side — pre-game and now
+function wormFromState(s) {
+  if (s.preGameProbability === null) return [];
+  const start = { complete: 0, homeWinProbability: s.preGameProbability };
+  return s.status === 'upcoming' ? [start] : [start, wormPoint(s)];
+}
+
+// Only the file name is built from request input, so it can't leave the replay dir
+function replayFile(name) {
+  const dir = process.env.AFL_EDGE_REPLAY_DIR || DEFAULT_REPLAY_DIR;
+  return path.join(dir, path.basename(`${name}.json`));
+}
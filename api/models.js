@@ -0,0 +1,68 @@
+/**
+ * GET /api/models?year=2025[&round=6][&sort=accuracy|bits|brier|marginMAE]
+ * Leaderboard of every Squiggle model on this season's completed games —
+ * tip accuracy, bits, Brier score and margin MAE — with the weight each has
+ * in the ensemble blended into our predictions (models.js).
+ *
+ * round gives the table as it stood before that round: the weights used for
+ * its games. Without it, every completed game counts.
+ * If no year specified, tries current year first, falls back to 2025.
+ */
+const squiggle = require('../squiggle');
+const models   = require('../models');
+
+const SORT_KEYS = ['accuracy', 'bits', 'brier', 'marginMAE'];
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const reqYear  = parseInt(req.query.year) || null;
+  const reqRound = squiggle.parseRound(req.query.round);
+  if (Number.isNaN(reqRound)) {
+    return res.status(400).json({ error: 'round must be a round number. e.g. /api/models?round=6' });
+  }
+  const sort = req.query.sort ? String(req.query.sort) : 'accuracy';
+  if (!SORT_KEYS.includes(sort)) {
+    return res.status(400).json({ error: `sort must be one of ${SORT_KEYS.join(', ')}` });
+  }
+
+  try {
+    let year = reqYear || new Date().getFullYear();
+    let [games, tips] = await Promise.all([squiggle.getGames(year), squiggle.getTips(year)]);
+
+    // Fall back to 2025 if current year has no data
+    if (games.length === 0 && !reqYear) {
+      year = 2025;
+      [games, tips] = await Promise.all([squiggle.getGames(year), squiggle.getTips(year)]);
+    }
+
+    const board = models.leaderboard(tips, games, { beforeRound: reqRound });
+    const weights = models.ensembleWeights(board);
+
+    const rows = board
+      .map(r => ({
+        ...r,
+        ensembleWeight: weights.has(r.sourceid) ? parseFloat((weights.get(r.sourceid) * 100).toFixed(1)) : 0,
+      }))
+      .sort((a, b) => (a.ranks[sort] ?? Infinity) - (b.ranks[sort] ?? Infinity));
+
+    res.json({
+      year,
+      beforeRound: reqRound,
+      sort,
+      games: board.reduce((max, r) => Math.max(max, r.games), 0),
+      // Models need this many tipped games before they get any weight
+      minEnsembleGames: models.MIN_ENSEMBLE_GAMES,
+      models: rows,
+      ensemble: rows
+        .filter(r => r.ensembleWeight > 0)
+        .sort((a, b) => b.ensembleWeight - a.ensembleWeight)
+        .map(r => ({ sourceid: r.sourceid, source: r.source, weight: r.ensembleWeight })),
+      stale: squiggle.isStale(games, tips),
+    });
+
+  } catch (err) {
+    console.error('[models]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
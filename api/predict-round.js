@@ -0,0 +1,122 @@
+/**
+ * GET /api/predict-round?year=2025&round=6
+ * Predictions for every game in a round in one response — each exactly as
+ * /api/predict has it — plus a summary of the round: our tip for each game,
+ * the most confident pick, the closest game and how many tips we expect to
+ * land. The fixture, ladder, tips and recent seasons are loaded once for the
+ * whole round (matchup.loadSeasonContext) rather than once per game.
+ *
+ * A game that can't be predicted (a final whose teams aren't known yet)
+ * comes back with an `error` in place of its prediction; the rest of the
+ * round still does. Games that haven't started are recorded in the
+ * prediction ledger, as /api/predict records them.
+ * If no round specified, uses the first round with a game still to play,
+ * else the last round. If no year specified, tries current year first,
+ * falls back to 2025.
+ */
+const squiggle = require('../squiggle');
+const ledger   = require('../ledger');
+const { forecastGame } = require('../forecast');
+const { loadSeasonContext } = require('../matchup');
+const { round } = require('../stats');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const reqYear  = parseInt(req.query.year) || null;
+  const reqRound = squiggle.parseRound(req.query.round);
+  if (Number.isNaN(reqRound)) {
+    return res.status(400).json({ error: 'round must be a round number. e.g. /api/predict-round?round=6' });
+  }
+
+  try {
+    let year = reqYear || new Date().getFullYear();
+
+    // ── 1. Load fixture, ladder, tips and recent seasons once ────────────────
+    let ctx = await loadSeasonContext(year);
+
+    // If current year has no fixture, fall back to 2025
+    if (ctx.games.length === 0 && !reqYear) {
+      year = 2025;
+      ctx = await loadSeasonContext(year);
+    }
+
+    const round = reqRound ?? squiggle.currentRound(ctx.games);
+    const roundGames = ctx.games.filter(g => g.round === round);
+    if (roundGames.length === 0) {
+      return res.status(404).json({ error: `Round ${round} not found in ${year} fixture` });
+    }
+
+    // ── 2. Forecast every game from the shared context ───────────────────────
+    const games = [];
+    for (const game of roundGames) {
+      const forecast = await forecastGame(game, ctx);
+      if (forecast.error) {
+        games.push({
+          matchId: game.id,
+          match: { hteam: game.hteam, ateam: game.ateam, round: game.round, roundName: game.roundname,
+                   date: game.date, venue: game.venue, isFinal: !!game.is_final },
+          error: forecast.error,
+        });
+        continue;
+      }
+
+      // One at a time — a season's ledger is one key, rewritten on each record.
+      // A ledger failure shouldn't cost the user their predictions
+      try {
+        await ledger.record(forecast.match, forecast.ledgerEntry);
+      } catch (err) {
+        console.warn('[predict-round] ledger write failed:', err.message);
+      }
+      games.push(forecast.body);
+    }
+
+    res.json({
+      year,
+      round,
+      roundName: roundGames[0].roundname,
+      games,
+      summary: summarise(games, roundGames),
+      stale: squiggle.isStale(ctx.games, ctx.standings, ctx.tips),
+    });
+
+  } catch (err) {
+    console.error('[predict-round]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+/**
+ * Our tip for each predicted game, the pick we're surest of, the closest
+ * call, and the number of tips we expect to get right (the sum of the
+ * tipped sides' probabilities). Played games also say whether the tip came in.
+ */
+function summarise(games, roundGames) {
+  const tips = games.filter(g => !g.error).map(g => {
+    const { prediction, match } = g;
+    const homeTipped = prediction.home.winProbability >= 50;
+    const game = roundGames.find(r => r.id === g.matchId);
+    const tip = {
+      matchId:        g.matchId,
+      hteam:          match.hteam,
+      ateam:          match.ateam,
+      tip:            homeTipped ? match.hteam : match.ateam,
+      winProbability: homeTipped ? prediction.home.winProbability : prediction.away.winProbability,
+      margin:         Math.abs(prediction.predictedMargin),
+      correct:        null,
+    };
+    if (game.complete === 100) {
+      const result = game.hscore - game.ascore;
+      tip.correct = result === 0 ? null : (result > 0) === homeTipped;
+    }
+    return tip;
+  });
+
+  const byConfidence = [...tips].sort((a, b) => b.winProbability - a.winProbability);
+  return {
+    tips,
+    mostConfident: byConfidence[0] ?? null,
+    closest:       byConfidence[byConfidence.length - 1] ?? null,
+    expectedCorrect: round(tips.reduce((s, t) => s + t.winProbability / 100, 0), 1),
+  };
+}
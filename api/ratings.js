@@ -0,0 +1,65 @@
+/**
+ * GET /api/ratings?year=2025&round=10
+ * Elo team ratings going into a round (or after the latest completed game
+ * if no round is given), with each team's rating history for the season.
+ * Ratings are built from the three seasons before `year` onwards.
+ * If no year specified, tries current year first, falls back to 2025.
+ */
+const squiggle = require('../squiggle');
+const ratings  = require('../ratings');
+const { getTeam } = require('../teams');
+
+// Seasons of results to run through before the requested year
+const BURN_IN_YEARS = 3;
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const reqYear  = parseInt(req.query.year) || null;
+  const reqRound = squiggle.parseRound(req.query.round);
+  if (Number.isNaN(reqRound)) {
+    return res.status(400).json({ error: 'round must be a round number. e.g. /api/ratings?round=6' });
+  }
+
+  try {
+
+    let year = reqYear || new Date().getFullYear();
+    let seasonGames = await squiggle.getCompleted(year);
+
+    // If current year has no results, fall back to 2025
+    if (seasonGames.length === 0 && !reqYear) {
+      year = 2025;
+      seasonGames = await squiggle.getCompleted(year);
+    }
+
+    const games = [...seasonGames];
+    for (let y = year - BURN_IN_YEARS; y < year; y++) {
+      try {
+        games.push(...await squiggle.getCompleted(y));
+      } catch { /* skip years with no data */ }
+    }
+
+    const { ratings: current, history } = ratings.ratingsAt(games, year, reqRound);
+
+    const teams = [...current.entries()]
+      .map(([id, rating]) => ({
+        id,
+        name: getTeam(id).name,
+        rating: Math.round(rating),
+        history: (history[id] || []).filter(h => h.year === year),
+      }))
+      .sort((a, b) => b.rating - a.rating)
+      .map((t, i) => ({ rank: i + 1, ...t }));
+
+    res.json({
+      year,
+      round: reqRound,
+      meanRating: ratings.MEAN_RATING,
+      teams,
+    });
+
+  } catch (err) {
+    console.error('[ratings]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
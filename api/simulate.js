@@ -0,0 +1,46 @@
+/**
+ * GET /api/simulate?year=2025&sims=10000&seed=42
+ * Monte Carlo projection of the rest of the home-and-away season.
+ * Returns each team's chance of every ladder position, top 8, top 4 and the
+ * minor premiership, plus expected wins — as simulated, and adjusted for the
+ * strength of the opponents already played (adjustedWins).
+ * If no year specified, tries current year first, falls back to 2025.
+ */
+const squiggle = require('../squiggle');
+const simulate = require('../simulate');
+
+const MAX_SIMS = 50000;
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const sims = req.query.sims !== undefined ? Number(req.query.sims) : simulate.DEFAULT_SIMS;
+  if (!(Number.isInteger(sims) && sims >= 1 && sims <= MAX_SIMS)) {
+    return res.status(400).json({ error: `sims must be a whole number of seasons (at most ${MAX_SIMS}). e.g. /api/simulate?sims=10000` });
+  }
+
+  try {
+    const reqYear = parseInt(req.query.year) || null;
+    const seed = parseInt(req.query.seed) || undefined;
+
+    let year = reqYear || new Date().getFullYear();
+
+    // If current year has no fixture, fall back to 2025
+    if (!reqYear && (await squiggle.getGames(year)).length === 0) {
+      year = 2025;
+    }
+
+    const result = await simulate.projectSeason(year, { sims, seed });
+
+    res.json({
+      year,
+      sims,
+      remainingGames: result.remainingGames,
+      teams: result.teams,
+    });
+
+  } catch (err) {
+    console.error('[simulate]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
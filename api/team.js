@@ -0,0 +1,111 @@
+/**
+ * GET /api/team?name=Geelong&year=2025
+ * Everything about one club's season (profile.js): the game log, home and
+ * away splits, record at each ground, streaks, points for and against
+ * trend, this season against last, and the games still to play with our
+ * blended win probability for each.
+ * The team can be given by name, alias ("Cats") or Squiggle id.
+ * If no year specified, tries current year first, falls back to 2025.
+ */
+const squiggle = require('../squiggle');
+const teams    = require('../teams');
+const finals   = require('../finals');
+const profile  = require('../profile');
+const { loadSeasonContext, loadAllMeetings, homeWinProbability } = require('../matchup');
+const { round } = require('../stats');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  const reqYear = parseInt(req.query.year) || null;
+  if (!req.query.name) {
+    return res.status(400).json({ error: 'name is required. e.g. /api/team?name=Geelong' });
+  }
+  const team = teams.getTeam(req.query.name);
+  if (!team) {
+    return res.status(400).json({ error: `Unknown team: ${req.query.name}` });
+  }
+
+  try {
+    let year = reqYear || new Date().getFullYear();
+    let ctx = await loadSeasonContext(year);
+
+    // Fall back to 2025 if current year has no data
+    if (ctx.games.length === 0 && !reqYear) {
+      year = 2025;
+      ctx = await loadSeasonContext(year);
+    }
+
+    // ── 1. This season ────────────────────────────────────────────────────────
+    const log = profile.seasonLog(team.id, ctx.games);
+    const ladder = ctx.standings.find(t => t.id === team.id) || null;
+
+    // ── 2. Last season, from the same history the engine uses ─────────────────
+    const lastLog = profile.seasonLog(team.id, ctx.history.filter(g => g.year === year - 1));
+    let lastStandings = [];
+    try {
+      lastStandings = await squiggle.getStandings(year - 1);
+    } catch { /* no ladder for last season */ }
+    const lastLadder = lastStandings.find(t => t.id === team.id) || null;
+
+    // ── 3. Games still to play ────────────────────────────────────────────────
+    const toPlay = ctx.games
+      .filter(g => g.complete < 100 && (teams.homeId(g) === team.id || teams.awayId(g) === team.id));
+    await loadAllMeetings(ctx, toPlay);
+    const remaining = toPlay.map(g => {
+      const home = teams.homeId(g) === team.id;
+      let winProbability = null;
+      if (g.hteam && g.ateam) {
+        const match = g.is_final ? finals.prepareFinal(g).match : g;
+        const homeProb = homeWinProbability(match, ctx);
+        winProbability = round((home ? homeProb : 1 - homeProb) * 100, 1);
+      }
+      return {
+        gameId:    g.id,
+        round:     g.round,
+        roundName: g.roundname || null,
+        date:      g.date,
+        venue:     g.venue,
+        opponent:  home ? g.ateam : g.hteam,
+        home,
+        isFinal:   !!g.is_final,
+        winProbability,
+      };
+    });
+
+    res.json({
+      year,
+      team: {
+        id:     team.id,
+        name:   team.name,
+        abbrev: team.abbrev,
+        grounds: team.grounds,
+      },
+      ladder: ladder && {
+        rank: ladder.rank, played: ladder.played, wins: ladder.wins, losses: ladder.losses,
+        draws: ladder.draws, pts: ladder.pts, percentage: ladder.percentage,
+      },
+      season:  profile.record(log),
+      splits:  profile.splits(team.id, log),
+      venues:  profile.venueRecords(log),
+      streaks: profile.streaks(log),
+      trend:   { window: profile.TREND_WINDOW, games: profile.scoringTrend(log) },
+      lastSeason: {
+        year: year - 1,
+        rank: lastLadder?.rank ?? null,
+        // Home and away season only; finals played counted separately
+        ...profile.record(lastLog.filter(g => !g.isFinal)),
+        finals: lastLog.filter(g => g.isFinal).length,
+      },
+      log,
+      remaining,
+      // Expected wins from here, the sum of the win probabilities
+      expectedWins: round(remaining.reduce((s, g) => s + (g.winProbability ?? 0) / 100, 0), 1),
+      stale: squiggle.isStale(ctx.games, ctx.standings, ctx.tips),
+    });
+
+  } catch (err) {
+    console.error('[team]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
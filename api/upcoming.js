@@ -9,9 +9,13 @@ const squiggle = require('../squiggle');
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
 
+  const reqYear  = parseInt(req.query.year) || null;
+  const reqRound = squiggle.parseRound(req.query.round);
+  if (Number.isNaN(reqRound)) {
+    return res.status(400).json({ error: 'round must be a round number. e.g. /api/upcoming?round=6' });
+  }
+
   try {
-    const reqYear  = parseInt(req.query.year) || null;
-    const reqRound = parseInt(req.query.round) || null;
 
     let year = reqYear || new Date().getFullYear();
     let allGames = await squiggle.getGames(year);
@@ -24,7 +28,7 @@ module.exports = async (req, res) => {
 
     let roundGames;
 
-    if (reqRound) {
+    if (reqRound !== null) {
       // Specific round requested
       roundGames = allGames.filter(g => g.round === reqRound);
     } else {
@@ -69,6 +73,8 @@ module.exports = async (req, res) => {
       availableRounds: allRounds,
       count: matches.length,
       matches,
+      // Squiggle was unreachable and this is the last good copy
+      stale: squiggle.isStale(allGames),
     });
 
   } catch (err) {
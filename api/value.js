@@ -0,0 +1,138 @@
+/**
+ * GET  /api/value?year=2025&round=6[&threshold=5][&kelly=0.25]
+ * POST /api/value  { year, round, threshold, kelly, odds: [{ matchId, hteam, ateam,
+ *                    homeOdds, awayOdds, line, lineHomeOdds, lineAwayOdds }] }
+ *
+ * Compares bookmaker odds with our blended probabilities. GET reads the
+ * round's odds from a local CSV, <AFL_EDGE_ODDS_DIR>/<year>-round-<round>.csv
+ * (default ./odds); POST takes them as JSON. See odds.js for the columns.
+ *
+ * For each game and side: fair market probability (margin removed), edge,
+ * expected value and a fractional Kelly stake. Games where model and market
+ * differ by more than `threshold` percentage points are flagged.
+ * If no year specified, tries current year first, falls back to 2025.
+ */
+const fs   = require('fs');
+const path = require('path');
+const squiggle = require('../squiggle');
+const engine   = require('../predictor');
+const finals   = require('../finals');
+const odds     = require('../odds');
+const { loadSeasonContext, loadMeetings, homeWinProbability } = require('../matchup');
+
+const DEFAULT_ODDS_DIR = path.join(__dirname, '..', 'odds');
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+
+  const posted = req.method === 'POST';
+  let params;
+  try {
+    params = posted ? parseBody(req.body) : req.query;
+  } catch {
+    return res.status(400).json({ error: 'Body must be JSON' });
+  }
+
+  const reqYear  = parseInt(params.year) || null;
+  const reqRound = squiggle.parseRound(params.round);
+  if (Number.isNaN(reqRound)) {
+    return res.status(400).json({ error: 'round must be a round number. e.g. /api/value?round=6' });
+  }
+  const threshold = params.threshold !== undefined ? parseFloat(params.threshold) : odds.DEFAULT_THRESHOLD;
+  const kelly     = params.kelly     !== undefined ? parseFloat(params.kelly)     : odds.DEFAULT_KELLY;
+  if (!(threshold >= 0) || !(kelly > 0 && kelly <= 1)) {
+    return res.status(400).json({ error: 'threshold must be >= 0 and kelly between 0 and 1' });
+  }
+  if (posted && !Array.isArray(params.odds)) {
+    return res.status(400).json({ error: 'POST body needs an odds array' });
+  }
+  const badRow = posted ? params.odds.findIndex(row => !row || typeof row !== 'object' || Array.isArray(row)) : -1;
+  if (badRow !== -1) {
+    return res.status(400).json({ error: `odds[${badRow}] must be an object, e.g. { "matchId": 35127, "homeOdds": 1.9, "awayOdds": 1.9 }` });
+  }
+
+  try {
+    let year = reqYear || new Date().getFullYear();
+
+    // If current year has no fixture, fall back to 2025
+    if (!reqYear && (await squiggle.getGames(year)).length === 0) {
+      year = 2025;
+    }
+
+    const ctx = await loadSeasonContext(year);
+    const round = reqRound ?? squiggle.currentRound(ctx.games);
+
+    // ── 1. Odds rows ─────────────────────────────────────────────────────────
+    let rows;
+    if (posted) {
+      rows = params.odds.map(odds.normaliseRow);
+    } else {
+      const file = oddsFile(year, round);
+      if (!fs.existsSync(file)) {
+        return res.status(404).json({ error: `No odds file for ${year} round ${round} (${path.basename(file)})` });
+      }
+      rows = odds.parseOddsCsv(fs.readFileSync(file, 'utf8'));
+    }
+
+    // ── 2. Price each game against our blended probability ───────────────────
+    // Posted odds without a round can name any game in the season
+    const candidates = posted && reqRound === null ? ctx.games : ctx.games.filter(g => g.round === round);
+    const games = [];
+    const unmatched = [];
+
+    for (const row of rows) {
+      const game = odds.findGame(row, candidates);
+      if (!game) {
+        unmatched.push(row);
+        continue;
+      }
+
+      // Finals are priced at the allocated venue, as /api/predict does
+      const match = game.is_final && game.hteam && game.ateam ? finals.prepareFinal(game).match : game;
+      await loadMeetings(ctx, match.hteam, match.ateam);
+      const homeProb = homeWinProbability(match, ctx);
+
+      games.push({
+        matchId:  game.id,
+        round:    game.round,
+        hteam:    game.hteam,
+        ateam:    game.ateam,
+        venue:    match.venue,
+        date:     game.date,
+        complete: game.complete || 0,
+        homeWinProbability: parseFloat((homeProb * 100).toFixed(1)),
+        ...odds.assessGame(homeProb, row, { marginSd: engine.SCORE_MODEL.marginSd, kelly, threshold }),
+      });
+    }
+
+    res.json({
+      year,
+      round: posted && reqRound === null ? null : round,
+      source: posted ? 'json' : 'csv',
+      threshold,
+      kelly,
+      count: games.length,
+      flagged: games.filter(g => g.flagged).length,
+      games,
+      unmatched,
+      stale: squiggle.isStale(ctx.games, ctx.standings, ctx.tips),
+    });
+
+  } catch (err) {
+    console.error('[value]', err.message);
+    res.status(500).json({ error: err.message });
+  }
+};
+
+function parseBody(body) {
+  if (typeof body === 'string') return JSON.parse(body || '{}');
+  return body || {};
+}
+
+// Only the file name is built from request input, so it can't leave the odds dir
+function oddsFile(year, round) {
+  const dir = process.env.AFL_EDGE_ODDS_DIR || DEFAULT_ODDS_DIR;
+  return path.join(dir, path.basename(`${year}-round-${round}.csv`));
+}
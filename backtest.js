@@ -0,0 +1,181 @@
+/**
+ * AFL Edge — Walk-forward backtester
+ *
+ * Replays completed seasons round by round. Every game is predicted using
+ * only what was known before kickoff: season results up to the previous
+ * game, a ladder rebuilt from those results, and earlier seasons for H2H.
+ *
+ * Four models are scored the same way:
+ *   engine    — predictor.js on its own
+ *   blend     — engine blended with Squiggle's models, as /api/predict does
+ *   aggregate — the raw Squiggle aggregate tip (sourceid 8)
+ *   ensemble  — Squiggle's models weighted by their record in earlier rounds
+ *
+ * Metrics: tip accuracy, Brier score, log loss and margin MAE.
+ */
+
+const squiggle = require('./squiggle');
+const engine   = require('./predictor');
+const { expectedMargin } = require('./scoremodel');
+const models   = require('./models');
+const {
+  buildMatchup, loadEarlierSeasons, loadMeetings, squiggleProbability, blendProbability, HISTORY_YEARS,
+} = require('./matchup');
+const { round } = require('./stats');
+
+const MODELS = ['engine', 'blend', 'aggregate', 'ensemble'];
+
+// ─── REPLAY ───────────────────────────────────────────────────────────────────
+/**
+ * Replay one season and return a record per completed game.
+ * Games where a team has no results this season or last are skipped.
+ *
+ * @param {number} year
+ * @returns {Promise<{ year, records: Array, skipped: number }>}
+ */
+async function replaySeason(year) {
+  const [games, tips, history] = await Promise.all([
+    squiggle.getGames(year),
+    squiggle.getTips(year),
+    loadEarlierSeasons(year),
+  ]);
+  // Older seasons for head to head, fetched as pairs need them
+  const seasons = { year, history, archive: [], archiveYear: year - HISTORY_YEARS };
+
+  const completed = games.filter(g => g.complete === 100).sort(byDate);
+  // Weights for each round only come from the rounds before it
+  const ensemble = models.createEnsemble(tips, completed);
+  const records = [];
+  let skipped = 0;
+
+  for (const match of completed) {
+    // Only results from before this game's kickoff
+    const known = completed.filter(g => g.date < match.date);
+    const standings = squiggle.buildLadder(known);
+    await loadMeetings(seasons, match.hteam, match.ateam);
+
+    const matchup = buildMatchup(match, {
+      games: known,
+      standings,
+      history: history.concat(known),
+      archive: seasons.archive,
+    });
+    if (!matchup) { skipped++; continue; }
+
+    const prediction = engine.predictMatch(matchup.homeStats, matchup.awayStats, matchup.venue);
+    const engineProb = prediction.home.winProbability;
+    const engineMargin = prediction.predictedMargin;
+
+    const matchTips = tips.filter(t => t.gameid === match.id);
+    const tip = squiggle.pickAggregateTip(matchTips);
+    const aggregateProb = tip?.hconfidence ?? null;
+    const ensembleProb = ensemble.probability(matchTips, match.round);
+    const squiggleSide = squiggleProbability(match, tips, ensemble);
+    const blendProb = blendProbability(engineProb, squiggleSide?.homeProb ?? null);
+    const marginFor = p => Math.round(expectedMargin(p / 100, engine.SCORE_MODEL.marginSd));
+
+    records.push({
+      gameId: match.id,
+      year,
+      round: match.round,
+      hteam: match.hteam,
+      ateam: match.ateam,
+      actualMargin: (match.hscore || 0) - (match.ascore || 0),
+      actualTotal:  (match.hscore || 0) + (match.ascore || 0),
+      keyFactors: prediction.keyFactors,
+      engine: { homeProb: engineProb, margin: engineMargin, total: prediction.scoreModel.total.mean },
+      // What the blend mixed the engine with, for fitting Squiggle's share
+      squiggle: squiggleSide && { homeProb: squiggleSide.homeProb, source: squiggleSide.source },
+      blend: { homeProb: blendProb, margin: marginFor(blendProb) },
+      aggregate: aggregateProb === null ? null : {
+        homeProb: aggregateProb,
+        margin: tip.tip === match.hteam ? (tip.margin || 0) : -(tip.margin || 0),
+      },
+      ensemble: ensembleProb === null ? null : { homeProb: ensembleProb, margin: marginFor(ensembleProb) },
+    });
+  }
+
+  return { year, records, skipped };
+}
+
+// ─── SCORING ──────────────────────────────────────────────────────────────────
+/**
+ * Score one model across a set of replayed games.
+ * Draws count as a correct tip (Squiggle's convention) and as 0.5 for
+ * Brier / log loss.
+ */
+function scoreRecords(records, model) {
+  const scored = records.filter(r => r[model]);
+  if (scored.length === 0) {
+    return { games: 0, accuracy: null, brier: null, logLoss: null, marginMAE: null };
+  }
+
+  let correct = 0, brier = 0, logLoss = 0, absErr = 0;
+  for (const r of scored) {
+    const p = clamp(r[model].homeProb / 100);
+    const outcome = r.actualMargin > 0 ? 1 : r.actualMargin < 0 ? 0 : 0.5;
+
+    if (outcome === 0.5 || (p >= 0.5) === (outcome === 1)) correct++;
+    brier   += (p - outcome) ** 2;
+    logLoss -= outcome * Math.log(p) + (1 - outcome) * Math.log(1 - p);
+    absErr  += Math.abs(r[model].margin - r.actualMargin);
+  }
+
+  const n = scored.length;
+  return {
+    games:     n,
+    accuracy:  round(correct / n * 100, 1),
+    brier:     round(brier / n, 4),
+    logLoss:   round(logLoss / n, 4),
+    marginMAE: round(absErr / n, 1),
+  };
+}
+
+function scoreAll(records) {
+  const out = {};
+  for (const m of MODELS) out[m] = scoreRecords(records, m);
+  return out;
+}
+
+// ─── RUN ──────────────────────────────────────────────────────────────────────
+/**
+ * Backtest every season from `from` to `to` (inclusive).
+ */
+async function runBacktest(from, to) {
+  const seasons = [];
+  const all = [];
+  let skipped = 0;
+
+  for (let year = from; year <= to; year++) {
+    const season = await replaySeason(year);
+    seasons.push({ year, skipped: season.skipped, models: scoreAll(season.records) });
+    all.push(...season.records);
+    skipped += season.skipped;
+  }
+
+  return {
+    from,
+    to,
+    games: all.length,
+    skipped,
+    models: scoreAll(all),
+    seasons,
+  };
+}
+
+// ─── HELPERS ──────────────────────────────────────────────────────────────────
+function byDate(a, b) {
+  return (a.date || '').localeCompare(b.date || '') || a.id - b.id;
+}
+
+// Keep probabilities away from 0/1 so log loss stays finite
+function clamp(p) {
+  return Math.min(0.999, Math.max(0.001, p));
+}
+
+module.exports = {
+  MODELS,
+  replaySeason,
+  scoreRecords,
+  runBacktest,
+};
@@ -0,0 +1,109 @@
+/**
+ * AFL Edge — Cache stores for the Squiggle client
+ *
+ * A store holds entries keyed by request URL:
+ *   { data, storedAt, freshUntil, staleUntil }   (times in ms since epoch)
+ *
+ * Interface (all async, so a remote KV store can slot in later):
+ *   get(key)          → entry | null
+ *   set(key, entry)
+ *   delete(key)
+ *   clear()
+ *
+ * Backends:
+ *   memory — a Map. Lost on every cold start.
+ *   file   — one JSON file per key in a directory. Survives restarts locally;
+ *            on Vercel use /tmp, which survives for the life of an instance.
+ *
+ * Pick one with AFL_EDGE_CACHE=memory|file (default memory) and
+ * AFL_EDGE_CACHE_DIR for the file backend's directory.
+ */
+
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_DIR = path.join(os.tmpdir(), 'afl-edge-cache');
+
+// ─── MEMORY ───────────────────────────────────────────────────────────────────
+function createMemoryStore() {
+  const map = new Map();
+  return {
+    name: 'memory',
+    async get(key)        { return map.get(key) || null; },
+    async set(key, entry) { map.set(key, entry); },
+    async delete(key)     { map.delete(key); },
+    async clear()         { map.clear(); },
+  };
+}
+
+// ─── FILE ─────────────────────────────────────────────────────────────────────
+/**
+ * File-backed store. Keeps a memory copy in front so a warm instance doesn't
+ * re-read disk on every hit. Disk errors are logged, never thrown — a cache
+ * that can't write is just a slower cache.
+ */
+function createFileStore(dir = DEFAULT_DIR) {
+  const memory = new Map();
+  const fileFor = key =>
+    path.join(dir, crypto.createHash('sha1').update(key).digest('hex') + '.json');
+
+  return {
+    name: 'file',
+    dir,
+
+    async get(key) {
+      if (memory.has(key)) return memory.get(key);
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8'));
+        memory.set(key, entry);
+        return entry;
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.warn('[cache] read failed:', e.message);
+        return null;
+      }
+    },
+
+    async set(key, entry) {
+      memory.set(key, entry);
+      try {
+        await fs.promises.mkdir(dir, { recursive: true });
+        // Write then rename so a reader never sees half a file
+        const file = fileFor(key);
+        const tmp  = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, JSON.stringify({ key, ...entry }));
+        await fs.promises.rename(tmp, file);
+      } catch (e) {
+        console.warn('[cache] write failed:', e.message);
+      }
+    },
+
+    async delete(key) {
+      memory.delete(key);
+      await fs.promises.rm(fileFor(key), { force: true }).catch(() => {});
+    },
+
+    async clear() {
+      memory.clear();
+      await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    },
+  };
+}
+
+// ─── SELECTION ────────────────────────────────────────────────────────────────
+/**
+ * Build the store named by AFL_EDGE_CACHE.
+ */
+function createStoreFromEnv(env = process.env) {
+  const kind = (env.AFL_EDGE_CACHE || 'memory').toLowerCase();
+  if (kind === 'file') return createFileStore(env.AFL_EDGE_CACHE_DIR || DEFAULT_DIR);
+  if (kind !== 'memory') console.warn(`[cache] Unknown AFL_EDGE_CACHE "${kind}" — using memory`);
+  return createMemoryStore();
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createStoreFromEnv,
+};
@@ -0,0 +1,162 @@
+/**
+ * AFL Edge — iCalendar feed
+ *
+ * Turns Squiggle fixture rows into an RFC 5545 calendar that phones and
+ * desktop calendars can subscribe to. Kickoffs are written in UTC, worked
+ * out from Squiggle's local date and tz offset, so every client shows them
+ * in its own time zone. Each game keeps the same UID from one fetch to the
+ * next, so when the AFL moves a game or a result comes in, a subscribed
+ * calendar updates the event in place rather than adding another — SEQUENCE
+ * and LAST-MODIFIED come from when Squiggle last changed the game, so the
+ * new copy always outranks the one the calendar already has.
+ */
+
+const venues = require('./venues');
+const { kickoff, lastUpdated } = require('./gametime');
+const { round } = require('./stats');
+
+const PRODID = '-//AFL Edge//Fixture//EN';
+
+// Calendar block for each game — an AFL game with breaks runs about 3 hours
+const GAME_HOURS = 3;
+
+// How often subscribers are asked to refresh the feed
+const REFRESH = 'PT6H';
+
+// SEQUENCE counts minutes from here to Squiggle's last change of the game
+const SEQUENCE_EPOCH = Date.UTC(2020, 0, 1);
+
+// ─── EVENTS ───────────────────────────────────────────────────────────────────
+/**
+ * VEVENT lines for one game, or null if it has no kickoff time yet.
+ *
+ * @param {Object} game        — Squiggle game row
+ * @param {Object} [options]
+ * @param {number} [options.homeProb] — our home win probability, 0-1
+ * @param {number} [options.now]      — DTSTAMP (when the feed was built), ms
+ */
+function gameEvent(game, { homeProb = null, now = Date.now() } = {}) {
+  const start = kickoff(game);
+  if (!Number.isFinite(start)) return null;
+  const updated = lastUpdated(game);
+
+  const home = game.hteam || 'TBC';
+  const away = game.ateam || 'TBC';
+  const complete = game.complete === 100;
+  const roundName = game.roundname || `Round ${game.round}`;
+  const ground = venues.getVenue(game.venue);
+
+  const summary = complete
+    ? `${home} ${game.hscore} v ${away} ${game.ascore}`
+    : `${home} v ${away}`;
+
+  const description = [];
+  if (complete) {
+    const margin = (game.hscore || 0) - (game.ascore || 0);
+    description.push(`Final score: ${home} ${game.hscore} – ${away} ${game.ascore}` +
+      (margin === 0 ? ' (draw)' : ` (${margin > 0 ? home : away} by ${Math.abs(margin)})`));
+  } else if (game.complete > 0) {
+    description.push(`In progress: ${home} ${game.hscore ?? 0} – ${away} ${game.ascore ?? 0}`);
+  }
+  if (homeProb !== null) {
+    const homeTipped = homeProb >= 0.5;
+    const pct = round((homeTipped ? homeProb : 1 - homeProb) * 100, 1);
+    description.push(`AFL Edge ${complete ? 'tipped' : 'tips'} ${homeTipped ? home : away} (${pct}% chance)`);
+  }
+  description.push(`${roundName}, ${game.year}`);
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:afl-edge-game-${game.id}@afl-edge`,
+    `DTSTAMP:${utc(now)}`,
+    `DTSTART:${utc(start)}`,
+    `DTEND:${utc(start + GAME_HOURS * 3600000)}`,
+    ...(Number.isFinite(updated) ? [`LAST-MODIFIED:${utc(updated)}`] : []),
+    `SEQUENCE:${sequence(game, updated)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `LOCATION:${escapeText(ground ? [ground.name, ground.state].filter(Boolean).join(', ') : game.venue || 'TBC')}`,
+    `DESCRIPTION:${escapeText(description.join('\n'))}`,
+    `CATEGORIES:AFL,${escapeText(roundName)}`,
+    'STATUS:CONFIRMED',
+    'TRANSP:TRANSPARENT',
+    'END:VEVENT',
+  ];
+}
+
+// ─── CALENDAR ─────────────────────────────────────────────────────────────────
+/**
+ * A whole calendar, CRLF line endings and long lines folded.
+ *
+ * @param {Array} games — Squiggle game rows
+ * @param {Object} [options]
+ * @param {string} [options.name]          — calendar name shown by clients
+ * @param {Map}    [options.probabilities] — game id → home win probability (0-1)
+ * @param {number} [options.now]           — DTSTAMP, ms
+ */
+function buildCalendar(games, { name = 'AFL fixture', probabilities = new Map(), now = Date.now() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH}`,
+    `X-PUBLISHED-TTL:${REFRESH}`,
+  ];
+  for (const g of games) {
+    const event = gameEvent(g, { homeProb: probabilities.get(g.id) ?? null, now });
+    if (event) lines.push(...event);
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+// ─── HELPERS ──────────────────────────────────────────────────────────────────
+// Rows without an `updated` stamp (offline fixtures) go by how far the game
+// has got: scheduled, under way, played
+function sequence(game, updated) {
+  if (Number.isFinite(updated)) return Math.max(0, Math.floor((updated - SEQUENCE_EPOCH) / 60000));
+  return game.complete === 100 ? 2 : game.complete > 0 ? 1 : 0;
+}
+
+// 20250418T024000Z
+function utc(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// TEXT values: backslash, semicolon, comma and newline are escaped
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines are at most 75 octets; longer ones continue on lines starting with a space
+function fold(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+module.exports = {
+  GAME_HOURS,
+  gameEvent,
+  buildCalendar,
+  escapeText,
+  fold,
+};
@@ -0,0 +1,300 @@
+/**
+ * AFL Edge — Factor weight calibration
+ *
+ * Fits predictor.js factor weights to completed games instead of picking
+ * them by hand. Samples come from the walk-forward backtester, so every
+ * game's factor edges are the ones the engine would have seen pre-kickoff.
+ *
+ * The fit keeps the engine's own formula — a weighted average of factor
+ * edges — and minimises log loss over the weights. Weights are kept on the
+ * simplex (non-negative, sum to 1) via a softmax, so the fitted set drops
+ * straight into WEIGHTS.
+ *
+ * The score model's spreads (scoremodel.js) are fitted on the same games
+ * and saved with the weights, and so is Squiggle's share of the blend
+ * (squiggleBlend) — a grid search on log loss over the games Squiggle tipped.
+ *
+ * Usage:
+ *   node calibrate.js 2022 2025           — report only
+ *   node calibrate.js 2022 2025 --write   — also save weights.json
+ */
+
+const fs       = require('fs');
+const path     = require('path');
+const backtest = require('./backtest');
+const engine   = require('./predictor');
+const { fitScoreModel } = require('./scoremodel');
+const { SQUIGGLE_BLEND } = require('./matchup');
+const { round } = require('./stats');
+
+const ITERATIONS    = 3000;
+const LEARNING_RATE = 0.5;
+// Pulls the softmax logits towards zero (equal weights) so a factor can't
+// collapse to exactly 0 or 1 on a small sample
+const L2 = 0.001;
+
+// Squiggle blend shares tried, 0 to 1
+const BLEND_STEP = 0.05;
+
+// ─── SAMPLES ──────────────────────────────────────────────────────────────────
+/**
+ * Replay seasons and return { factors, outcome, margin, total } per game.
+ * outcome is 1 for a home win, 0 for an away win, 0.5 for a draw.
+ */
+async function collectSamples(years) {
+  const samples = [];
+  for (const year of years) {
+    const { records } = await backtest.replaySeason(year);
+    for (const r of records) {
+      samples.push({
+        year,
+        factors: r.keyFactors,
+        outcome: r.actualMargin > 0 ? 1 : r.actualMargin < 0 ? 0 : 0.5,
+        actualMargin:  r.actualMargin,
+        actualTotal:   r.actualTotal,
+        expectedTotal: r.engine.total,
+        // What the blend mixed the engine with (0-1), null if Squiggle didn't tip
+        squiggleProb:  r.squiggle ? r.squiggle.homeProb / 100 : null,
+      });
+    }
+  }
+  return samples;
+}
+
+// ─── FIT ──────────────────────────────────────────────────────────────────────
+/**
+ * Fit factor weights to samples by gradient descent on log loss.
+ * @returns {Object} weights keyed by factor key, summing to 1
+ */
+function fitWeights(samples, keys = Object.keys(engine.DEFAULT_WEIGHTS)) {
+  const rows = samples.map(s => ({
+    outcome: s.outcome,
+    edges: keys.map(k => s.factors.find(f => f.key === k) || { homeEdge: 0.5, awayEdge: 0.5 }),
+  }));
+  let theta = keys.map(() => 0);
+
+  for (let iter = 0; iter < ITERATIONS; iter++) {
+    const w = softmax(theta);
+    const gradW = keys.map(() => 0);
+
+    for (const { edges, outcome } of rows) {
+      let num = 0, den = 0;
+      edges.forEach((f, i) => {
+        num += w[i] * f.homeEdge;
+        den += w[i] * (f.homeEdge + f.awayEdge);
+      });
+      if (den <= 0) continue;
+      const p = clamp(num / den);
+      const dLdp = (p - outcome) / (p * (1 - p));
+      edges.forEach((f, i) => {
+        const dpdw = (f.homeEdge * den - num * (f.homeEdge + f.awayEdge)) / (den * den);
+        gradW[i] += dLdp * dpdw / samples.length;
+      });
+    }
+
+    // Chain through the softmax: dw_i/dθ_j = w_i(δij − w_j)
+    const dot = gradW.reduce((acc, g, i) => acc + g * w[i], 0);
+    theta = theta.map((t, j) => t - LEARNING_RATE * (w[j] * (gradW[j] - dot) + L2 * t));
+  }
+
+  const w = softmax(theta);
+  const weights = {};
+  keys.forEach((k, i) => { weights[k] = round(w[i], 4); });
+  return weights;
+}
+
+/**
+ * Fit Squiggle's share of the blend to the engine's probabilities under
+ * `weights`: the BLEND_STEP grid point with the lowest log loss.
+ * @returns {number|null} null when no sample has a Squiggle figure
+ */
+function fitBlend(samples, weights) {
+  if (!samples.some(s => s.squiggleProb !== null)) return null;
+  let best = null;
+  for (let k = 0; k <= Math.round(1 / BLEND_STEP); k++) {
+    const share = round(k * BLEND_STEP, 2);
+    const { logLoss } = evaluateBlend(samples, weights, share);
+    if (!best || logLoss < best.logLoss) best = { share, logLoss };
+  }
+  return best.share;
+}
+
+// ─── EVALUATION ───────────────────────────────────────────────────────────────
+/**
+ * Log loss, Brier score and tip accuracy of a weight set over samples.
+ */
+function evaluate(samples, weights) {
+  if (samples.length === 0) return { games: 0, accuracy: null, brier: null, logLoss: null };
+  let correct = 0, brier = 0, logLoss = 0;
+  for (const s of samples) {
+    const p = clamp(engine.combineFactors(s.factors, weights));
+    if (s.outcome === 0.5 || (p >= 0.5) === (s.outcome === 1)) correct++;
+    brier   += (p - s.outcome) ** 2;
+    logLoss -= s.outcome * Math.log(p) + (1 - s.outcome) * Math.log(1 - p);
+  }
+  const n = samples.length;
+  return {
+    games:    n,
+    accuracy: round(correct / n * 100, 1),
+    brier:    round(brier / n, 4),
+    logLoss:  round(logLoss / n, 4),
+  };
+}
+
+/**
+ * Log loss, Brier score and tip accuracy of the blend — engine under
+ * `weights`, Squiggle at `share` — over the samples Squiggle tipped.
+ */
+function evaluateBlend(samples, weights, share) {
+  const tipped = samples.filter(s => s.squiggleProb !== null);
+  if (tipped.length === 0) return { games: 0, accuracy: null, brier: null, logLoss: null };
+  let correct = 0, brier = 0, logLoss = 0;
+  for (const s of tipped) {
+    const p = clamp(engine.combineFactors(s.factors, weights) * (1 - share) + s.squiggleProb * share);
+    if (s.outcome === 0.5 || (p >= 0.5) === (s.outcome === 1)) correct++;
+    brier   += (p - s.outcome) ** 2;
+    logLoss -= s.outcome * Math.log(p) + (1 - s.outcome) * Math.log(1 - p);
+  }
+  const n = tipped.length;
+  return {
+    games:    n,
+    accuracy: round(correct / n * 100, 1),
+    brier:    round(brier / n, 4),
+    logLoss:  round(logLoss / n, 4),
+  };
+}
+
+/**
+ * How much each factor moved predictions: its share of the total absolute
+ * weighted edge, averaged over games (percent, sums to ~100).
+ */
+function contributions(samples, weights) {
+  const keys = Object.keys(weights);
+  const totals = Object.fromEntries(keys.map(k => [k, 0]));
+  for (const s of samples) {
+    const moves = keys.map(k => {
+      const f = s.factors.find(x => x.key === k);
+      return f ? Math.abs(weights[k] * (f.homeEdge - f.awayEdge)) : 0;
+    });
+    const sum = moves.reduce((a, b) => a + b, 0);
+    if (sum === 0) continue;
+    keys.forEach((k, i) => { totals[k] += moves[i] / sum; });
+  }
+  const out = {};
+  for (const k of keys) out[k] = samples.length ? round(totals[k] / samples.length * 100, 1) : 0;
+  return out;
+}
+
+// ─── RUN ──────────────────────────────────────────────────────────────────────
+/**
+ * Fit on every season from `from` up to (but not including) `to`, and test
+ * on `to` — the held-out season.
+ */
+async function calibrate(from, to) {
+  const trainYears = [];
+  for (let y = from; y < to; y++) trainYears.push(y);
+
+  const train = await collectSamples(trainYears);
+  const test  = await collectSamples([to]);
+  if (train.length === 0) throw new Error(`No completed games to fit on in ${from}-${to - 1}`);
+
+  const fitted = fitWeights(train);
+  // Spreads around the fitted weights' probabilities
+  const scoreModel = fitScoreModel(train.map(s => ({
+    ...s, homeProb: engine.combineFactors(s.factors, fitted),
+  })), engine.SCORE_MODEL);
+  const blend = fitBlend(train, fitted);
+
+  return {
+    trainedOn: trainYears,
+    heldOut:   to,
+    current:   { version: engine.WEIGHTS_VERSION, weights: engine.WEIGHTS },
+    fitted,
+    scoreModel: { current: engine.SCORE_MODEL, fitted: scoreModel },
+    blend: {
+      current: SQUIGGLE_BLEND,
+      fitted:  blend,
+      test: {
+        current: evaluateBlend(test, engine.WEIGHTS, SQUIGGLE_BLEND),
+        fitted:  blend === null ? null : evaluateBlend(test, fitted, blend),
+      },
+    },
+    contributions: contributions(train, fitted),
+    fit: {
+      train: { current: evaluate(train, engine.WEIGHTS), fitted: evaluate(train, fitted) },
+      test:  { current: evaluate(test, engine.WEIGHTS),  fitted: evaluate(test, fitted) },
+    },
+  };
+}
+
+/**
+ * Write a calibration result as the next version of the weights file.
+ */
+function saveWeights(result, file = path.join(__dirname, 'weights.json')) {
+  let version = 1;
+  try {
+    const prev = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (Number.isInteger(prev.version)) version = prev.version + 1;
+  } catch { /* first fitted set */ }
+
+  const out = {
+    version,
+    fittedAt:  new Date().toISOString(),
+    trainedOn: result.trainedOn,
+    heldOut:   result.heldOut,
+    test:      result.fit.test.fitted,
+    weights:   result.fitted,
+    scoreModel: {
+      marginSd:  result.scoreModel.fitted.marginSd,
+      totalSd:   result.scoreModel.fitted.totalSd,
+      totalBias: result.scoreModel.fitted.totalBias,
+    },
+  };
+  if (result.blend?.fitted !== null && result.blend?.fitted !== undefined) {
+    out.squiggleBlend = result.blend.fitted;
+  }
+  fs.writeFileSync(file, JSON.stringify(out, null, 2) + '\n');
+  return out;
+}
+
+// ─── HELPERS ──────────────────────────────────────────────────────────────────
+function softmax(xs) {
+  const max = Math.max(...xs);
+  const exps = xs.map(x => Math.exp(x - max));
+  const sum = exps.reduce((a, b) => a + b, 0);
+  return exps.map(e => e / sum);
+}
+
+function clamp(p) {
+  return Math.min(0.999, Math.max(0.001, p));
+}
+
+module.exports = {
+  collectSamples,
+  fitWeights,
+  fitBlend,
+  evaluate,
+  evaluateBlend,
+  contributions,
+  calibrate,
+  saveWeights,
+};
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+  const [from, to] = process.argv.slice(2).map(Number);
+  if (!from || !to || from >= to) {
+    console.error('Usage: node calibrate.js <fromYear> <heldOutYear> [--write]');
+    process.exit(1);
+  }
+  calibrate(from, to).then(result => {
+    console.log(JSON.stringify(result, null, 2));
+    if (process.argv.includes('--write')) {
+      const saved = saveWeights(result);
+      console.log(`Saved weights.json v${saved.version}`);
+    }
+  }).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,217 @@
+/**
+ * AFL Edge — Finals series
+ *
+ * The AFL final-eight system:
+ *   Week 1  QF1 1v4, QF2 2v3 (losers get a second chance), EF1 5v8, EF2 6v7 (losers out)
+ *   Week 2  SF1 loser QF1 v winner EF1, SF2 loser QF2 v winner EF2
+ *           (QF winners have the week off)
+ *   Week 3  PF1 winner QF1 v winner SF2, PF2 winner QF2 v winner SF1
+ *   Week 4  Grand Final at the MCG
+ *
+ * The higher-ranked team hosts each final at its home ground. Victorian
+ * clubs (including Geelong) host at the MCG.
+ *
+ * Also prepares fixtured finals for /api/predict: fills in the venue when
+ * it's still to be confirmed and reports which side (if any) actually has
+ * the home advantage, since the "home" label in a final is just seeding.
+ */
+
+const simulate = require('./simulate');
+const { loadSeasonContext, loadAllMeetings, homeWinProbability } = require('./matchup');
+const { isInterstate } = require('./travel');
+const { getTeam, teamId, homeId, awayId } = require('./teams');
+
+const GRAND_FINAL_VENUE = 'M.C.G.';
+
+// Stages a team can reach, in order — index is what simulateFinals records
+const STAGES = ['missed', 'finals', 'week2', 'prelim', 'grandFinal', 'premiership'];
+
+// ─── VENUES ───────────────────────────────────────────────────────────────────
+/**
+ * Venue for a final hosted by `host`: the MCG for Victorian clubs, the main
+ * home ground (teams.js) for everyone else.
+ */
+function finalsVenue(host, { grandFinal = false } = {}) {
+  if (grandFinal) return GRAND_FINAL_VENUE;
+  const team = getTeam(host);
+  if (!team || team.state === 'VIC') return GRAND_FINAL_VENUE;
+  return team.grounds[0] || GRAND_FINAL_VENUE;
+}
+
+/**
+ * Prepare a fixtured final for prediction.
+ * @returns {{ match, finals }} match with a resolved venue, plus finals info
+ */
+function prepareFinal(match) {
+  const grandFinal = !!match.is_grand_final;
+  const venueKnown = match.venue && !/^(tba|tbc|tbd)$/i.test(match.venue.trim());
+  const venue = grandFinal ? GRAND_FINAL_VENUE
+    : venueKnown ? match.venue
+    : finalsVenue(match.hteam);
+
+  const homeTravels = isInterstate(match.hteam, venue);
+  const awayTravels = isInterstate(match.ateam, venue);
+  const neutral = homeTravels === awayTravels;
+
+  return {
+    match: { ...match, venue, is_final: match.is_final || 1 },
+    finals: {
+      grandFinal,
+      venue,
+      venueAllocated: grandFinal || !venueKnown,
+      neutral,
+      // Team that actually has the ground advantage (null at a neutral venue)
+      advantage: neutral ? null : awayTravels ? match.hteam : match.ateam,
+    },
+  };
+}
+
+// ─── BRACKET ──────────────────────────────────────────────────────────────────
+/**
+ * Play one finals series.
+ *
+ * @param {Array}    top8 — team names in ladder order
+ * @param {Function} play — (home, away, { week, grandFinal }) → winner name;
+ *   week is the finals week, 1-4
+ * @returns {Object} team name → index into STAGES of the furthest stage reached
+ */
+function simulateFinals(top8, play) {
+  const reached = Object.fromEntries(top8.map(t => [t, 1]));
+  const seed = t => top8.indexOf(t);
+  const hosted = (home, away, opts) => {
+    const winner = play(home, away, opts);
+    return [winner, winner === home ? away : home];
+  };
+  // Higher-ranked team is the home side
+  const game = (a, b, opts) => seed(a) < seed(b) ? hosted(a, b, opts) : hosted(b, a, opts);
+
+  // Week 1
+  const [qf1w, qf1l] = game(top8[0], top8[3], { week: 1 });
+  const [qf2w, qf2l] = game(top8[1], top8[2], { week: 1 });
+  const [ef1w] = game(top8[4], top8[7], { week: 1 });
+  const [ef2w] = game(top8[5], top8[6], { week: 1 });
+  for (const t of [qf1w, qf1l, qf2w, qf2l, ef1w, ef2w]) reached[t] = 2;
+
+  // Week 2 — QF losers host
+  const [sf1w] = game(qf1l, ef1w, { week: 2 });
+  const [sf2w] = game(qf2l, ef2w, { week: 2 });
+  for (const t of [qf1w, qf2w, sf1w, sf2w]) reached[t] = 3;
+
+  // Week 3 — QF winners host, even against a higher seed that lost its QF
+  const [pf1w] = hosted(qf1w, sf2w, { week: 3 });
+  const [pf2w] = hosted(qf2w, sf1w, { week: 3 });
+  reached[pf1w] = reached[pf2w] = 4;
+
+  // Grand Final
+  const [premier] = game(pf1w, pf2w, { week: 4, grandFinal: true });
+  reached[premier] = 5;
+
+  return reached;
+}
+
+/**
+ * Finals already played, for replaying in simulateFinals. A played final
+ * stands in for a simulated one between the same pair in the same finals
+ * week (Grand Final flag included), and only once per series — so a
+ * qualifying final rematch in the Grand Final is still simulated.
+ *
+ * @param {Array} games — the season's games
+ * @returns {{ count, series: Function }} series() gives a fresh
+ *   (home, away, { week, grandFinal }) → winner name | null for one series
+ */
+function playedFinals(games) {
+  // Finals week of each game: its round's place among the finals rounds
+  const rounds = [...new Set(games.filter(g => g.is_final).map(g => g.round))].sort((a, b) => a - b);
+  const played = games
+    .filter(g => g.is_final && g.complete === 100)
+    .map(g => ({ game: g, week: rounds.indexOf(g.round) + 1 }));
+
+  const series = () => {
+    const used = new Set();
+    return (home, away, { week, grandFinal = false }) => {
+      const [h, a] = [teamId(home), teamId(away)];
+      const actual = played.find(p =>
+        !used.has(p) && p.week === week && !!p.game.is_grand_final === !!grandFinal &&
+        ((homeId(p.game) === h && awayId(p.game) === a) || (homeId(p.game) === a && awayId(p.game) === h))
+      );
+      if (!actual) return null;
+      used.add(actual);
+      const g = actual.game;
+      return g.hscore > g.ascore ? g.hteam : g.ateam;
+    };
+  };
+  return { count: played.length, series };
+}
+
+// ─── RUN ──────────────────────────────────────────────────────────────────────
+/**
+ * Simulate the rest of the home-and-away season (if any) and then the
+ * finals, `sims` times. Finals already played use their real result.
+ */
+async function projectFinals(year, { sims = simulate.DEFAULT_SIMS, seed } = {}) {
+  const ctx = await loadSeasonContext(year);
+  const played = playedFinals(ctx.games);
+
+  // Any two clubs on the ladder could meet in the finals
+  const clubs = ctx.standings.map(t => t.name);
+  await loadAllMeetings(ctx, clubs.flatMap((hteam, i) => clubs.slice(i + 1).map(ateam => ({ hteam, ateam }))));
+
+  // Probability cache — the same matchup at the same venue comes up constantly
+  const probs = new Map();
+  const probability = (home, away, grandFinal) => {
+    const venue = finalsVenue(home, { grandFinal });
+    const key = `${home}|${away}|${venue}`;
+    if (!probs.has(key)) {
+      probs.set(key, homeWinProbability({
+        hteam: home, ateam: away, venue, year, round: 99,
+        is_final: 1, is_grand_final: grandFinal ? 1 : 0,
+      }, ctx));
+    }
+    return probs.get(key);
+  };
+
+  const tally = {};
+  const onLadder = (ladder, rng) => {
+    const top8 = ladder.slice(0, 8).map(t => t.name);
+    const result = played.series();
+    const reached = simulateFinals(top8, (home, away, opts) => {
+      const actual = result(home, away, opts);
+      if (actual) return actual;
+      return rng() < probability(home, away, opts.grandFinal) ? home : away;
+    });
+    for (const t of ladder) {
+      if (!tally[t.name]) tally[t.name] = new Array(STAGES.length).fill(0);
+      tally[t.name][reached[t.name] || 0]++;
+    }
+  };
+
+  const season = await simulate.projectSeason(year, { sims, seed, ctx, onLadder });
+
+  const teams = Object.entries(tally).map(([name, counts]) => {
+    // P(reached stage s or further)
+    const atLeast = s => counts.slice(s).reduce((a, b) => a + b, 0);
+    const out = { name };
+    STAGES.slice(1).forEach((stage, i) => {
+      out[stage] = parseFloat((atLeast(i + 1) / sims * 100).toFixed(1));
+    });
+    return out;
+  }).sort((a, b) => b.premiership - a.premiership || b.grandFinal - a.grandFinal || b.finals - a.finals);
+
+  return {
+    year,
+    sims,
+    remainingGames: season.remainingGames,
+    finalsPlayed: played.count,
+    teams,
+  };
+}
+
+module.exports = {
+  GRAND_FINAL_VENUE,
+  STAGES,
+  finalsVenue,
+  prepareFinal,
+  simulateFinals,
+  playedFinals,
+  projectFinals,
+};
@@ -0,0 +1,112 @@
+/**
+ * AFL Edge — Offline Squiggle fixtures
+ *
+ * Serves recorded Squiggle responses from a directory instead of the network,
+ * so the app and the test suite run without api.squiggle.com.au.
+ *
+ * Directory layout (each file is a raw Squiggle response body):
+ *   teams.json              { "teams": [...] }
+ *   games-<year>.json       { "games": [...] }      — the whole season
+ *   tips-<year>.json        { "tips": [...] }
+ *   standings-<year>.json   { "standings": [...] }  — latest ladder
+ *
+ * round / game / complete filters are applied here, the way Squiggle applies
+ * them. A year with no file is an empty list, as Squiggle returns for
+ * seasons it has no data for.
+ *
+ * Two ways to use it:
+ *   SQUIGGLE_FIXTURES=test/fixtures   squiggle.js reads the files directly
+ *   node fixtures.js [dir] [port]     a stand-in server; point the client at
+ *                                     it with SQUIGGLE_BASE=http://localhost:8787/
+ */
+
+const fs   = require('fs');
+const path = require('path');
+const http = require('http');
+
+const DEFAULT_DIR  = path.join(__dirname, 'test', 'fixtures');
+const DEFAULT_PORT = 8787;
+
+// Query type → response key and the filters Squiggle supports for it
+const QUERIES = {
+  teams:     { key: 'teams',     filters: [] },
+  games:     { key: 'games',     filters: ['round', 'complete'] },
+  tips:      { key: 'tips',      filters: ['round', 'game'] },
+  standings: { key: 'standings', filters: [] },
+};
+
+// ─── PROVIDER ─────────────────────────────────────────────────────────────────
+/**
+ * Read Squiggle-shaped responses from `dir`.
+ * `get(params)` takes the same params as squiggle.js sends (q, year, round…).
+ */
+function createFixtureProvider(dir = DEFAULT_DIR) {
+  const files = new Map(); // file → parsed body, read once
+
+  function load(file) {
+    if (!files.has(file)) {
+      const full = path.join(dir, file);
+      files.set(file, fs.existsSync(full) ? JSON.parse(fs.readFileSync(full, 'utf8')) : null);
+    }
+    return files.get(file);
+  }
+
+  return {
+    dir,
+
+    async get(params) {
+      const query = QUERIES[params.q];
+      if (!query) throw new Error(`Fixtures don't cover q=${params.q}`);
+
+      const file = params.q === 'teams' ? 'teams.json' : `${params.q}-${params.year}.json`;
+      // Copy so callers can sort or splice without touching the loaded file
+      let rows = [...(load(file)?.[query.key] || [])];
+
+      for (const filter of query.filters) {
+        if (params[filter] === undefined) continue;
+        const value = parseInt(params[filter]);
+        const field = filter === 'game' ? 'gameid' : filter;
+        rows = rows.filter(r => r[field] === value);
+      }
+
+      return { [query.key]: rows };
+    },
+  };
+}
+
+// ─── SERVER ───────────────────────────────────────────────────────────────────
+/**
+ * HTTP stand-in for api.squiggle.com.au backed by a fixture provider.
+ * Accepts both `?q=games&year=2025` and Squiggle's `?q=games;year=2025`.
+ */
+function createServer(provider = createFixtureProvider()) {
+  return http.createServer(async (req, res) => {
+    const search = (req.url.split('?')[1] || '').replace(/;/g, '&');
+    const params = Object.fromEntries(new URLSearchParams(search));
+
+    try {
+      const body = await provider.get(params);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    } catch (err) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_DIR,
+  createFixtureProvider,
+  createServer,
+};
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+  const dir  = path.resolve(process.argv[2] || DEFAULT_DIR);
+  const port = parseInt(process.argv[3]) || DEFAULT_PORT;
+  createServer(createFixtureProvider(dir)).listen(port, () => {
+    console.log(`Serving Squiggle fixtures from ${dir}`);
+    console.log(`  SQUIGGLE_BASE=http://localhost:${port}/`);
+  });
+}
@@ -0,0 +1,224 @@
+/**
+ * AFL Edge — Game forecasts
+ *
+ * Everything /api/predict returns for a fixtured game, built from a season
+ * context (matchup.loadSeasonContext) that has already been loaded: the
+ * blended prediction, Squiggle's tips, factor contributions, the line
+ * assessment and any what-if rerun. /api/predict builds one; /api/predict-round
+ * builds a whole round from the same context, so a round costs one load of
+ * the fixture, ladder, tips and history rather than one per game.
+ */
+
+const squiggle   = require('./squiggle');
+const engine     = require('./predictor');
+const finals     = require('./finals');
+const scoremodel = require('./scoremodel');
+const whatif     = require('./whatif');
+const { predictGame, loadMeetings, blendProbability, SQUIGGLE_BLEND, BLEND_SOURCE } = require('./matchup');
+const { round } = require('./stats');
+
+// Handicaps checked for the predicted winner, and the cover probability
+// needed to lean on one
+const STANDARD_LINES = [6.5, 12.5, 18.5, 24.5, 30.5, 39.5];
+const LEAN_PROB   = 0.55;
+const STRONG_LINE = 24.5;
+
+// ─── FORECAST ─────────────────────────────────────────────────────────────────
+/**
+ * The full forecast for one fixtured game.
+ *
+ * @param {Object} game — Squiggle game row from ctx.games
+ * @param {Object} ctx  — loadSeasonContext()
+ * @param {Object} [options]
+ * @param {number} [options.line]   — home handicap to price
+ * @param {number} [options.total]  — points line to price
+ * @param {number} [options.blend]  — Squiggle's share, instead of SQUIGGLE_BLEND
+ * @param {Array}  [options.overrides] — whatif.parseOverrides() overrides
+ * @returns {Promise<{ body, match, ledgerEntry } | { status, error }>} body is the
+ *   /api/predict response, match the game as predicted (finals at their
+ *   allocated venue) and ledgerEntry what ledger.record() takes with it; an
+ *   error (422) for an undecided final or a team with no games to go on
+ */
+async function forecastGame(game, ctx, { line = null, total = null, blend = null, overrides = [] } = {}) {
+  // Finals are played at allocated venues — the "home" side is just the
+  // higher seed, so resolve the venue and who really has the ground
+  let match = game;
+  let finalsInfo = null;
+  if (game.is_final) {
+    if (!game.hteam || !game.ateam) {
+      return { status: 422, error: 'This final\'s teams have not been decided yet' };
+    }
+    ({ match, finals: finalsInfo } = finals.prepareFinal(game));
+  }
+  const { hteam, ateam } = match;
+
+  // Older seasons for the pair's head to head, if the recent ones are short
+  await loadMeetings(ctx, hteam, ateam);
+
+  // ── 1. Engine prediction blended with Squiggle ────────────────────────────
+  // A game already played is predicted as at the start of its round: the
+  // ladder as it stood then, not where the teams finished
+  const squiggleWeight = blend ?? SQUIGGLE_BLEND;
+  const predicted = predictGame(match, ctx, squiggleWeight);
+  if (!predicted) {
+    return { status: 422, error: 'No match history for one or both teams this season or last' };
+  }
+  const { prediction, matchup, engineHomeProb, squiggle: squiggleSide } = predicted;
+  const finalHomeProb = prediction.home.winProbability;
+
+  prediction.lineAssessment = assessLine(prediction, { line, total });
+
+  // ── 2. Squiggle's models for this game ────────────────────────────────────
+  const matchTips = squiggle.tipsForMatch(ctx.tips, match.round, hteam, ateam);
+  const aggregateTip = squiggle.pickAggregateTip(matchTips);
+  // Squiggle hconfidence = % chance home team wins (0-100)
+  const modelConsensus = matchTips.length > 0
+    ? Math.round(matchTips.reduce((s, t) => s + (t.hconfidence || 50), 0) / matchTips.length)
+    : null;
+
+  // ── 3. What each factor is worth in the final figure ──────────────────────
+  // The engine's share of its contribution, plus Squiggle's pull away from 50/50
+  const engineShare = squiggleSide ? 1 - squiggleWeight : 1;
+  const contributions = {
+    baseline: 50,
+    factors: Object.fromEntries(prediction.keyFactors.map(f => [f.key, round(f.contribution * engineShare, 1)])),
+    squiggle: squiggleSide ? round((squiggleSide.homeProb - 50) * squiggleWeight, 1) : 0,
+  };
+
+  // ── 4. What-if: rerun the engine with the overridden inputs ───────────────
+  let whatIf = null;
+  if (overrides.length > 0) {
+    const changed = whatif.applyOverrides(matchup.homeStats, matchup.awayStats, overrides);
+    const rerun = engine.predictMatch(changed.homeStats, changed.awayStats, matchup.venue);
+    const engineProb = rerun.home.winProbability;
+    const blendedProb = blendProbability(engineProb, squiggleSide?.homeProb ?? null, squiggleWeight);
+    whatIf = {
+      overrides: overrides.map(o => ({
+        team: o.side === 'both' ? 'both' : o.side === 'home' ? hteam : ateam,
+        input: o.input,
+        value: o.value,
+      })),
+      engineHomeWinPct: engineProb,
+      homeWinPct:       blendedProb,
+      // Home win % points against the prediction above
+      change: {
+        engine: round(engineProb - engineHomeProb, 1),
+        blend:  round(blendedProb - finalHomeProb, 1),
+      },
+      factors: rerun.keyFactors.map((f, i) => ({
+        key:          f.key,
+        name:         f.name,
+        contribution: f.contribution,
+        change:       round(f.contribution - prediction.keyFactors[i].contribution, 1),
+      })),
+    };
+  }
+
+  const { homeStats, awayStats } = matchup;
+  const ensembleHomeProb = ctx.ensemble.probability(matchTips, match.round);
+  const body = {
+    matchId: game.id,
+    match: {
+      name:      `${hteam} v ${ateam}`,
+      hteam,
+      ateam,
+      round:     match.round,
+      roundName: match.roundname,
+      date:      match.date,
+      venue:     match.venue,
+      ground:    matchup.venue,
+      isFinal:   !!match.is_final,
+      // Predicted from what was known going into the round
+      backdated: match.complete === 100,
+    },
+    finals: finalsInfo,
+    prediction,
+    // Home win % points each factor (and Squiggle) adds to a 50/50 start;
+    // they sum to the blended probability, give or take rounding
+    contributions,
+    whatIf,
+    // How much of each team's inputs came from last season's games
+    prior: { home: homeStats.prior, away: awayStats.prior },
+    // The home side's record in the meetings behind the Head to Head factor
+    h2h: matchup.h2h,
+    blend: {
+      engineWeight:   round(1 - squiggleWeight, 3),
+      squiggleWeight: round(squiggleWeight, 3),
+      source:         blend !== null ? 'request' : BLEND_SOURCE,
+      // Which Squiggle figure was blended in (null: none, engine only)
+      squiggleSource: squiggleSide?.source ?? null,
+    },
+    squiggle: {
+      aggregateHomeWinPct: aggregateTip?.hconfidence || null,
+      ensembleHomeWinPct: ensembleHomeProb,
+      ensembleModels: ctx.ensemble.weightsAt(match.round).size,
+      modelConsensusHomeWinPct: modelConsensus,
+      modelCount: matchTips.length,
+      tip: aggregateTip?.tip || null,
+      margin: aggregateTip?.margin || null,
+    },
+    stale: squiggle.isStale(ctx.games, ctx.standings, ctx.tips),
+  };
+
+  const ledgerEntry = {
+    engineHomeProb,
+    blendHomeProb:  finalHomeProb,
+    homeScore:      prediction.home.predictedScore,
+    awayScore:      prediction.away.predictedScore,
+    aggregate:      aggregateTip,
+    ensembleHomeProb,
+    weightsVersion: prediction.weightsVersion,
+  };
+  return { body, ledgerEntry, match };
+}
+
+// ─── LINE ASSESSMENT ──────────────────────────────────────────────────────────
+/**
+ * Line assessment from the margin distribution: the chance the predicted
+ * winner covers each standard handicap, and the biggest one it covers with
+ * LEAN_PROB or better. `line` (home handicap, e.g. -12.5) and `total` add
+ * cover / over probabilities for a specific market.
+ */
+function assessLine(prediction, { line = null, total = null } = {}) {
+  const { margin, total: totalDist } = prediction.scoreModel;
+  const homeTipped = prediction.home.winProbability >= 50;
+  const winner = prediction.predictedWinner;
+  // P(predicted winner wins by more than l)
+  const covers = l => homeTipped
+    ? scoremodel.probMarginOver(margin, l)
+    : 1 - scoremodel.probMarginOver(margin, -l);
+  const pct = p => parseFloat((p * 100).toFixed(1));
+
+  const lines = STANDARD_LINES.map(l => ({ line: l, winnerCovers: pct(covers(l)) }));
+  const best = [...STANDARD_LINES].reverse().find(l => covers(l) >= LEAN_PROB);
+
+  const assessment = {
+    predictedWinner: winner,
+    predictedMargin: Math.abs(prediction.predictedMargin),
+    marginInterval80: homeTipped
+      ? margin.intervals[80]
+      : margin.intervals[80].map(x => -x).reverse(),
+    lines,
+    recommendation: best >= STRONG_LINE
+      ? `Strong lean to ${winner} at -${best} (${pct(covers(best))}% to cover) — consider handicap bet`
+      : best
+      ? `Moderate lean to ${winner} at -${best} (${pct(covers(best))}% to cover) — check the line`
+      : `Close game — ${winner} covers no line from -${STANDARD_LINES[0]} with ${Math.round(LEAN_PROB * 100)}%+ — line bet is risky`,
+  };
+
+  if (Number.isFinite(line)) {
+    const homeCovers = scoremodel.probMarginOver(margin, -line);
+    assessment.requestedLine = { line, homeCovers: pct(homeCovers), awayCovers: pct(1 - homeCovers) };
+  }
+  if (Number.isFinite(total)) {
+    const over = scoremodel.probTotalOver(totalDist, total);
+    assessment.requestedTotal = { total, over: pct(over), under: pct(1 - over) };
+  }
+  return assessment;
+}
+
+module.exports = {
+  STANDARD_LINES,
+  forecastGame,
+  assessLine,
+};
@@ -0,0 +1,44 @@
+/**
+ * AFL Edge — Game times
+ *
+ * Squiggle gives a game's times as local date strings ("2025-04-18 19:40:00")
+ * with the ground's UTC offset alongside in `tz` ("+09:30"). These turn them
+ * into instants, for anything that needs to know when a game starts or when
+ * Squiggle last changed it — the ledger (which stops recording at kickoff)
+ * and the calendar feed.
+ */
+
+// Squiggle's own time zone, for rows that don't say
+const DEFAULT_TZ = '+10:00';
+
+/**
+ * A Squiggle local time as ms since the epoch, NaN if there isn't one.
+ *
+ * @param {string} local — "YYYY-MM-DD HH:MM:SS"
+ * @param {string} [tz]  — UTC offset, e.g. "+09:30"
+ */
+function parseLocal(local, tz = DEFAULT_TZ) {
+  if (!local) return NaN;
+  return Date.parse(`${local.replace(' ', 'T')}${tz || DEFAULT_TZ}`);
+}
+
+/**
+ * Kickoff time in ms.
+ */
+function kickoff(game) {
+  return parseLocal(game.date, game.tz);
+}
+
+/**
+ * When Squiggle last changed the game's row (rescheduled, scores updated),
+ * in ms — NaN for rows without an `updated` stamp, such as offline fixtures.
+ */
+function lastUpdated(game) {
+  return parseLocal(game.updated, game.tz);
+}
+
+module.exports = {
+  parseLocal,
+  kickoff,
+  lastUpdated,
+};
@@ -0,0 +1,118 @@
+/**
+ * AFL Edge — Head to head
+ *
+ * The record between two clubs from their last few meetings, however many
+ * seasons back those go — most pairs only meet once or twice a year, so
+ * ten meetings can span five seasons or more. Recent meetings count for
+ * more than old ones: each meeting is worth H2H_DECAY of the one after it.
+ * A draw is half a win to each side.
+ *
+ * Records are weighted, so `wins` and `played` are fractional; the engine's
+ * Head to Head factor only uses their ratio. The meetings themselves come
+ * back too, so the factor can be checked against the results behind it.
+ */
+
+const teams  = require('./teams');
+const venues = require('./venues');
+const { round } = require('./stats');
+
+// Meetings counted, newest first
+const H2H_MEETINGS = 10;
+
+// Weight of each meeting relative to the one after it
+const H2H_DECAY = 0.85;
+
+// ─── MEETINGS ─────────────────────────────────────────────────────────────────
+/**
+ * The last `n` completed games between two teams, either way round,
+ * newest first.
+ *
+ * @param {string} team
+ * @param {string} opponent
+ * @param {Array}  games — completed games from any number of seasons, any order
+ */
+function lastMeetings(team, opponent, games, n = H2H_MEETINGS) {
+  const id    = teams.teamId(team);
+  const oppId = teams.teamId(opponent);
+  if (id === null || oppId === null) return [];
+
+  return games
+    .filter(g => g.complete === 100 && (
+      (teams.homeId(g) === id && teams.awayId(g) === oppId) ||
+      (teams.homeId(g) === oppId && teams.awayId(g) === id)
+    ))
+    .sort((a, b) => (b.date || '').localeCompare(a.date || '') || b.id - a.id)
+    .slice(0, n);
+}
+
+// ─── RECORD ───────────────────────────────────────────────────────────────────
+/**
+ * Recency-weighted head-to-head record for `team` against `opponent`.
+ *
+ * @param {string} team
+ * @param {string} opponent
+ * @param {Array}  games — completed games to search
+ * @param {Object} [options]
+ * @param {number} [options.meetings] — how many meetings to count (H2H_MEETINGS)
+ * @param {number} [options.decay]    — weight of each meeting relative to the next (H2H_DECAY)
+ * @param {string} [options.venue]    — also split the record at / away from this ground
+ * @returns {{ wins, played, games, record: { wins, draws, losses }, meetings: Array,
+ *   venue: { name, at, elsewhere } | null }} wins / played weighted (the
+ *   opponent's weighted wins are played − wins), games and record plain counts
+ */
+function headToHead(team, opponent, games, { meetings: n = H2H_MEETINGS, decay = H2H_DECAY, venue = null } = {}) {
+  const id = teams.teamId(team);
+  const meetings = lastMeetings(team, opponent, games, n).map((g, i) => {
+    const isHome = teams.homeId(g) === id;
+    const margin = isHome ? (g.hscore || 0) - (g.ascore || 0) : (g.ascore || 0) - (g.hscore || 0);
+    return {
+      gameId: g.id,
+      year:   g.year,
+      round:  g.round,
+      date:   g.date,
+      venue:  g.venue,
+      hteam:  g.hteam,
+      ateam:  g.ateam,
+      hscore: g.hscore,
+      ascore: g.ascore,
+      // From `team`'s side
+      result: margin > 0 ? 'W' : margin < 0 ? 'L' : 'D',
+      margin,
+      weight: round(Math.pow(decay, i), 3),
+    };
+  });
+
+  return {
+    ...tally(meetings),
+    record: {
+      wins:   meetings.filter(m => m.result === 'W').length,
+      draws:  meetings.filter(m => m.result === 'D').length,
+      losses: meetings.filter(m => m.result === 'L').length,
+    },
+    meetings,
+    venue: venue === null ? null : {
+      name:      venue,
+      // Under any of the ground's names — Docklands has had four
+      at:        tally(meetings.filter(m => venues.sameVenue(m.venue, venue))),
+      elsewhere: tally(meetings.filter(m => !venues.sameVenue(m.venue, venue))),
+    },
+  };
+}
+
+// ─── HELPERS ──────────────────────────────────────────────────────────────────
+// Weighted wins and games, plus how many meetings they came from
+function tally(meetings) {
+  const score = { W: 1, D: 0.5, L: 0 };
+  return {
+    wins:   round(meetings.reduce((s, m) => s + score[m.result] * m.weight, 0), 3),
+    played: round(meetings.reduce((s, m) => s + m.weight, 0), 3),
+    games:  meetings.length,
+  };
+}
+
+module.exports = {
+  H2H_MEETINGS,
+  H2H_DECAY,
+  lastMeetings,
+  headToHead,
+};
@@ -0,0 +1,283 @@
+/**
+ * AFL Edge — Prediction ledger
+ *
+ * Every /api/predict call for a game that hasn't started records what we
+ * predicted: engine and blended probabilities, predicted scores, the
+ * Squiggle aggregate and our weighted ensemble of Squiggle's models. The
+ * last call before kickoff is the one that stands. Once Squiggle marks the
+ * game complete the snapshot is graded against the result and kept, so
+ * accuracy can be tracked over a season.
+ *
+ * Snapshots are stored one season per key through the cache.js store
+ * interface:
+ *   AFL_EDGE_LEDGER=file|memory   (default file)
+ *   AFL_EDGE_LEDGER_DIR           (default <tmpdir>/afl-edge-ledger)
+ *
+ * The default directory only lasts as long as the machine's temp space — on
+ * Vercel that is one function instance, so a deployment without
+ * AFL_EDGE_LEDGER_DIR pointing at shared storage loses its record (and says
+ * so in the log and in /api/accuracy's `ledger.persistent`).
+ */
+
+const os   = require('os');
+const path = require('path');
+const cacheStores = require('./cache');
+const engine      = require('./predictor');
+const { expectedMargin } = require('./scoremodel');
+const { scoreRecords, MODELS } = require('./backtest');
+const { round } = require('./stats');
+const { kickoff } = require('./gametime');
+
+const DEFAULT_DIR = path.join(os.tmpdir(), 'afl-edge-ledger');
+
+// Favourite's win probability bands for the calibration table
+const CALIBRATION_BUCKETS = [50, 60, 70, 80, 90, 100];
+
+let persistent = true;
+let store = createStoreFromEnv();
+const queues = new Map(); // season key → tail of pending writes
+
+function createStoreFromEnv(env = process.env) {
+  const kind = (env.AFL_EDGE_LEDGER || 'file').toLowerCase();
+  // Serverless temp space is per instance — nothing there outlives it
+  persistent = kind !== 'memory' && !(env.VERCEL && !env.AFL_EDGE_LEDGER_DIR);
+  if (kind === 'memory') return cacheStores.createMemoryStore();
+  if (kind !== 'file') console.warn(`[ledger] Unknown AFL_EDGE_LEDGER "${kind}" — using file`);
+  if (!persistent) {
+    console.error(`[ledger] AFL_EDGE_LEDGER_DIR is not set — predictions go to ${DEFAULT_DIR}, ` +
+      'which does not survive this instance. Point it at shared storage to keep an accuracy record.');
+  }
+  return cacheStores.createFileStore(env.AFL_EDGE_LEDGER_DIR || DEFAULT_DIR);
+}
+
+/**
+ * Swap the store (see cache.js) — tests use a memory store. A store passed
+ * in is taken to be the durable one.
+ */
+function setStore(newStore) {
+  store = newStore;
+  persistent = true;
+}
+
+/**
+ * Whether snapshots outlive this process — false for a memory store, and for
+ * the default temp directory on Vercel.
+ */
+function isPersistent() {
+  return persistent;
+}
+
+// ─── STORAGE ──────────────────────────────────────────────────────────────────
+const seasonKey = year => `ledger:${year}`;
+
+async function readSeason(year) {
+  const entry = await store.get(seasonKey(year));
+  return entry?.snapshots || {};
+}
+
+// Read-modify-write one season. Writes to the same season are queued so two
+// predictions landing together don't overwrite each other.
+function updateSeason(year, fn) {
+  const key = seasonKey(year);
+  const run = (queues.get(key) || Promise.resolve()).then(async () => {
+    const snapshots = await readSeason(year);
+    const changed = fn(snapshots);
+    if (changed) await store.set(key, { snapshots });
+    return snapshots;
+  });
+  queues.set(key, run.catch(() => {}));
+  return run;
+}
+
+// ─── RECORD ───────────────────────────────────────────────────────────────────
+/**
+ * True while a prediction for this game can still be recorded.
+ */
+function isOpen(match, now = Date.now()) {
+  return match.complete === 0 && !(kickoff(match) <= now);
+}
+
+/**
+ * Record (or replace) the pre-game snapshot for a match.
+ *
+ * @param {Object} match — Squiggle game
+ * @param {Object} p
+ * @param {number} p.engineHomeProb — engine only, 0-100
+ * @param {number} p.blendHomeProb  — after the Squiggle blend, 0-100
+ * @param {number} p.homeScore
+ * @param {number} p.awayScore
+ * @param {Object} [p.aggregate]    — Squiggle aggregate tip
+ * @param {number} [p.ensembleHomeProb] — weighted Squiggle ensemble, 0-100
+ * @param {string} [p.weightsVersion]
+ * @returns {Promise<Object|null>} the snapshot, or null if the game has started
+ */
+async function record(match, p, { now = Date.now() } = {}) {
+  if (!isOpen(match, now)) return null;
+
+  const snapshot = {
+    gameId: match.id,
+    year:   match.year,
+    round:  match.round,
+    hteam:  match.hteam,
+    ateam:  match.ateam,
+    venue:  match.venue,
+    date:   match.date,
+    recordedAt: new Date(now).toISOString(),
+    weightsVersion: p.weightsVersion ?? null,
+    engine: { homeProb: p.engineHomeProb },
+    blend:  { homeProb: p.blendHomeProb },
+    predicted: {
+      homeScore: p.homeScore,
+      awayScore: p.awayScore,
+      margin:    p.homeScore - p.awayScore,
+    },
+    aggregate: p.aggregate ? {
+      homeProb: p.aggregate.hconfidence,
+      tip:      p.aggregate.tip,
+      margin:   p.aggregate.tip === match.hteam ? (p.aggregate.margin || 0) : -(p.aggregate.margin || 0),
+    } : null,
+    // No margin of its own — the engine's score model's, as the backtest does
+    ensemble: p.ensembleHomeProb != null ? {
+      homeProb: p.ensembleHomeProb,
+      margin:   Math.round(expectedMargin(p.ensembleHomeProb / 100, engine.SCORE_MODEL.marginSd)),
+    } : null,
+    result: null,
+  };
+
+  await updateSeason(match.year, snapshots => {
+    snapshots[match.id] = { ...snapshot, firstRecordedAt: snapshots[match.id]?.firstRecordedAt || snapshot.recordedAt };
+    return true;
+  });
+  return snapshot;
+}
+
+// ─── GRADE ────────────────────────────────────────────────────────────────────
+/**
+ * Attach results to any ungraded snapshot whose game is now complete.
+ * @returns {Promise<Array>} every snapshot for the season
+ */
+async function grade(year, games) {
+  const byId = new Map(games.map(g => [g.id, g]));
+  const snapshots = await updateSeason(year, snaps => {
+    let changed = false;
+    for (const snap of Object.values(snaps)) {
+      const game = byId.get(snap.gameId);
+      if (snap.result || game?.complete !== 100) continue;
+      snap.result = {
+        hscore: game.hscore,
+        ascore: game.ascore,
+        margin: (game.hscore || 0) - (game.ascore || 0),
+        gradedAt: new Date().toISOString(),
+      };
+      changed = true;
+    }
+    return changed;
+  });
+  return Object.values(snapshots).sort((a, b) => a.round - b.round || a.gameId - b.gameId);
+}
+
+// ─── SUMMARISE ────────────────────────────────────────────────────────────────
+// Snapshot → the record shape backtest.scoreRecords expects
+function toRecord(snap) {
+  const margin = snap.predicted.margin;
+  return {
+    round: snap.round,
+    actualMargin: snap.result.margin,
+    engine: { homeProb: snap.engine.homeProb, margin },
+    blend:  { homeProb: snap.blend.homeProb,  margin },
+    aggregate: snap.aggregate?.homeProb != null
+      ? { homeProb: snap.aggregate.homeProb, margin: snap.aggregate.margin }
+      : null,
+    // Snapshots recorded before the ensemble was kept have none
+    ensemble: snap.ensemble ?? null,
+  };
+}
+
+/**
+ * Predicted vs actual win rate for the favourite, in probability bands.
+ */
+function calibration(records, model) {
+  const scored  = records.filter(r => r[model]);
+  const favProb = r => Math.max(r[model].homeProb, 100 - r[model].homeProb);
+  const favWon  = r => r.actualMargin === 0 ? 0.5
+    : (r[model].homeProb >= 50) === (r.actualMargin > 0) ? 1 : 0;
+  const mean = (rows, f) => rows.reduce((s, r) => s + f(r), 0) / rows.length;
+
+  return CALIBRATION_BUCKETS.slice(0, -1).map((lo, i) => {
+    const hi = CALIBRATION_BUCKETS[i + 1];
+    const band = scored.filter(r => favProb(r) >= lo && (favProb(r) < hi || hi === 100));
+    return {
+      range: `${lo}-${hi}`,
+      games: band.length,
+      predicted: band.length ? round(mean(band, favProb), 1) : null,
+      actual:    band.length ? round(mean(band, favWon) * 100, 1) : null,
+    };
+  });
+}
+
+function scoreModels(records) {
+  return Object.fromEntries(MODELS.map(m => [m, scoreRecords(records, m)]));
+}
+
+/**
+ * Season accuracy from graded snapshots, with every Squiggle model scored
+ * on the same games for comparison.
+ *
+ * @param {Array} snapshots — from grade()
+ * @param {Array} tips      — Squiggle tips for the season
+ */
+function summarise(snapshots, tips = []) {
+  const graded  = snapshots.filter(s => s.result);
+  const records = graded.map(toRecord);
+
+  const rounds = [...new Set(records.map(r => r.round))].sort((a, b) => a - b).map(round => {
+    const inRound = records.filter(r => r.round === round);
+    return { round, games: inRound.length, models: scoreModels(inRound) };
+  });
+
+  // Squiggle sources, restricted to the games we graded
+  const gradedIds = new Map(graded.map(s => [s.gameId, s.result.margin]));
+  const sources = new Map();
+  for (const t of tips) {
+    if (!gradedIds.has(t.gameid) || t.hconfidence == null) continue;
+    if (!sources.has(t.sourceid)) sources.set(t.sourceid, { source: t.source || `Source ${t.sourceid}`, records: [] });
+    sources.get(t.sourceid).records.push({
+      actualMargin: gradedIds.get(t.gameid),
+      tip: {
+        homeProb: t.hconfidence,
+        margin: t.tip === t.hteam ? (t.margin || 0) : -(t.margin || 0),
+      },
+    });
+  }
+  const squiggleModels = [...sources.entries()]
+    .map(([sourceid, s]) => ({ sourceid, source: s.source, ...scoreRecords(s.records, 'tip') }))
+    .sort((a, b) => (b.accuracy ?? -1) - (a.accuracy ?? -1) || (a.brier ?? 1) - (b.brier ?? 1));
+
+  return {
+    graded: graded.length,
+    pending: snapshots.length - graded.length,
+    models: scoreModels(records),
+    squiggleModels,
+    rounds,
+    calibration: Object.fromEntries(MODELS.map(m => [m, calibration(records, m)])),
+    games: graded.map(s => ({
+      gameId: s.gameId,
+      round:  s.round,
+      hteam:  s.hteam,
+      ateam:  s.ateam,
+      blendHomeProb:   s.blend.homeProb,
+      predictedMargin: s.predicted.margin,
+      actualMargin:    s.result.margin,
+      correct: s.result.margin === 0 || (s.blend.homeProb >= 50) === (s.result.margin > 0),
+    })),
+  };
+}
+
+module.exports = {
+  setStore,
+  isPersistent,
+  isOpen,
+  record,
+  grade,
+  summarise,
+};
@@ -0,0 +1,134 @@
+/**
+ * AFL Edge — In-play model
+ *
+ * Updates a game's win probability while it's being played. The pre-game
+ * blended probability sets the margin expected over a whole game
+ * (scoremodel.js); with a fraction r of the game still to play, the final
+ * home margin is taken as
+ *
+ *   final ~ N(current + μ·r, marginSd·√r)
+ *
+ * so the scoreboard counts for more, and the pre-game view for less, as
+ * time runs out. Squiggle's `complete` (0-100) is the share played.
+ *
+ * Running scores come from Squiggle (getLiveGames) or from a replay of
+ * recorded snapshots, for tests and demos — a JSON file:
+ *
+ *   { "year": 2025, "round": 6,
+ *     "snapshots": [ { "games": [{ "id", "complete", "hscore", "ascore", "timestr" }] }, ... ] }
+ *
+ * A replay starts from the round's fixture with nothing played. Each
+ * snapshot's rows update those games; games it doesn't mention keep their
+ * last state.
+ */
+
+const scoremodel = require('./scoremodel');
+const { round } = require('./stats');
+
+const LIVE_FIELDS = ['complete', 'hscore', 'ascore', 'timestr'];
+
+// ─── MODEL ────────────────────────────────────────────────────────────────────
+/**
+ * Home win probability and projected final margin from the score so far.
+ *
+ * @param {number} preGameProb — pre-game home win probability, 0-1
+ * @param {Object} game        — { complete (0-100), hscore, ascore }
+ * @param {number} [marginSd]  — spread of a full game's margin
+ * @returns {{ homeWinProbability, projectedMargin, remaining }} probability in %
+ */
+function inPlay(preGameProb, { complete = 0, hscore = 0, ascore = 0 }, marginSd = scoremodel.DEFAULT_SCORE_MODEL.marginSd) {
+  const margin = (hscore || 0) - (ascore || 0);
+  const remaining = Math.min(1, Math.max(0, 1 - (complete || 0) / 100));
+  const projected = margin + scoremodel.expectedMargin(preGameProb, marginSd) * remaining;
+
+  const prob = remaining === 0
+    ? (margin > 0 ? 1 : margin < 0 ? 0 : 0.5)
+    : scoremodel.probMarginOver({ mean: projected, sd: marginSd * Math.sqrt(remaining) }, 0);
+
+  return {
+    homeWinProbability: round(prob * 100, 1),
+    projectedMargin:    round(projected, 1),
+    remaining:          round(remaining, 3),
+  };
+}
+
+/**
+ * Everything the ticker shows for one game: score, status and the in-play
+ * numbers. preGameProb is null when the teams aren't known yet (finals).
+ */
+function gameState(game, preGameProb, marginSd) {
+  const status = game.complete >= 100 ? 'complete' : game.complete > 0 ? 'live' : 'upcoming';
+  const state = {
+    id:       game.id,
+    round:    game.round,
+    hteam:    game.hteam,
+    ateam:    game.ateam,
+    venue:    game.venue,
+    date:     game.date,
+    status,
+    complete: game.complete || 0,
+    timestr:  game.timestr || null,
+    hscore:   game.hscore ?? null,
+    ascore:   game.ascore ?? null,
+    preGameProbability: preGameProb === null ? null : round(preGameProb * 100, 1),
+    homeWinProbability: null,
+    projectedMargin:    null,
+  };
+  if (preGameProb !== null) Object.assign(state, inPlay(preGameProb, game, marginSd));
+  return state;
+}
+
+/**
+ * Game states in `next` whose score or progress differ from `prev`.
+ */
+function changedStates(prev, next) {
+  const before = new Map(prev.map(s => [s.id, s]));
+  return next.filter(s => {
+    const p = before.get(s.id);
+    return !p || p.complete !== s.complete || p.hscore !== s.hscore || p.ascore !== s.ascore;
+  });
+}
+
+// ─── REPLAY ───────────────────────────────────────────────────────────────────
+/**
+ * Step through recorded snapshots over a round's fixture rows.
+ *
+ * @param {Object} recording — parsed replay file (see the header)
+ * @param {Array}  games     — the round's fixture games
+ * @returns {{ year, round, steps, at(step) }} at() gives the games as they
+ *   stood after snapshot `step` (0-based)
+ */
+function createReplay(recording, games) {
+  const snapshots = Array.isArray(recording?.snapshots) ? recording.snapshots : [];
+  if (snapshots.length === 0) throw new Error('Replay has no snapshots');
+
+  const ids = new Set(games.map(g => g.id));
+  const frames = [];
+  let current = new Map(games.map(g => [g.id, { ...g, complete: 0, hscore: null, ascore: null, timestr: null }]));
+  for (const snap of snapshots) {
+    current = new Map(current);
+    for (const row of snap.games || []) {
+      if (!ids.has(row.id)) continue;
+      const update = {};
+      for (const f of LIVE_FIELDS) if (row[f] !== undefined) update[f] = row[f];
+      current.set(row.id, { ...current.get(row.id), ...update });
+    }
+    frames.push([...current.values()]);
+  }
+
+  return {
+    year:  recording.year,
+    round: recording.round,
+    steps: frames.length,
+    at(step) {
+      return frames[Math.min(frames.length - 1, Math.max(0, step))];
+    },
+  };
+}
+
+module.exports = {
+  inPlay,
+  gameState,
+  changedStates,
+  createReplay,
+};
@@ -0,0 +1,370 @@
+/**
+ * AFL Edge — Match context builder
+ *
+ * Turns raw Squiggle data (fixture, ladder, past results) into the
+ * homeStats / awayStats inputs the prediction engine expects, and blends the
+ * engine's output with Squiggle's models: the performance-weighted ensemble
+ * (models.js) once enough games have been played to weight it, the
+ * aggregate tip before that.
+ *
+ * Shared by /api/predict and the backtester so both run exactly the same
+ * pipeline — the backtester just hands it point-in-time data.
+ */
+
+const squiggle = require('./squiggle');
+const engine   = require('./predictor');
+const ratings  = require('./ratings');
+const models   = require('./models');
+const teams    = require('./teams');
+const venues   = require('./venues');
+const { trip } = require('./travel');
+const { headToHead, lastMeetings, H2H_MEETINGS } = require('./h2h');
+const { round } = require('./stats');
+
+// Share of the final probability that comes from Squiggle's models — the
+// fitted share in weights.json (calibrate.js) if there is one
+const DEFAULT_SQUIGGLE_BLEND = 0.30;
+const SQUIGGLE_BLEND = engine.FITTED_SQUIGGLE_BLEND ?? DEFAULT_SQUIGGLE_BLEND;
+const BLEND_SOURCE   = engine.FITTED_SQUIGGLE_BLEND === null ? 'default' : 'fitted';
+
+// Seasons before the current one pulled in for venue record and ratings
+const HISTORY_YEARS = 3;
+
+// How far back loadMeetings() goes for a pair's head-to-head meetings —
+// seasons older than HISTORY_YEARS are only fetched when a pair needs them
+const H2H_YEARS = 8;
+
+// ─── ENGINE INPUTS ────────────────────────────────────────────────────────────
+/**
+ * Build engine inputs for a match.
+ *
+ * @param {Object} match        — Squiggle game (hteam, ateam, venue, year)
+ * @param {Object} data
+ * @param {Array}  data.games     — this season's games (only completed ones are used)
+ * @param {Array}  data.standings — ladder to attach rank / percentage from
+ * @param {Array}  data.history   — completed games from recent seasons (including this
+ *                                  one), oldest first — also drives the Elo ratings
+ * @param {Array}  [data.archive] — completed games from seasons before `history`,
+ *                                  searched for head-to-head meetings only
+ *                                  (loadMeetings())
+ * @returns {{ homeStats, awayStats, venue, h2h } | null} null if either team has no
+ *   games this season or last; h2h is the home side's headToHead() record
+ */
+function buildMatchup(match, { games, standings, history, archive = [] }) {
+  const hteam = match.hteam;
+  const ateam = match.ateam;
+
+  // Last season's games stand in while this season's sample is short
+  const prior = history.filter(g => g.year === match.year - 1);
+  const homeStats = squiggle.buildTeamStats(hteam, match.year, games, standings, 6, prior);
+  const awayStats = squiggle.buildTeamStats(ateam, match.year, games, standings, 6, prior);
+  if (!homeStats || !awayStats) return null;
+
+  // Head to head — the pair's last meetings, however many seasons back
+  const h2h = headToHead(hteam, ateam, archive.concat(history), { venue: match.venue });
+  homeStats.h2hWins   = h2h.wins;
+  homeStats.h2hPlayed = h2h.played;
+  awayStats.h2hWins   = round(h2h.played - h2h.wins, 3);
+  awayStats.h2hPlayed = h2h.played;
+
+  // Venue record — every result at the ground in recent seasons
+  const homeVenue = squiggle.calcVenueRecord(hteam, match.venue, history);
+  const awayVenue = squiggle.calcVenueRecord(ateam, match.venue, history);
+  homeStats.venueWins   = homeVenue.wins;
+  homeStats.venuePlayed = homeVenue.played;
+  awayStats.venueWins   = awayVenue.wins;
+  awayStats.venuePlayed = awayVenue.played;
+
+  // Elo ratings going into this round, and what the ground has been worth
+  const { ratings: teamRatings, grounds } = ratings.ratingsAt(history, match.year, match.round);
+  const [hid, aid] = [teams.homeId(match), teams.awayId(match)];
+  homeStats.rating = teamRatings.has(hid) ? Math.round(teamRatings.get(hid)) : null;
+  awayStats.rating = teamRatings.has(aid) ? Math.round(teamRatings.get(aid)) : null;
+
+  // Travel — distance and time zones from each club's home ground
+  for (const [stats, team] of [[homeStats, hteam], [awayStats, ateam]]) {
+    const t = trip(team, match.venue);
+    stats.travelKm      = t.km;
+    stats.timeZones     = t.timeZones;
+    stats.travelPenalty = t.penalty;
+    stats.travellingInterstate = t.longTrip;
+  }
+
+  const ground = venues.getVenue(match.venue);
+  return {
+    homeStats,
+    awayStats,
+    h2h,
+    venue: {
+      name: match.venue,
+      code: match.venue?.substring(0, 4).toUpperCase(),
+      known:    !!ground,
+      state:    ground?.state ?? null,
+      capacity: ground?.capacity ?? null,
+      // Home advantage learned at this ground (points, visitors travelling)
+      groundAdvantage: grounds.advantage(match.venue),
+    },
+  };
+}
+
+// ─── SEASON CONTEXT ───────────────────────────────────────────────────────────
+/**
+ * Load everything needed to predict any game in a season in one go:
+ * fixture, ladder, tips, the last few seasons of results and the Squiggle
+ * model ensemble.
+ */
+async function loadSeasonContext(year) {
+  const [games, standings, tips, earlier] = await Promise.all([
+    squiggle.getGames(year),
+    squiggle.getStandings(year),
+    squiggle.getTips(year),
+    loadEarlierSeasons(year),
+  ]);
+
+  const history = games.filter(g => g.complete === 100).concat(earlier).sort(byDate);
+
+  return {
+    year, games, standings, tips, history,
+    // Older seasons, filled in by loadMeetings() as pairs need them
+    archive: [],
+    archiveYear: year - HISTORY_YEARS,
+    ensemble: models.createEnsemble(tips, games),
+  };
+}
+
+/**
+ * Completed games from the HISTORY_YEARS seasons before `year`, fetched
+ * side by side, oldest first. Seasons with no data are skipped.
+ */
+async function loadEarlierSeasons(year) {
+  const seasons = await Promise.all(
+    Array.from({ length: HISTORY_YEARS }, (_, i) => squiggle.getCompleted(year - HISTORY_YEARS + i)
+      .catch(() => []))
+  );
+  return seasons.flat().sort(byDate);
+}
+
+/**
+ * Fill in ctx.archive far enough back for a pair's head to head: seasons
+ * older than `history` are fetched one at a time, newest first, only while
+ * the pair has fewer than H2H_MEETINGS meetings, and no further back than
+ * H2H_YEARS. A season is fetched at most once per context, so a round of
+ * games shares them.
+ *
+ * @param {Object} ctx — loadSeasonContext(), or any { year, history, archive, archiveYear }
+ * @returns {Promise<Array>} ctx.archive
+ */
+async function loadMeetings(ctx, hteam, ateam) {
+  while (ctx.archiveYear > ctx.year - H2H_YEARS &&
+         lastMeetings(hteam, ateam, ctx.archive.concat(ctx.history)).length < H2H_MEETINGS) {
+    ctx.archiveYear--;
+    try {
+      ctx.archive = (await squiggle.getCompleted(ctx.archiveYear)).concat(ctx.archive);
+    } catch { /* skip years with no data */ }
+  }
+  return ctx.archive;
+}
+
+/**
+ * loadMeetings() for every game (or { hteam, ateam } pair) in a list whose
+ * teams are known. Anything that predicts from a shared context calls it
+ * before its loop, so every endpoint's head to head — and so its
+ * probabilities — come from the same meetings as /api/predict's.
+ *
+ * @returns {Promise<Array>} ctx.archive
+ */
+async function loadAllMeetings(ctx, games) {
+  for (const g of games) {
+    if (g.hteam && g.ateam) await loadMeetings(ctx, g.hteam, g.ateam);
+  }
+  return ctx.archive;
+}
+
+/**
+ * Engine inputs as they stood going into a round: this season's games and
+ * history from earlier rounds only, and the ladder rebuilt from them
+ * (squiggle.ladderBefore) rather than the latest one. For backdating a
+ * prediction on a game that has already been played.
+ *
+ * @param {Object} data — { games, standings, history, ... } as loadSeasonContext
+ * @returns {Object} a copy of data with games, standings and history cut back
+ */
+function beforeRound(data, year, round) {
+  return {
+    ...data,
+    games:     data.games.filter(g => g.round < round),
+    standings: squiggle.ladderBefore(data.games, round),
+    history:   data.history.filter(g => g.year !== year || g.round < round),
+  };
+}
+
+/**
+ * Full prediction for a game from a loaded season context: the engine's,
+ * with Squiggle's side blended in so the scores, margin and confidence
+ * follow the blended probability — as /api/predict does. A game that has
+ * been played is predicted as at the start of its round.
+ *
+ * @param {Object} match  — Squiggle game (finals through finals.prepareFinal)
+ * @param {Object} ctx    — loadSeasonContext()
+ * @param {number} [weight] — Squiggle's share of the blend
+ * @returns {{ prediction, matchup, engineHomeProb, squiggle } | null} squiggle
+ *   as squiggleProbability(); null when the engine can't run (a team with
+ *   no games this season or last)
+ */
+function predictGame(match, ctx, weight = SQUIGGLE_BLEND) {
+  if (match.complete === 100) ctx = beforeRound(ctx, match.year, match.round);
+  const matchup = buildMatchup(match, ctx);
+  if (!matchup) return null;
+
+  const prediction = engine.predictMatch(matchup.homeStats, matchup.awayStats, matchup.venue);
+  const engineHomeProb = prediction.home.winProbability;
+  const squiggleSide = squiggleProbability(match, ctx.tips, ctx.ensemble);
+  engine.applyHomeProbability(prediction, blendProbability(engineHomeProb, squiggleSide?.homeProb ?? null, weight));
+  return { prediction, matchup, engineHomeProb, squiggle: squiggleSide };
+}
+
+/**
+ * Blended home win probability (0-1) for a game, from a loaded season
+ * context. Works for fixtured games and hypothetical ones (e.g. finals).
+ * A game that has been played is predicted as at the start of its round.
+ *
+ * Falls back to Elo ratings when the engine can't run (a team with no games
+ * this season or last), and to 0.5 when there's no history at all. Call
+ * loadAllMeetings() for the games first, as /api/predict does.
+ */
+function homeWinProbability(match, ctx) {
+  if (match.complete === 100) ctx = beforeRound(ctx, match.year, match.round);
+  const matchup = buildMatchup(match, ctx);
+  if (matchup) {
+    const prediction = engine.predictMatch(matchup.homeStats, matchup.awayStats, matchup.venue);
+    const squiggleSide = squiggleProbability(match, ctx.tips, ctx.ensemble);
+    return blendProbability(prediction.home.winProbability, squiggleSide?.homeProb ?? null) / 100;
+  }
+
+  const { ratings: current, grounds } = ratings.ratingsAt(ctx.history, match.year, match.round);
+  const [hid, aid] = [teams.homeId(match), teams.awayId(match)];
+  if (!current.has(hid) || !current.has(aid)) return 0.5;
+  return ratings.expectedScore(
+    current.get(hid), current.get(aid), ratings.homeAdvantage(match, grounds)
+  );
+}
+
+// ─── BLEND ────────────────────────────────────────────────────────────────────
+/**
+ * Squiggle's side of the blend for a fixtured game: the ensemble's home win %
+ * when it has weights for the models that tipped it (from rounds before this
+ * one only), otherwise the aggregate tip's.
+ *
+ * @param {Object} match    — Squiggle game (id, round)
+ * @param {Array}  tips     — the season's tips
+ * @param {Object} [ensemble] — models.createEnsemble() for the season
+ * @returns {{ homeProb, source: 'ensemble'|'aggregate', tip } | null} null for
+ *   a game with no tips (or no id)
+ */
+function squiggleProbability(match, tips, ensemble = null) {
+  if (!match.id) return null;
+  const matchTips = tips.filter(t => t.gameid === match.id);
+  const tip = squiggle.pickAggregateTip(matchTips);
+
+  const weighted = ensemble ? ensemble.probability(matchTips, match.round) : null;
+  if (weighted !== null) return { homeProb: weighted, source: 'ensemble', tip };
+  if (typeof tip?.hconfidence === 'number') return { homeProb: tip.hconfidence, source: 'aggregate', tip };
+  return null;
+}
+
+/**
+ * Blend our engine's home win % with Squiggle's home win %, giving Squiggle
+ * `weight` (0-1) of it. Returns the engine figure untouched when there's no
+ * Squiggle figure.
+ */
+function blendProbability(engineHomeProb, squiggleHomeProb, weight = SQUIGGLE_BLEND) {
+  if (squiggleHomeProb === null || squiggleHomeProb === undefined) return engineHomeProb;
+  return parseFloat(
+    (engineHomeProb * (1 - weight) + squiggleHomeProb * weight).toFixed(1)
+  );
+}
+
+// ─── COMPARISONS ──────────────────────────────────────────────────────────────
+/**
+ * Resolve a two-team comparison as /api/compare and `afl-edge compare` take
+ * it. Teams by name, alias or Squiggle id. `home` is team1 (the default),
+ * team2, neutral or either team's name; the venue is `venue` if given, else
+ * the home side's main ground, and none at all for a neutral game without one.
+ *
+ * @returns {{ team1, team2, home, away, neutral, venue } | { error }} teams
+ *   are teams.js entries, venue the registry name (or null); error says
+ *   which input was wrong
+ */
+function resolveComparison({ team1: name1, team2: name2, home: homeParam = 'team1', venue: venueName = null }) {
+  const team1 = teams.getTeam(name1);
+  const team2 = teams.getTeam(name2);
+  const unknown = [[name1, team1], [name2, team2]].filter(([, t]) => !t).map(([name]) => name);
+  if (unknown.length > 0) return { error: `Unknown team: ${unknown.join(', ')}` };
+  if (team1.id === team2.id) return { error: 'team1 and team2 must be different teams' };
+
+  const side = String(homeParam).trim();
+  const neutral = side.toLowerCase() === 'neutral';
+  const home = neutral || side.toLowerCase() === 'team1' ? team1
+    : side.toLowerCase() === 'team2' ? team2
+    : teams.getTeam(side);
+  if (home !== team1 && home !== team2) {
+    return { error: 'home must be team1, team2, neutral or one of the two teams' };
+  }
+
+  let venue = null;
+  if (venueName) {
+    const ground = venues.getVenue(venueName);
+    if (!ground) return { error: `Unknown venue: ${venueName}` };
+    venue = ground.name;
+  } else if (!neutral) {
+    venue = home.grounds[0] || null;
+  }
+
+  return { team1, team2, home, away: home === team1 ? team2 : team1, neutral, venue };
+}
+
+/**
+ * The game a comparison describes: the fixtured game when one is still to be
+ * played with the same home side at the same ground (so it can be blended
+ * with Squiggle's tips), otherwise a hypothetical one.
+ *
+ * @param {Object} comparison — resolveComparison()
+ * @param {Object} ctx        — loadSeasonContext()
+ * @returns {{ match, fixture }} fixture is the Squiggle game, or null
+ */
+function comparisonMatch({ home, away, neutral, venue }, ctx) {
+  const fixture = neutral ? null : ctx.games.find(g =>
+    g.complete !== 100 &&
+    teams.homeId(g) === home.id && teams.awayId(g) === away.id &&
+    venues.sameVenue(g.venue, venue)
+  ) || null;
+  const match = fixture
+    ? { ...fixture, venue }
+    : { hteam: home.name, ateam: away.name, venue, year: ctx.year, round: null };
+  return { match, fixture };
+}
+
+// ─── HELPERS ──────────────────────────────────────────────────────────────────
+function byDate(a, b) {
+  return (a.date || '').localeCompare(b.date || '') || a.id - b.id;
+}
+
+module.exports = {
+  DEFAULT_SQUIGGLE_BLEND,
+  SQUIGGLE_BLEND,
+  BLEND_SOURCE,
+  HISTORY_YEARS,
+  H2H_YEARS,
+  buildMatchup,
+  loadSeasonContext,
+  loadEarlierSeasons,
+  loadMeetings,
+  loadAllMeetings,
+  beforeRound,
+  predictGame,
+  homeWinProbability,
+  squiggleProbability,
+  blendProbability,
+  resolveComparison,
+  comparisonMatch,
+};
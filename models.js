@@ -0,0 +1,170 @@
+/**
+ * AFL Edge — Squiggle model leaderboard and ensemble
+ *
+ * Squiggle publishes tips from a couple of dozen models, with each tip's
+ * `correct` and `err` (absolute margin error) filled in once the game is
+ * played. From those this ranks every source on tip accuracy, bits, Brier
+ * score and margin MAE, and weights an ensemble towards the ones with the
+ * best record so far.
+ *
+ * Ensemble weights are exponential in each model's log loss (the Hedge
+ * rule): w ∝ exp(−ENSEMBLE_ETA × games × (logLoss − best logLoss)), so a
+ * model that is a little worse per game loses weight steadily as the season
+ * goes on. The Aggregate (sourceid 8) is itself an average of the others and
+ * is ranked but kept out of the ensemble.
+ */
+
+const { round } = require('./stats');
+
+const AGGREGATE_SOURCE = 8;
+
+// Games a model must have tipped before it gets any ensemble weight
+const MIN_ENSEMBLE_GAMES = 5;
+const ENSEMBLE_ETA = 0.5;
+
+// ─── LEADERBOARD ──────────────────────────────────────────────────────────────
+/**
+ * Rank every source on its tips for completed games.
+ *
+ * @param {Array} tips   — Squiggle tips (any mix of rounds and sources)
+ * @param {Array} games  — the season's games, for results
+ * @param {Object} [opts]
+ * @param {number} [opts.beforeRound] — only games before this round (point-in-time)
+ * @returns {Array} one row per source, best accuracy first, with the rank on
+ *   each metric in `ranks`
+ */
+function leaderboard(tips, games, { beforeRound = null } = {}) {
+  const results = new Map(games.filter(g => g.complete === 100).map(g => [g.id, g]));
+  const sources = new Map();
+
+  for (const t of tips) {
+    const game = results.get(t.gameid);
+    if (!game || (beforeRound !== null && game.round >= beforeRound)) continue;
+    if (typeof t.hconfidence !== 'number') continue;
+
+    if (!sources.has(t.sourceid)) {
+      sources.set(t.sourceid, {
+        sourceid: t.sourceid, source: t.source,
+        games: 0, correct: 0, bits: 0, brier: 0, logLoss: 0, absErr: 0, errGames: 0,
+      });
+    }
+    const s = sources.get(t.sourceid);
+    const p = clamp(t.hconfidence / 100);
+    const outcome = game.hscore > game.ascore ? 1 : game.hscore < game.ascore ? 0 : 0.5;
+
+    s.games++;
+    s.correct += t.correct ?? (outcome === 0.5 || (p >= 0.5) === (outcome === 1) ? 1 : 0);
+    s.bits    += bits(p, outcome);
+    s.brier   += (p - outcome) ** 2;
+    s.logLoss -= outcome * Math.log(p) + (1 - outcome) * Math.log(1 - p);
+    if (typeof t.err === 'number') { s.absErr += t.err; s.errGames++; }
+  }
+
+  const rows = [...sources.values()].map(s => ({
+    sourceid:  s.sourceid,
+    source:    s.source,
+    aggregate: s.sourceid === AGGREGATE_SOURCE,
+    games:     s.games,
+    correct:   s.correct,
+    accuracy:  round(s.correct / s.games * 100, 1),
+    bits:      round(s.bits, 2),
+    brier:     round(s.brier / s.games, 4),
+    logLoss:   round(s.logLoss / s.games, 4),
+    marginMAE: s.errGames ? round(s.absErr / s.errGames, 1) : null,
+  }));
+
+  // Rank on each metric (1 = best, ties share a rank); bits are a season
+  // total, so compared per game
+  const rankBy = (key, better) => {
+    const value = r => key === 'bits' ? r.bits / r.games : r[key];
+    const scored = rows.filter(r => r[key] !== null);
+    return new Map(scored.map(r => [
+      r.sourceid,
+      1 + scored.filter(o => better * (value(o) - value(r)) > 0).length,
+    ]));
+  };
+  const ranks = {
+    accuracy:  rankBy('accuracy', 1),
+    bits:      rankBy('bits', 1),
+    brier:     rankBy('brier', -1),
+    marginMAE: rankBy('marginMAE', -1),
+  };
+  for (const r of rows) {
+    r.ranks = Object.fromEntries(Object.entries(ranks).map(([k, m]) => [k, m.get(r.sourceid) ?? null]));
+  }
+
+  return rows.sort((a, b) => a.ranks.accuracy - b.ranks.accuracy || a.ranks.bits - b.ranks.bits);
+}
+
+// Squiggle's information score: 1 + log2(p) for the probability given to
+// what happened; a draw scores 1 + ½·log2(p(1−p))
+function bits(p, outcome) {
+  if (outcome === 0.5) return 1 + 0.5 * Math.log2(p * (1 - p));
+  return 1 + Math.log2(outcome === 1 ? p : 1 - p);
+}
+
+// ─── ENSEMBLE ─────────────────────────────────────────────────────────────────
+/**
+ * Ensemble weight per source (sourceid → 0-1, summing to 1) from a
+ * leaderboard. Empty when no model has tipped MIN_ENSEMBLE_GAMES games yet.
+ */
+function ensembleWeights(board) {
+  const eligible = board.filter(r => !r.aggregate && r.games >= MIN_ENSEMBLE_GAMES);
+  if (eligible.length === 0) return new Map();
+
+  const games = Math.max(...eligible.map(r => r.games));
+  const best  = Math.min(...eligible.map(r => r.logLoss));
+  const raw   = eligible.map(r => [r.sourceid, Math.exp(-ENSEMBLE_ETA * games * (r.logLoss - best))]);
+  const total = raw.reduce((s, [, w]) => s + w, 0);
+  return new Map(raw.map(([id, w]) => [id, w / total]));
+}
+
+/**
+ * Weighted home win % (0-100) from one game's tips, re-normalised over the
+ * weighted sources that tipped it. null if none did.
+ */
+function ensembleProbability(matchTips, weights) {
+  let sum = 0, weight = 0;
+  for (const t of matchTips) {
+    const w = weights.get(t.sourceid);
+    if (!w || typeof t.hconfidence !== 'number') continue;
+    sum += w * t.hconfidence;
+    weight += w;
+  }
+  return weight > 0 ? round(sum / weight, 1) : null;
+}
+
+/**
+ * Point-in-time ensemble for a season: weightsAt(round) uses only games
+ * before that round, and is worked out once per round.
+ */
+function createEnsemble(tips, games) {
+  const byRound = new Map();
+  function weightsAt(round) {
+    const key = round ?? Infinity;
+    if (!byRound.has(key)) {
+      byRound.set(key, ensembleWeights(leaderboard(tips, games, { beforeRound: round ?? null })));
+    }
+    return byRound.get(key);
+  }
+  return {
+    weightsAt,
+    probability(matchTips, round) {
+      return ensembleProbability(matchTips, weightsAt(round));
+    },
+  };
+}
+
+// ─── HELPERS ──────────────────────────────────────────────────────────────────
+function clamp(p) {
+  return Math.min(0.999, Math.max(0.001, p));
+}
+
+module.exports = {
+  AGGREGATE_SOURCE,
+  MIN_ENSEMBLE_GAMES,
+  leaderboard,
+  ensembleWeights,
+  ensembleProbability,
+  createEnsemble,
+};
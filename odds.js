@@ -0,0 +1,209 @@
+/**
+ * AFL Edge — Odds and value
+ *
+ * Bookmaker odds in, value out. Decimal odds for a market are turned into
+ * implied probabilities, the bookmaker's margin (overround) is removed
+ * proportionally, and the fair prices are compared with our own probability:
+ *
+ *   edge  = model − fair             (percentage points)
+ *   EV    = p × odds − 1             (return per unit staked)
+ *   Kelly = (b·p − q) / b × fraction (share of bankroll, b = odds − 1)
+ *
+ * Odds come either as JSON rows or as a CSV with a header row:
+ *   matchId,hteam,ateam,homeOdds,awayOdds,line,lineHomeOdds,lineAwayOdds
+ * matchId is optional when the team names identify the game. line is the
+ * home handicap (e.g. -12.5 when the home side gives 12.5 points).
+ */
+
+const scoremodel = require('./scoremodel');
+const teams      = require('./teams');
+const { round } = require('./stats');
+
+// Edge (percentage points) above which model and market "disagree"
+const DEFAULT_THRESHOLD = 5;
+
+// Fraction of the full Kelly stake to suggest — full Kelly is far too
+// aggressive for probabilities this uncertain
+const DEFAULT_KELLY = 0.25;
+
+const COLUMNS = ['matchId', 'hteam', 'ateam', 'homeOdds', 'awayOdds', 'line', 'lineHomeOdds', 'lineAwayOdds'];
+const NUMERIC = new Set(['matchId', 'homeOdds', 'awayOdds', 'line', 'lineHomeOdds', 'lineAwayOdds']);
+
+// ─── PARSE ────────────────────────────────────────────────────────────────────
+/**
+ * Parse an odds CSV into rows keyed by the COLUMNS names. Header names are
+ * matched case-insensitively; unknown columns are ignored, blank cells and
+ * lines starting with # are skipped.
+ */
+function parseOddsCsv(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  if (lines.length === 0) return [];
+
+  const header = splitCsvLine(lines[0]).map(h => COLUMNS.find(c => c.toLowerCase() === h.toLowerCase()) || null);
+  if (!header.includes('homeOdds') && !header.includes('lineHomeOdds')) {
+    throw new Error('Odds CSV needs a header row with homeOdds/awayOdds or lineHomeOdds/lineAwayOdds columns');
+  }
+
+  return lines.slice(1).map(line => {
+    const cells = splitCsvLine(line);
+    const row = {};
+    header.forEach((col, i) => {
+      if (!col || cells[i] === undefined || cells[i] === '') return;
+      row[col] = NUMERIC.has(col) ? parseFloat(cells[i]) : cells[i];
+    });
+    return normaliseRow(row);
+  });
+}
+
+// Commas inside double quotes don't split; "" is a literal quote
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { cells.push(cell.trim()); cell = ''; }
+    else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Keep only the known fields, with numbers as numbers. Accepts rows posted
+ * as JSON as well as parsed CSV rows.
+ */
+function normaliseRow(row) {
+  const out = {};
+  for (const col of COLUMNS) {
+    if (row[col] === undefined || row[col] === null || row[col] === '') continue;
+    out[col] = NUMERIC.has(col) ? parseFloat(row[col]) : String(row[col]).trim();
+    if (NUMERIC.has(col) && !Number.isFinite(out[col])) delete out[col];
+  }
+  return out;
+}
+
+// ─── PRICES ───────────────────────────────────────────────────────────────────
+/**
+ * Fair probabilities (0-1) for a two-way market, margin removed
+ * proportionally. Returns null unless both prices are valid decimal odds.
+ */
+function fairProbabilities(homeOdds, awayOdds) {
+  if (!(homeOdds > 1) || !(awayOdds > 1)) return null;
+  const implied = [1 / homeOdds, 1 / awayOdds];
+  const book = implied[0] + implied[1];
+  return {
+    home: implied[0] / book,
+    away: implied[1] / book,
+    overround: book - 1,
+  };
+}
+
+/**
+ * Edge, expected value and fractional Kelly stake for backing one side.
+ *
+ * @param {number} prob — our probability, 0-1
+ * @param {number} fair — market probability with the margin removed, 0-1
+ * @param {number} odds — decimal odds on offer
+ */
+function assessSide(prob, fair, odds, kellyFraction = DEFAULT_KELLY) {
+  const b = odds - 1;
+  const fullKelly = (b * prob - (1 - prob)) / b;
+  return {
+    odds,
+    modelProb: pct(prob),
+    fairProb:  pct(fair),
+    edge:      pct(prob - fair),
+    ev:        round(prob * odds - 1, 3),
+    kelly:     pct(Math.max(0, fullKelly) * kellyFraction),
+  };
+}
+
+/**
+ * Price both markets for one game.
+ *
+ * @param {number} homeProb — our blended home win probability, 0-1
+ * @param {Object} row      — normalised odds row
+ * @param {Object} [opts]
+ * @param {number} [opts.marginSd]  — spread of the margin distribution
+ * @param {number} [opts.kelly]     — Kelly fraction
+ * @param {number} [opts.threshold] — edge (points) that flags a disagreement
+ */
+function assessGame(homeProb, row, {
+  marginSd  = scoremodel.DEFAULT_SCORE_MODEL.marginSd,
+  kelly     = DEFAULT_KELLY,
+  threshold = DEFAULT_THRESHOLD,
+} = {}) {
+  const result = { h2h: null, line: null };
+
+  const h2h = fairProbabilities(row.homeOdds, row.awayOdds);
+  if (h2h) {
+    result.h2h = {
+      overround: pct(h2h.overround),
+      home: assessSide(homeProb, h2h.home, row.homeOdds, kelly),
+      away: assessSide(1 - homeProb, h2h.away, row.awayOdds, kelly),
+    };
+  }
+
+  const line = Number.isFinite(row.line) ? fairProbabilities(row.lineHomeOdds, row.lineAwayOdds) : null;
+  if (line) {
+    // Home covers a handicap of h when the margin beats −h
+    const margin = { mean: scoremodel.expectedMargin(homeProb, marginSd), sd: marginSd };
+    const homeCovers = scoremodel.probMarginOver(margin, -row.line);
+    result.line = {
+      line: row.line,
+      overround: pct(line.overround),
+      home: assessSide(homeCovers, line.home, row.lineHomeOdds, kelly),
+      away: assessSide(1 - homeCovers, line.away, row.lineAwayOdds, kelly),
+    };
+  }
+
+  // Best bet: the positive-EV side with the largest edge
+  const sides = [];
+  for (const market of ['h2h', 'line']) {
+    if (!result[market]) continue;
+    for (const side of ['home', 'away']) sides.push({ market, side, ...result[market][side] });
+  }
+  const best = sides.filter(s => s.ev > 0).sort((a, b) => b.edge - a.edge)[0] || null;
+
+  result.maxEdge = sides.length ? Math.max(...sides.map(s => Math.abs(s.edge))) : null;
+  result.flagged = result.maxEdge !== null && result.maxEdge > threshold;
+  result.best = best
+    ? { market: best.market, side: best.side, odds: best.odds, edge: best.edge, ev: best.ev, kelly: best.kelly }
+    : null;
+  return result;
+}
+
+// ─── MATCHING ─────────────────────────────────────────────────────────────────
+/**
+ * Find the fixture game an odds row refers to: by matchId, else by the home
+ * and away teams (any name or alias teams.js knows, e.g. "GWS").
+ */
+function findGame(row, games) {
+  if (row.matchId) return games.find(g => g.id === row.matchId) || null;
+  const home = teams.teamId(row.hteam);
+  const away = teams.teamId(row.ateam);
+  if (home === null || away === null) return null;
+  return games.find(g => teams.homeId(g) === home && teams.awayId(g) === away) || null;
+}
+
+// ─── HELPERS ──────────────────────────────────────────────────────────────────
+function pct(p) {
+  return round(p * 100, 1);
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  DEFAULT_KELLY,
+  COLUMNS,
+  parseOddsCsv,
+  normaliseRow,
+  fairProbabilities,
+  assessSide,
+  assessGame,
+  findGame,
+};
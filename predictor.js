@@ -8,31 +8,96 @@
  *   - Venue record / home ground advantage
  *   - Clearance proxy (scoring flow)
  *   - Interstate travel penalty
+ *   - Elo rating gap (ratings.js)
  *
- * Final output is blended 70/30 with Squiggle's aggregate model
- * in the API layer (api/predict.js).
+ * The API layer (matchup.js) blends the output with Squiggle: the
+ * performance-weighted ensemble of its models, or the aggregate tip when the
+ * ensemble has nothing to go on, given SQUIGGLE_BLEND of the figure — the
+ * share fitted into weights.json by calibrate.js, else 30%.
+ *
+ * Predicted scores come from the score model (scoremodel.js): the win
+ * probability sets the expected margin, team scoring averages the total.
  */
 
-const WEIGHTS = {
-  recentForm:     0.30,
-  h2h:            0.20,
-  scoringMargin:  0.20,
+const fs   = require('fs');
+const path = require('path');
+const { expectedScore } = require('./ratings');
+const { DEFAULT_SCORE_MODEL, scoreDistribution, isValidScoreModel } = require('./scoremodel');
+
+// Hand-picked weights — used when no fitted weight set is available
+const DEFAULT_WEIGHTS = {
+  recentForm:     0.25,
+  h2h:            0.15,
+  scoringMargin:  0.15,
   venue:          0.15,
-  clearance:      0.10,
+  clearance:      0.05,
   travel:         0.05,
+  rating:         0.20,
 };
 
+// Fitted weights written by calibrate.js. Override the path with AFL_EDGE_WEIGHTS.
+const WEIGHTS_FILE = process.env.AFL_EDGE_WEIGHTS || path.join(__dirname, 'weights.json');
+
+const {
+  weights: WEIGHTS,
+  version: WEIGHTS_VERSION,
+  scoreModel: SCORE_MODEL,
+  squiggleBlend: FITTED_SQUIGGLE_BLEND,
+} = loadWeights(WEIGHTS_FILE);
+
+/**
+ * Load a fitted weight set, falling back to DEFAULT_WEIGHTS if the file is
+ * missing or doesn't cover every factor. The file's score model (margin and
+ * total spreads) is used when present, DEFAULT_SCORE_MODEL otherwise, and
+ * so is its fitted Squiggle share of the blend (squiggleBlend, 0-1; null when
+ * the file has none and matchup.js's default applies).
+ */
+function loadWeights(file) {
+  try {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const complete = Object.keys(DEFAULT_WEIGHTS).every(k =>
+      typeof saved.weights?.[k] === 'number' && saved.weights[k] >= 0
+    );
+    if (complete) {
+      return {
+        weights: saved.weights,
+        version: saved.version ?? null,
+        scoreModel: isValidScoreModel(saved.scoreModel) ? saved.scoreModel : DEFAULT_SCORE_MODEL,
+        squiggleBlend: isValidBlend(saved.squiggleBlend) ? saved.squiggleBlend : null,
+      };
+    }
+    console.warn(`[predictor] ${file} is missing factor weights — using defaults`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`[predictor] Could not load ${file}: ${e.message}`);
+  }
+  return { weights: DEFAULT_WEIGHTS, version: 'default', scoreModel: DEFAULT_SCORE_MODEL, squiggleBlend: null };
+}
+
+function isValidBlend(x) {
+  return typeof x === 'number' && x >= 0 && x <= 1;
+}
+
 // ── Core prediction ─────────────────────────────────────────────────────────
 
-function predictMatch(homeStats, awayStats, venue) {
+/**
+ * @param {Object} homeStats
+ * @param {Object} awayStats
+ * @param {Object} venue
+ * @param {Object} [options]
+ * @param {Object} [options.weights]    — factor weights to use instead of WEIGHTS
+ * @param {Object} [options.scoreModel] — margin/total spreads instead of SCORE_MODEL
+ */
+function predictMatch(homeStats, awayStats, venue, options = {}) {
+  const weights = options.weights || WEIGHTS;
   const factors = [];
 
   // 1. Recent Form — recency-weighted W/L/D
-  const homeForm = calcFormScore(homeStats.form || []);
-  const awayForm = calcFormScore(awayStats.form || []);
+  const homeForm = calcFormScore(homeStats.form || [], homeStats.formWeights);
+  const awayForm = calcFormScore(awayStats.form || [], awayStats.formWeights);
   factors.push({
+    key: 'recentForm',
     name: 'Recent Form',
-    weight: WEIGHTS.recentForm,
+    weight: weights.recentForm,
     homeEdge: normalize(homeForm, awayForm),
     awayEdge: normalize(awayForm, homeForm),
     advantage: homeForm >= awayForm
@@ -45,8 +110,9 @@ function predictMatch(homeStats, awayStats, venue) {
   const awayH2HRate = awayStats.h2hPlayed > 0
     ? awayStats.h2hWins / awayStats.h2hPlayed : 0.5;
   factors.push({
+    key: 'h2h',
     name: 'Head to Head',
-    weight: WEIGHTS.h2h,
+    weight: weights.h2h,
     homeEdge: normalize(homeH2HRate, awayH2HRate),
     awayEdge: normalize(awayH2HRate, homeH2HRate),
     advantage: homeH2HRate >= awayH2HRate
@@ -57,8 +123,9 @@ function predictMatch(homeStats, awayStats, venue) {
   const homeMargin = homeStats.scoringMargin || 0;
   const awayMargin = awayStats.scoringMargin || 0;
   factors.push({
+    key: 'scoringMargin',
     name: 'Avg Score Diff',
-    weight: WEIGHTS.scoringMargin,
+    weight: weights.scoringMargin,
     homeEdge: normalize(mapMargin(homeMargin), mapMargin(awayMargin)),
     awayEdge: normalize(mapMargin(awayMargin), mapMargin(homeMargin)),
     advantage: homeMargin >= awayMargin
@@ -71,8 +138,9 @@ function predictMatch(homeStats, awayStats, venue) {
   const awayVenueRate = awayStats.venuePlayed > 0
     ? awayStats.venueWins / awayStats.venuePlayed : 0.5;
   factors.push({
+    key: 'venue',
     name: 'Venue Record',
-    weight: WEIGHTS.venue,
+    weight: weights.venue,
     homeEdge: normalize(homeVenueRate, awayVenueRate),
     awayEdge: normalize(awayVenueRate, homeVenueRate),
     advantage: homeVenueRate >= awayVenueRate
@@ -83,81 +151,132 @@ function predictMatch(homeStats, awayStats, venue) {
   const homeClear = homeStats.avgClearances || 34;
   const awayClear = awayStats.avgClearances || 34;
   factors.push({
+    key: 'clearance',
     name: 'Clearance Diff',
-    weight: WEIGHTS.clearance,
+    weight: weights.clearance,
     homeEdge: normalize(homeClear, awayClear),
     awayEdge: normalize(awayClear, homeClear),
     advantage: homeClear >= awayClear
       ? homeStats.code : awayStats.code,
   });
 
-  // 6. Interstate Travel
-  const homeTravelPenalty = homeStats.travellingInterstate ? 0.42 : 0.58;
-  const awayTravelPenalty = awayStats.travellingInterstate ? 0.42 : 0.58;
+  // 6. Travel — scaled by distance and time zones (travel.js); a plain
+  //    interstate flag counts as a full trip. Normalised like the others, so
+  //    the edges sum to 1 and a change in travel doesn't rescale every
+  //    other factor's share
+  const travelEdge = s => 0.58 - 0.16 * (s.travelPenalty ?? (s.travellingInterstate ? 1 : 0));
+  const homeTravelPenalty = travelEdge(homeStats);
+  const awayTravelPenalty = travelEdge(awayStats);
   factors.push({
-    name: 'Interstate Travel',
-    weight: WEIGHTS.travel,
-    homeEdge: homeTravelPenalty,
-    awayEdge: awayTravelPenalty,
+    key: 'travel',
+    name: 'Travel',
+    weight: weights.travel,
+    homeEdge: normalize(homeTravelPenalty, awayTravelPenalty),
+    awayEdge: normalize(awayTravelPenalty, homeTravelPenalty),
     advantage: homeTravelPenalty >= awayTravelPenalty
       ? homeStats.code : awayStats.code,
   });
 
-  // ── Weighted sum ──────────────────────────────────────────────────────────
-  let homeProb = 0;
-  let awayProb = 0;
-  for (const f of factors) {
-    homeProb += f.homeEdge * f.weight;
-    awayProb += f.awayEdge * f.weight;
-  }
+  // 7. Team Rating — Elo expected result, ignoring home ground (venue and
+  //    travel already cover that)
+  const hasRatings = homeStats.rating != null && awayStats.rating != null;
+  const homeRatingEdge = hasRatings
+    ? expectedScore(homeStats.rating, awayStats.rating) : 0.5;
+  factors.push({
+    key: 'rating',
+    name: 'Team Rating',
+    weight: weights.rating,
+    homeEdge: homeRatingEdge,
+    awayEdge: 1 - homeRatingEdge,
+    advantage: homeRatingEdge >= 0.5
+      ? homeStats.code : awayStats.code,
+  });
 
-  // Normalise to 100%
-  const total = homeProb + awayProb;
-  homeProb = parseFloat(((homeProb / total) * 100).toFixed(1));
-  awayProb = parseFloat((100 - homeProb).toFixed(1));
+  // ── Weighted sum ──────────────────────────────────────────────────────────
+  const homeProb = parseFloat((combineFactors(factors) * 100).toFixed(1));
+  factorContributions(factors).forEach((points, i) => { factors[i].contribution = points; });
 
   // ── Predicted scores ──────────────────────────────────────────────────────
-  const avgGameTotal = 160; // rough AFL average total score
+  // Expected total from each side's scoring against the other's defence;
+  // the split between the sides comes from the win probability (scoremodel.js)
   const homeAvg = homeStats.avgScore || 80;
   const awayAvg = awayStats.avgScore || 80;
   const homeConceded = homeStats.avgConceded || 80;
   const awayConceded = awayStats.avgConceded || 80;
+  const expectedTotal = (homeAvg * 0.6 + awayConceded * 0.4) + (awayAvg * 0.6 + homeConceded * 0.4);
 
-  // Blend team average score with opponent conceded average
-  let homePredScore = Math.round((homeAvg * 0.6 + awayConceded * 0.4));
-  let awayPredScore = Math.round((awayAvg * 0.6 + homeConceded * 0.4));
+  const prediction = {
+    home: { team: homeStats },
+    away: { team: awayStats },
+    expectedTotal: parseFloat(expectedTotal.toFixed(1)),
+    keyFactors: factors,
+    weightsVersion: options.weights ? 'custom' : WEIGHTS_VERSION,
+  };
+  return applyHomeProbability(prediction, homeProb, options.scoreModel);
+}
+
+/**
+ * Set a prediction's win probabilities and everything derived from them:
+ * predicted winner, scores, margin, score distribution and confidence.
+ * api/predict.js calls this again after blending with Squiggle.
+ *
+ * predictedMargin is the home margin — negative when the away side is tipped.
+ */
+function applyHomeProbability(prediction, homeProb, model = SCORE_MODEL) {
+  const awayProb = parseFloat((100 - homeProb).toFixed(1));
+  const dist = scoreDistribution(homeProb / 100, prediction.expectedTotal, model);
 
-  // Adjust for probability skew
-  const probRatio = homeProb / 50;
-  homePredScore = Math.round(homePredScore * (0.85 + probRatio * 0.15));
-  awayPredScore = Math.round(awayPredScore * (0.85 + (awayProb / 50) * 0.15));
+  const homeScore = Math.round((dist.total.mean + dist.margin.mean) / 2);
+  const awayScore = Math.round((dist.total.mean - dist.margin.mean) / 2);
+  const { team: homeStats } = prediction.home;
+  const { team: awayStats } = prediction.away;
 
-  const predictedMargin = Math.abs(homePredScore - awayPredScore);
+  prediction.home = { team: homeStats, winProbability: homeProb, predictedScore: homeScore };
+  prediction.away = { team: awayStats, winProbability: awayProb, predictedScore: awayScore };
+  prediction.predictedWinner = homeProb >= awayProb ? homeStats.code : awayStats.code;
+  prediction.predictedMargin = homeScore - awayScore;
+  prediction.scoreModel      = dist;
+  prediction.confidence      = confidenceFor(Math.max(homeProb, awayProb));
+  return prediction;
+}
 
-  // ── Confidence ────────────────────────────────────────────────────────────
-  const maxProb = Math.max(homeProb, awayProb);
-  const confidence = maxProb >= 70
+function confidenceFor(maxProb) {
+  return maxProb >= 70
     ? { level: 'high', label: 'HIGH CONF', color: 'green' }
     : maxProb >= 58
     ? { level: 'medium', label: 'MED CONF', color: 'yellow' }
     : { level: 'low', label: 'LOW CONF', color: 'red' };
+}
 
-  return {
-    home: {
-      team: homeStats,
-      winProbability: homeProb,
-      predictedScore: homePredScore,
-    },
-    away: {
-      team: awayStats,
-      winProbability: awayProb,
-      predictedScore: awayPredScore,
-    },
-    predictedWinner: homeProb >= awayProb ? homeStats.code : awayStats.code,
-    predictedMargin,
-    confidence,
-    keyFactors: factors,
-  };
+/**
+ * Weighted sum of factor edges, normalised to a 0-1 home win probability.
+ * Pass `weights` (keyed by factor key) to re-score factors with a different
+ * weight set — calibrate.js uses this to evaluate candidate weights.
+ */
+function combineFactors(factors, weights = null) {
+  let home = 0;
+  let away = 0;
+  for (const f of factors) {
+    const w = weights ? (weights[f.key] ?? 0) : f.weight;
+    home += f.homeEdge * w;
+    away += f.awayEdge * w;
+  }
+  const total = home + away;
+  return total > 0 ? home / total : 0.5;
+}
+
+/**
+ * How many home win % points each factor adds to (or, negative, takes off)
+ * a 50/50 baseline. combineFactors is home / (home + away), so its distance
+ * from 50% splits exactly into one term per factor — the contributions sum
+ * to the home win probability less 50, give or take rounding.
+ */
+function factorContributions(factors) {
+  const total = factors.reduce((s, f) => s + f.weight * (f.homeEdge + f.awayEdge), 0);
+  return factors.map(f => total > 0
+    ? parseFloat((f.weight * (f.homeEdge - f.awayEdge) / (2 * total) * 100).toFixed(1))
+    : 0
+  );
 }
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
@@ -165,16 +284,20 @@ function predictMatch(homeStats, awayStats, venue) {
 /**
  * Recency-weighted form score.
  * Most recent game = weight 5, second = 4, etc.
+ * formWeights (optional, 0-1 per result) discounts results carried over
+ * from last season.
  */
-function calcFormScore(form) {
+function calcFormScore(form, formWeights = []) {
   if (!form || form.length === 0) return 0.5;
   let score = 0;
   let weight = 0;
   for (let i = 0; i < form.length; i++) {
     const w = form.length - i; // most recent first
+    const result = form[i] === 'W' ? 1 : form[i] === 'D' ? 0.5 : 0;
+    // A result worth c of a full game counts as an average result for the rest
+    const c = formWeights[i] ?? 1;
     weight += w;
-    if (form[i] === 'W') score += w;
-    else if (form[i] === 'D') score += w * 0.5;
+    score += w * (c * result + (1 - c) * 0.5);
   }
   return weight > 0 ? score / weight : 0.5;
 }
@@ -196,4 +319,15 @@ function mapMargin(margin) {
   return (clamped + 60) / 120;
 }
 
-module.exports = { predictMatch };
+module.exports = {
+  predictMatch,
+  applyHomeProbability,
+  combineFactors,
+  factorContributions,
+  loadWeights,
+  WEIGHTS,
+  DEFAULT_WEIGHTS,
+  WEIGHTS_VERSION,
+  SCORE_MODEL,
+  FITTED_SQUIGGLE_BLEND,
+};
@@ -0,0 +1,164 @@
+/**
+ * AFL Edge — Team profile
+ *
+ * One club's season in one place: every game it has played, home and away
+ * splits, its record at each ground, winning and losing streaks and how its
+ * scoring has trended. Works from Squiggle game rows and matches teams on
+ * Squiggle ids (teams.js), so a club reads the same under any name.
+ */
+
+const teams  = require('./teams');
+const venues = require('./venues');
+const { round } = require('./stats');
+
+// Games in each point of the rolling scoring average
+const TREND_WINDOW = 3;
+
+// ─── SEASON LOG ───────────────────────────────────────────────────────────────
+/**
+ * The team's completed games, oldest first, from its own side.
+ *
+ * @param {string|number} team — name, alias or Squiggle id
+ * @param {Array} games        — Squiggle games (any season, any mix)
+ * @returns {Array} { gameId, year, round, roundName, date, venue, opponent,
+ *   home, isFinal, for, against, margin, result: 'W'|'L'|'D' }
+ */
+function seasonLog(team, games) {
+  const id = teams.teamId(team);
+  if (id === null) return [];
+
+  return games
+    .filter(g => g.complete === 100 && (teams.homeId(g) === id || teams.awayId(g) === id))
+    .sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.id - b.id)
+    .map(g => {
+      const home = teams.homeId(g) === id;
+      const pf = (home ? g.hscore : g.ascore) || 0;
+      const pa = (home ? g.ascore : g.hscore) || 0;
+      return {
+        gameId:    g.id,
+        year:      g.year,
+        round:     g.round,
+        roundName: g.roundname || null,
+        date:      g.date,
+        venue:     g.venue,
+        opponent:  home ? g.ateam : g.hteam,
+        home,
+        isFinal:   !!g.is_final,
+        for:       pf,
+        against:   pa,
+        margin:    pf - pa,
+        result:    pf > pa ? 'W' : pf < pa ? 'L' : 'D',
+      };
+    });
+}
+
+// ─── RECORDS ──────────────────────────────────────────────────────────────────
+/**
+ * Win-loss record and scoring over a set of log entries.
+ */
+function record(log) {
+  const played = log.length;
+  const wins   = log.filter(g => g.result === 'W').length;
+  const draws  = log.filter(g => g.result === 'D').length;
+  const pf = log.reduce((s, g) => s + g.for, 0);
+  const pa = log.reduce((s, g) => s + g.against, 0);
+  return {
+    played,
+    wins,
+    losses: played - wins - draws,
+    draws,
+    for:        pf,
+    against:    pa,
+    percentage: pa > 0 ? round(pf / pa * 100, 1) : null,
+    avgFor:     played ? round(pf / played, 1) : null,
+    avgAgainst: played ? round(pa / played, 1) : null,
+  };
+}
+
+/**
+ * Home and away records. `home` is the fixture's home side, whatever the
+ * ground; `ownGround` is every game at one of the club's home grounds.
+ */
+function splits(team, log) {
+  const club = teams.getTeam(team);
+  const atOwnGround = g => !!club && club.grounds.some(v => venues.sameVenue(v, g.venue));
+  return {
+    home:      record(log.filter(g => g.home)),
+    away:      record(log.filter(g => !g.home)),
+    ownGround: record(log.filter(atOwnGround)),
+  };
+}
+
+/**
+ * Record at each ground (under its current name), most played first.
+ */
+function venueRecords(log) {
+  const byVenue = new Map();
+  for (const g of log) {
+    const name = venues.canonicalName(g.venue);
+    if (!byVenue.has(name)) byVenue.set(name, []);
+    byVenue.get(name).push(g);
+  }
+  return [...byVenue.entries()]
+    .map(([venue, games]) => ({ venue, ...record(games) }))
+    .sort((a, b) => b.played - a.played || b.wins - a.wins || a.venue.localeCompare(b.venue));
+}
+
+// ─── STREAKS AND TRENDS ───────────────────────────────────────────────────────
+/**
+ * The run the team is on and its longest winning and losing runs.
+ * A draw ends either kind of streak.
+ *
+ * @returns {{ current: { result, length } | null, longestWin, longestLoss }}
+ *   longest runs are { length, from, to } round numbers (length 0 if none)
+ */
+function streaks(log) {
+  const runs = [];
+  for (const g of log) {
+    const last = runs[runs.length - 1];
+    if (last && last.result === g.result) {
+      last.length++;
+      last.to = g.round;
+    } else {
+      runs.push({ result: g.result, length: 1, from: g.round, to: g.round });
+    }
+  }
+  const longest = result => runs
+    .filter(r => r.result === result)
+    .reduce((best, r) => r.length > best.length ? r : best, { length: 0, from: null, to: null });
+  const strip = ({ length, from, to }) => ({ length, from, to });
+
+  const current = runs[runs.length - 1];
+  return {
+    current:     current ? { result: current.result, length: current.length } : null,
+    longestWin:  strip(longest('W')),
+    longestLoss: strip(longest('L')),
+  };
+}
+
+/**
+ * Points for and against, game by game, with a rolling TREND_WINDOW-game
+ * average of each.
+ */
+function scoringTrend(log, window = TREND_WINDOW) {
+  return log.map((g, i) => {
+    const recent = log.slice(Math.max(0, i - window + 1), i + 1);
+    return {
+      round:      g.round,
+      for:        g.for,
+      against:    g.against,
+      avgFor:     round(recent.reduce((s, r) => s + r.for, 0) / recent.length, 1),
+      avgAgainst: round(recent.reduce((s, r) => s + r.against, 0) / recent.length, 1),
+    };
+  });
+}
+
+module.exports = {
+  TREND_WINDOW,
+  seasonLog,
+  record,
+  splits,
+  venueRecords,
+  streaks,
+  scoringTrend,
+};
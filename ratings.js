@@ -0,0 +1,173 @@
+/**
+ * AFL Edge — Team ratings (Elo)
+ *
+ * Walks every completed game in date order and keeps an Elo-style rating
+ * per team:
+ *   - Home ground advantage: learned per ground (travel.js) when the away
+ *     side has made a long trip, a smaller fixed amount for a local "home" game
+ *   - Margin of victory: bigger wins move ratings further, damped when the
+ *     favourite wins (so strong teams don't inflate by thrashing weak ones)
+ *   - Between seasons every rating is pulled part of the way back to the mean
+ *
+ * Unlike recent form or ladder rank, a rating accounts for who each team has
+ * actually played.
+ */
+
+const { isInterstate, createGroundTable } = require('./travel');
+const { round } = require('./stats');
+const teams = require('./teams');
+
+const MEAN_RATING     = 1500;
+const K               = 40;
+const HGA_INTERSTATE  = 60;   // Elo points when the away team has travelled interstate
+const HGA_LOCAL       = 15;   // Elo points for a same-state home game
+const SEASON_CARRYOVER = 0.7; // share of a team's distance from the mean kept over the off-season
+
+// Near an even contest one point of expected margin is worth about this many
+// Elo points (with a 36-point margin spread)
+const ELO_PER_POINT = 7.7;
+
+// ─── MODEL ────────────────────────────────────────────────────────────────────
+/**
+ * Probability (0-1) that a team rated `a` beats a team rated `b`.
+ * `hga` is added to `a`'s rating.
+ */
+function expectedScore(a, b, hga = 0) {
+  return 1 / (1 + Math.pow(10, -((a + hga) - b) / 400));
+}
+
+/**
+ * Home ground advantage in Elo points for a game.
+ * Finals are at allocated venues, so the "home" label carries no advantage
+ * on its own — only travel counts, and it can favour the away side.
+ *
+ * With a ground table (travel.createGroundTable) a home side hosting
+ * travelling visitors gets that ground's learned advantage instead of the
+ * flat HGA_INTERSTATE.
+ */
+function homeAdvantage(game, grounds = null) {
+  const homeAway = isInterstate(game.hteam, game.venue);
+  const awayAway = isInterstate(game.ateam, game.venue);
+  if (game.is_final) {
+    if (homeAway === awayAway) return 0;
+    return awayAway ? HGA_INTERSTATE : -HGA_INTERSTATE;
+  }
+  if (homeAway) return 0;
+  if (!awayAway) return HGA_LOCAL;
+  if (!grounds) return HGA_INTERSTATE;
+  return Math.max(0, grounds.advantage(game.venue).points * ELO_PER_POINT);
+}
+
+/**
+ * Margin-of-victory multiplier. `diff` is the winner's rating edge
+ * (including home advantage) going into the game. Never below 1, so a draw
+ * or a one-point game still moves ratings by the full expected-score miss
+ * (log(|margin| + 1) alone is 0 for a draw).
+ */
+function movMultiplier(margin, diff) {
+  return Math.max(1, Math.log(Math.abs(margin) + 1)) * (2.2 / (diff * 0.001 + 2.2));
+}
+
+// ─── PROCESSING ───────────────────────────────────────────────────────────────
+/**
+ * Process completed games in date order.
+ *
+ * @param {Array} games — completed Squiggle games, any number of seasons
+ * @returns {{ ratings: Map<number, number>, history: Object<number, Array>, grounds }}
+ *   ratings — current rating per team, keyed by Squiggle team id (teams.js)
+ *   history — per team id, one entry per season start and per game played
+ *   grounds — home advantage per ground learned from these games
+ */
+function computeRatings(games) {
+  const ratings = new Map();
+  const history = {};
+  const grounds = createGroundTable();
+  let season = null;
+
+  const sorted = games
+    .filter(g => g.complete === 100)
+    .sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.id - b.id);
+
+  const get = id => {
+    if (!ratings.has(id)) {
+      ratings.set(id, MEAN_RATING);
+      history[id] = [];
+    }
+    return ratings.get(id);
+  };
+
+  for (const g of sorted) {
+    // New season — regress everyone towards the mean
+    if (season !== null && g.year !== season) {
+      for (const [id, r] of ratings) {
+        const start = MEAN_RATING + (r - MEAN_RATING) * SEASON_CARRYOVER;
+        ratings.set(id, start);
+        history[id].push({ year: g.year, round: 0, rating: round(start, 1), change: round(start - r, 1) });
+      }
+    }
+    season = g.year;
+
+    // A club the registry doesn't know can't be told apart from another
+    const hid = teams.homeId(g);
+    const aid = teams.awayId(g);
+    if (hid === null || aid === null) continue;
+
+    const home = get(hid);
+    const away = get(aid);
+    const hga  = homeAdvantage(g, grounds);
+    const margin = (g.hscore || 0) - (g.ascore || 0);
+    const actual = margin > 0 ? 1 : margin < 0 ? 0 : 0.5;
+    const expected = expectedScore(home, away, hga);
+
+    const winnerEdge = margin >= 0 ? (home + hga) - away : away - (home + hga);
+    const change = K * movMultiplier(margin, winnerEdge) * (actual - expected);
+
+    ratings.set(hid, home + change);
+    ratings.set(aid, away - change);
+
+    // What the ground gave the home side beyond the pre-game rating gap
+    grounds.add(g, (home - away) / ELO_PER_POINT);
+
+    history[hid].push({
+      year: g.year, round: g.round, gameId: g.id, opponent: g.ateam,
+      rating: round(home + change, 1), change: round(change, 1),
+    });
+    history[aid].push({
+      year: g.year, round: g.round, gameId: g.id, opponent: g.hteam,
+      rating: round(away - change, 1), change: round(-change, 1),
+    });
+  }
+
+  return { ratings, history, grounds };
+}
+
+/**
+ * Ratings as they stood going into round `beforeRound` of `year` (or after
+ * every game if it is null). When `year` hasn't started yet, the off-season
+ * regression is applied so Round 1 ratings are what the model would use.
+ */
+function ratingsAt(games, year, beforeRound = null) {
+  const before = games.filter(g =>
+    g.year < year || (g.year === year && (beforeRound === null || g.round < beforeRound))
+  );
+  const result = computeRatings(before);
+
+  const lastYear = Math.max(...before.map(g => g.year), -Infinity);
+  if (lastYear < year && result.ratings.size > 0) {
+    for (const [id, r] of result.ratings) {
+      const start = MEAN_RATING + (r - MEAN_RATING) * SEASON_CARRYOVER;
+      result.ratings.set(id, start);
+      result.history[id].push({ year, round: 0, rating: round(start, 1), change: round(start - r, 1) });
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  MEAN_RATING,
+  ELO_PER_POINT,
+  expectedScore,
+  homeAdvantage,
+  computeRatings,
+  ratingsAt,
+};
@@ -0,0 +1,138 @@
+/**
+ * AFL Edge — Strength of schedule
+ *
+ * How hard each team's fixture is. A game's difficulty is the chance an
+ * average team (MEAN_RATING) would lose it: the opponent's Elo rating plus
+ * the ground — a trip to Perth to play the ladder leader is harder than
+ * hosting them. Every game is judged on current ratings, so games already
+ * played and games to come are measured on the same scale.
+ *
+ * With 23 rounds and 17 other clubs every team plays some opponents twice,
+ * so two sides on the same wins can have had very different draws.
+ * Adjusted wins put them back on an even footing: a team gets credit for
+ * each game harder than an even contest (difficulty above 50%) and loses it
+ * for each easier one.
+ */
+
+const ratings = require('./ratings');
+const teams   = require('./teams');
+const { round } = require('./stats');
+
+// ─── GAMES ────────────────────────────────────────────────────────────────────
+/**
+ * Difficulty of one game for one side, 0-1.
+ *
+ * @param {Object} game   — Squiggle game (hteam, ateam, venue, is_final)
+ * @param {boolean} home  — judge it for the home side (else the away side)
+ * @param {Map} current   — team id → rating
+ * @param {Object} [grounds] — learned ground advantage (ratings.ratingsAt)
+ * @returns {number|null} null if the opponent has no rating
+ */
+function gameDifficulty(game, home, current, grounds = null) {
+  const opponent = home ? teams.awayId(game) : teams.homeId(game);
+  if (!current.has(opponent)) return null;
+  const hga = ratings.homeAdvantage(game, grounds);
+  const win = ratings.expectedScore(ratings.MEAN_RATING, current.get(opponent), home ? hga : -hga);
+  return 1 - win;
+}
+
+// ─── SEASON ───────────────────────────────────────────────────────────────────
+/**
+ * Strength of schedule for every team in a season's home-and-away fixture.
+ *
+ * @param {Array} games      — the season's games (played and to come)
+ * @param {Map}   current    — team id → rating
+ * @param {Object} [grounds] — learned ground advantage
+ * @returns {Array} one entry per team, hardest schedule so far first:
+ *   { id, name, played, remaining, season, wins, credit, adjustedWins, games }
+ *   where played / remaining / season are { games, difficulty (%),
+ *   opponentRating } and games is one row per fixture game
+ */
+function strengthOfSchedule(games, current, grounds = null) {
+  const byTeam = new Map();
+  const entry = (id, name) => {
+    if (!byTeam.has(id)) byTeam.set(id, { id, name: teams.getTeam(id)?.name ?? name, wins: 0, games: [] });
+    return byTeam.get(id);
+  };
+
+  for (const g of games) {
+    const [hid, aid] = [teams.homeId(g), teams.awayId(g)];
+    if (g.is_final || hid === null || aid === null) continue;
+    for (const home of [true, false]) {
+      const team = entry(home ? hid : aid, home ? g.hteam : g.ateam);
+      const opponent = home ? g.ateam : g.hteam;
+      const opponentId = home ? aid : hid;
+      const played = g.complete === 100;
+      const margin = home ? (g.hscore || 0) - (g.ascore || 0) : (g.ascore || 0) - (g.hscore || 0);
+      const difficulty = gameDifficulty(g, home, current, grounds);
+      if (played) team.wins += margin > 0 ? 1 : margin === 0 ? 0.5 : 0;
+      team.games.push({
+        gameId:  g.id,
+        round:   g.round,
+        opponent,
+        home,
+        venue:   g.venue,
+        played,
+        result:  played ? (margin > 0 ? 'W' : margin < 0 ? 'L' : 'D') : null,
+        opponentRating: current.has(opponentId) ? Math.round(current.get(opponentId)) : null,
+        difficulty: difficulty === null ? null : round(difficulty * 100, 1),
+      });
+    }
+  }
+
+  return [...byTeam.values()]
+    .map(t => {
+      const played = t.games.filter(g => g.played);
+      const credit = scheduleCredit(played);
+      return {
+        id:        t.id,
+        name:      t.name,
+        played:    summarise(played),
+        remaining: summarise(t.games.filter(g => !g.played)),
+        season:    summarise(t.games),
+        // Wins (draws as half) plus credit for a harder than even draw so far
+        wins:         t.wins,
+        credit:       round(credit, 1),
+        adjustedWins: round(t.wins + credit, 1),
+        games:     t.games.sort((a, b) => a.round - b.round),
+      };
+    })
+    .sort((a, b) => (b.played.difficulty ?? -1) - (a.played.difficulty ?? -1));
+}
+
+/**
+ * Wins to add for a schedule: Σ(difficulty − 50%) over the games, so a
+ * run of games an average side wins only 40% of the time is worth +0.1
+ * each.
+ */
+function scheduleCredit(rows) {
+  return rows
+    .filter(g => g.difficulty !== null)
+    .reduce((s, g) => s + (g.difficulty / 100 - 0.5), 0);
+}
+
+function summarise(rows) {
+  const rated = rows.filter(g => g.difficulty !== null);
+  if (rated.length === 0) return { games: rows.length, difficulty: null, opponentRating: null };
+  return {
+    games:          rows.length,
+    difficulty:     round(rated.reduce((s, g) => s + g.difficulty, 0) / rated.length, 1),
+    opponentRating: Math.round(rated.reduce((s, g) => s + g.opponentRating, 0) / rated.length),
+  };
+}
+
+/**
+ * Ratings and ground table for judging a season's fixture: everything up to
+ * the latest completed game, from a season context's history.
+ */
+function currentStrength(history, year) {
+  const { ratings: current, grounds } = ratings.ratingsAt(history, year);
+  return { current, grounds };
+}
+
+module.exports = {
+  gameDifficulty,
+  strengthOfSchedule,
+  scheduleCredit,
+  currentStrength,
+};
@@ -0,0 +1,164 @@
+/**
+ * AFL Edge — Score model
+ *
+ * Turns a win probability and an expected total into distributions for the
+ * home margin and the total score, both normal:
+ *
+ *   margin ~ N(μ, marginSd)   μ = marginSd × Φ⁻¹(P(home win)), so the margin
+ *                             distribution agrees with the win probability
+ *   total  ~ N(expected + totalBias, totalSd)
+ *
+ * From those: P(margin > line) for any handicap, P(total > x), margin
+ * buckets and credible intervals.
+ *
+ * The spreads default to long-run AFL figures; calibrate.js fits them to
+ * backtest residuals and saves them in weights.json alongside the weights.
+ */
+
+const { normalCdf, normalQuantile, round } = require('./stats');
+
+const DEFAULT_SCORE_MODEL = {
+  marginSd:  36,  // spread of AFL margins around the expected margin
+  totalSd:   26,
+  totalBias: 0,   // added to the team-average expected total
+};
+
+// Winning by this much or more is a "big" win in the bucket breakdown
+const BIG_WIN = 40;
+
+// Central credible intervals reported for margin and total (percent)
+const INTERVALS = [50, 80, 95];
+
+// ─── DISTRIBUTION ─────────────────────────────────────────────────────────────
+/**
+ * Expected home margin for a win probability (0-1).
+ */
+function expectedMargin(homeProb, marginSd = DEFAULT_SCORE_MODEL.marginSd) {
+  const p = Math.min(0.99, Math.max(0.01, homeProb));
+  return marginSd * normalQuantile(p);
+}
+
+/**
+ * Margin and total distributions for a match.
+ *
+ * @param {number} homeProb      — 0-1
+ * @param {number} expectedTotal — team-average expected total, before bias
+ * @param {Object} [model]       — { marginSd, totalSd, totalBias }
+ */
+function scoreDistribution(homeProb, expectedTotal, model = DEFAULT_SCORE_MODEL) {
+  const margin = { mean: expectedMargin(homeProb, model.marginSd), sd: model.marginSd };
+  const total  = { mean: expectedTotal + (model.totalBias || 0), sd: model.totalSd };
+
+  // Scores are whole numbers: a margin in (-0.5, 0.5) is a draw
+  const pOver  = x => probMarginOver(margin, x);
+  const buckets = {
+    homeBig:   pOver(BIG_WIN - 0.5),
+    homeClose: pOver(0.5) - pOver(BIG_WIN - 0.5),
+    draw:      pOver(-0.5) - pOver(0.5),
+    awayClose: pOver(-BIG_WIN + 0.5) - pOver(-0.5),
+    awayBig:   1 - pOver(-BIG_WIN + 0.5),
+  };
+
+  return {
+    margin: { ...roundDist(margin), intervals: intervals(margin) },
+    total:  { ...roundDist(total),  intervals: intervals(total) },
+    buckets: Object.fromEntries(Object.entries(buckets).map(([k, p]) => [k, pct(p)])),
+  };
+}
+
+/**
+ * P(home margin > line). For a home handicap of h, the home side covers
+ * when margin > −h.
+ */
+function probMarginOver(margin, line) {
+  return 1 - normalCdf((line - margin.mean) / margin.sd);
+}
+
+/**
+ * P(total > x).
+ */
+function probTotalOver(total, x) {
+  return 1 - normalCdf((x - total.mean) / total.sd);
+}
+
+/**
+ * Central interval holding `level` percent of the distribution.
+ */
+function interval({ mean, sd }, level) {
+  const z = normalQuantile(0.5 + level / 200);
+  return [Math.round(mean - z * sd), Math.round(mean + z * sd)];
+}
+
+function intervals(dist) {
+  return Object.fromEntries(INTERVALS.map(level => [level, interval(dist, level)]));
+}
+
+// ─── FIT ──────────────────────────────────────────────────────────────────────
+/**
+ * Fit the spreads to completed games.
+ *
+ * Margin: maximum likelihood for marginSd, with each game's mean tied to
+ * its win probability (μ = sd × Φ⁻¹(p)) — so the fit also checks that
+ * probabilities and margins agree.
+ * Total: residuals against the current model's expected totals give the
+ * bias correction and spread.
+ *
+ * @param {Array}  samples — { homeProb (0-1), actualMargin, expectedTotal, actualTotal }
+ * @param {Object} [current] — model the expected totals were made with
+ */
+function fitScoreModel(samples, current = DEFAULT_SCORE_MODEL) {
+  if (samples.length < 30) return { ...current, games: samples.length };
+
+  // −log likelihood of N(s·z, s) up to a constant, minimised over s
+  const zs = samples.map(s => normalQuantile(Math.min(0.99, Math.max(0.01, s.homeProb))));
+  const nll = sd => samples.reduce((acc, s, i) => {
+    const r = (s.actualMargin - sd * zs[i]) / sd;
+    return acc + Math.log(sd) + r * r / 2;
+  }, 0);
+  let best = current.marginSd, bestNll = Infinity;
+  for (let sd = 15; sd <= 60; sd += 0.1) {
+    const v = nll(sd);
+    if (v < bestNll) { best = sd; bestNll = v; }
+  }
+
+  const residuals = samples.map(s => s.actualTotal - s.expectedTotal);
+  const meanResidual = residuals.reduce((a, b) => a + b, 0) / residuals.length;
+  const totalSd = Math.sqrt(residuals.reduce((a, r) => a + (r - meanResidual) ** 2, 0) / (residuals.length - 1));
+
+  return {
+    marginSd:  round(best, 1),
+    totalSd:   round(totalSd, 1),
+    totalBias: round((current.totalBias || 0) + meanResidual, 1),
+    games:     samples.length,
+  };
+}
+
+/**
+ * Accept a saved score model only if every spread is a positive number.
+ */
+function isValidScoreModel(model) {
+  return !!model
+    && model.marginSd > 0 && model.totalSd > 0
+    && typeof model.totalBias === 'number';
+}
+
+// ─── HELPERS ──────────────────────────────────────────────────────────────────
+function roundDist({ mean, sd }) {
+  return { mean: round(mean, 1), sd: round(sd, 1) };
+}
+
+function pct(p) {
+  return round(Math.max(0, p) * 100, 1);
+}
+
+module.exports = {
+  DEFAULT_SCORE_MODEL,
+  BIG_WIN,
+  expectedMargin,
+  scoreDistribution,
+  probMarginOver,
+  probTotalOver,
+  interval,
+  fitScoreModel,
+  isValidScoreModel,
+};
@@ -0,0 +1,172 @@
+/**
+ * AFL Edge — Monte Carlo season simulator
+ *
+ * Starts from the current ladder and plays out every unplayed home-and-away
+ * game thousands of times using our blended match probabilities. Each game
+ * gets a simulated margin and total score so percentage moves realistically.
+ *
+ * AFL ladder rules: 4 points for a win, 2 for a draw, ties on points broken
+ * by percentage (points for / points against × 100).
+ *
+ * The projection also gives each team's expected wins adjusted for the
+ * opponents it has already faced (schedule.js), since the uneven fixture
+ * flatters some win totals and hides others.
+ */
+
+const { createRng, sampleNormal } = require('./stats');
+const { loadSeasonContext, loadAllMeetings, homeWinProbability } = require('./matchup');
+const { SCORE_MODEL } = require('./predictor');
+const { expectedMargin } = require('./scoremodel');
+const schedule = require('./schedule');
+const teams    = require('./teams');
+
+const TOTAL_MEAN = 165; // typical combined score
+
+const DEFAULT_SIMS = 10000;
+
+// ─── SINGLE GAME ──────────────────────────────────────────────────────────────
+/**
+ * Simulate one game's scores from the score model (scoremodel.js): the
+ * expected margin is set so that P(home margin > 0) equals `homeProb`.
+ */
+function simulateGame(homeProb, rng, model = SCORE_MODEL) {
+  const { marginSd, totalSd } = model;
+  const margin = Math.round(sampleNormal(rng, expectedMargin(homeProb, marginSd), marginSd));
+  const total  = Math.max(Math.abs(margin) + 40, Math.round(sampleNormal(rng, TOTAL_MEAN, totalSd)));
+  const hscore = Math.round((total + margin) / 2);
+  return { hscore, ascore: hscore - margin };
+}
+
+// ─── LADDER ───────────────────────────────────────────────────────────────────
+/**
+ * Sort a simulated table by points, then percentage.
+ */
+function sortLadder(table) {
+  return table.sort((a, b) =>
+    b.pts - a.pts || (b.for / (b.against || 1)) - (a.for / (a.against || 1))
+  );
+}
+
+// ─── SEASON ───────────────────────────────────────────────────────────────────
+/**
+ * Simulate the rest of a season.
+ *
+ * @param {Object}   opts
+ * @param {Array}    opts.standings     — current ladder (Squiggle standings shape)
+ * @param {Array}    opts.remaining     — unplayed games (hteam, ateam, id)
+ * @param {Map}      opts.probabilities — game id → home win probability (0-1)
+ * @param {number}   [opts.sims]
+ * @param {number}   [opts.seed]
+ * @param {Function} [opts.onLadder]    — called with (finalLadder, rng) after each sim
+ * @returns {Array} one entry per team with position / top 8 / top 4 odds
+ */
+function simulateSeason({ standings, remaining, probabilities, sims = DEFAULT_SIMS, seed, onLadder }) {
+  const rng = createRng(seed);
+  // Tables are keyed by team id, so a game's "GWS Giants" and the ladder's
+  // "Greater Western Sydney" land on the same row
+  const ladderId = s => s.id ?? teams.teamId(s.name);
+  const ids = standings.map(ladderId);
+  const start = Object.fromEntries(standings.map(s => [ladderId(s), {
+    name: s.name,
+    wins: s.wins || 0, draws: s.draws || 0,
+    pts: s.pts ?? ((s.wins || 0) * 4 + (s.draws || 0) * 2),
+    for: s.for || 0, against: s.against || 0,
+  }]));
+  // Teams with no ladder entry yet (season hasn't started) start from zero
+  for (const g of remaining) {
+    for (const [id, name] of [[teams.homeId(g), g.hteam], [teams.awayId(g), g.ateam]]) {
+      if (!start[id]) {
+        start[id] = { name: teams.getTeam(id)?.name ?? name, wins: 0, draws: 0, pts: 0, for: 0, against: 0 };
+        ids.push(id);
+      }
+    }
+  }
+
+  const tally = Object.fromEntries(ids.map(id => [id, {
+    positions: new Array(ids.length).fill(0),
+    wins: 0,
+  }]));
+
+  for (let i = 0; i < sims; i++) {
+    const table = Object.fromEntries(ids.map(id => [id, { id, ...start[id] }]));
+
+    for (const g of remaining) {
+      const { hscore, ascore } = simulateGame(probabilities.get(g.id) ?? 0.5, rng);
+      const home = table[teams.homeId(g)];
+      const away = table[teams.awayId(g)];
+      home.for += hscore; home.against += ascore;
+      away.for += ascore; away.against += hscore;
+      if (hscore > ascore)      { home.wins++; home.pts += 4; }
+      else if (ascore > hscore) { away.wins++; away.pts += 4; }
+      else { home.draws++; away.draws++; home.pts += 2; away.pts += 2; }
+    }
+
+    const ladder = sortLadder(Object.values(table));
+    ladder.forEach((t, pos) => {
+      tally[t.id].positions[pos]++;
+      tally[t.id].wins += t.wins + t.draws / 2;
+    });
+    if (onLadder) onLadder(ladder, rng);
+  }
+
+  const pct = n => parseFloat((n / sims * 100).toFixed(1));
+  return ids.map(id => {
+    const positions = tally[id].positions;
+    const within = n => positions.slice(0, n).reduce((a, b) => a + b, 0);
+    const current = standings.find(s => ladderId(s) === id);
+    return {
+      id,
+      name: start[id].name,
+      currentRank: current?.rank ?? null,
+      expectedWins: parseFloat((tally[id].wins / sims).toFixed(1)),
+      minorPremiership: pct(positions[0]),
+      top4: pct(within(4)),
+      top8: pct(within(8)),
+      positions: positions.map(pct),
+    };
+  }).sort((a, b) => b.expectedWins - a.expectedWins || b.top8 - a.top8);
+}
+
+// ─── RUN ──────────────────────────────────────────────────────────────────────
+/**
+ * Load a season and simulate the rest of its home-and-away games.
+ * Pass `ctx` to reuse an already-loaded season context; extra options
+ * (e.g. onLadder) are passed through to simulateSeason.
+ */
+async function projectSeason(year, { sims = DEFAULT_SIMS, seed, ctx = null, ...opts } = {}) {
+  if (!ctx) ctx = await loadSeasonContext(year);
+  const remaining = ctx.games.filter(g => g.complete < 100 && !g.is_final);
+
+  const probabilities = new Map();
+  await loadAllMeetings(ctx, remaining);
+  for (const g of remaining) probabilities.set(g.id, homeWinProbability(g, ctx));
+
+  const projection = simulateSeason({
+    standings: ctx.standings, remaining, probabilities, sims, seed, ...opts,
+  });
+
+  // Credit (or debit) for the draw each team has had so far
+  const { current, grounds } = schedule.currentStrength(ctx.history, year);
+  const credit = new Map(schedule.strengthOfSchedule(ctx.games, current, grounds)
+    .map(t => [t.id, t.credit]));
+
+  return {
+    year,
+    sims,
+    remainingGames: remaining.length,
+    teams: projection.map(t => ({
+      ...t,
+      scheduleAdjustment: credit.get(t.id) ?? 0,
+      adjustedWins: parseFloat((t.expectedWins + (credit.get(t.id) ?? 0)).toFixed(1)),
+    })),
+    ctx,
+  };
+}
+
+module.exports = {
+  DEFAULT_SIMS,
+  simulateGame,
+  simulateSeason,
+  sortLadder,
+  projectSeason,
+};
@@ -10,48 +10,289 @@
  *   ?q=tips         — win predictions from multiple models
  *   ?q=teams        — team list with IDs
  *   ?q=sources      — prediction model list
+ *
+ * Responses are cached through a pluggable store (cache.js) with
+ * stale-while-revalidate; completed seasons are kept for 30 days.
+ *
+ * Requests time out, retry with backoff (honouring Retry-After on 429) and
+ * are shared between concurrent callers. Failures are thrown as typed
+ * SquiggleErrors — unless a previous good response is cached, in which case
+ * that is served and the result is flagged (see isStale).
+ *
+ * Offline: SQUIGGLE_FIXTURES=<dir> reads recorded responses instead of the
+ * network (see fixtures.js); SQUIGGLE_BASE points at another server, e.g.
+ * the local stand-in.
  */
 
+const http  = require('http');
 const https = require('https');
+const cacheStores = require('./cache');
+const { createFixtureProvider } = require('./fixtures');
+const teams = require('./teams');
+const venues = require('./venues');
 
-const BASE   = 'https://api.squiggle.com.au/';
 // Squiggle asks you to identify yourself in the User-Agent
 const UA     = 'AFLEdge/1.0 (contact via github)';
-const cache  = new Map();
+
+// Past seasons never change — keep them for 30 days instead of minutes
+const COMPLETED_SEASON_TTL = 30 * 86400;
+// Running scores during a game
+const LIVE_TTL = 15;
+// Once fresh, an entry can still be served for this many TTLs while it's
+// refreshed in the background (stale-while-revalidate)
+const STALE_FACTOR = 5;
+
+// Request behaviour — override with configure() or the env vars (configFromEnv)
+const config = {
+  ...configFromEnv(),
+  backoffMs:  500,    // first retry delay, doubled each attempt
+  maxDelayMs: 10000,  // cap on any single wait, including Retry-After
+};
+
+let store = cacheStores.createStoreFromEnv();
+let fixtures = process.env.SQUIGGLE_FIXTURES
+  ? createFixtureProvider(process.env.SQUIGGLE_FIXTURES)
+  : null;
+const inFlight     = new Map();     // url → pending request, so callers share one fetch
+const staleResults = new WeakSet(); // results served from an old cache entry
+
+// ─── ERRORS ───────────────────────────────────────────────────────────────────
+class SquiggleError extends Error {
+  constructor(message, { url, retryable = false } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.url = url;
+    this.retryable = retryable;
+  }
+}
+
+/** Connection failed or was reset */
+class NetworkError extends SquiggleError {
+  constructor(message, opts = {}) { super(message, { retryable: true, ...opts }); }
+}
+
+/** No response within config.timeoutMs */
+class TimeoutError extends NetworkError {}
+
+/** HTTP 429 — retryAfterMs comes from the Retry-After header when present */
+class RateLimitError extends SquiggleError {
+  constructor(message, { retryAfterMs = null, ...opts } = {}) {
+    super(message, { retryable: true, ...opts });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** Any other non-200 response. Only 5xx is worth retrying. */
+class UpstreamError extends SquiggleError {
+  constructor(message, { status, ...opts } = {}) {
+    super(message, { retryable: status >= 500, ...opts });
+    this.status = status;
+  }
+}
+
+/** 200 response that isn't valid JSON */
+class ParseError extends SquiggleError {}
 
 // ─── HTTP ─────────────────────────────────────────────────────────────────────
-function squiggleGet(params, ttlSeconds = 300) {
+/**
+ * Cached GET. If Squiggle can't be reached and we've ever had a good copy,
+ * that copy is returned with `stale: true` rather than failing.
+ */
+async function squiggleGet(params, ttlSeconds = 300) {
+  // Fixtures are already local — no cache, no retries
+  if (fixtures) return fixtures.get(params);
+
   const qs  = new URLSearchParams({ ...params }).toString();
-  const url = `${BASE}?${qs}`;
+  const url = `${config.base}?${qs}`;
+  const ttl = cacheTtl(params, ttlSeconds);
+
+  const hit = await store.get(url);
+  const now = Date.now();
+  // A caller that wants fresher data than the entry was stored for (live
+  // scores) treats it as stale sooner
+  if (hit && now < Math.min(hit.freshUntil, hit.storedAt + ttl * 1000)) return hit.data;
+  if (hit && now < hit.staleUntil) {
+    revalidate(url, ttl);
+    return hit.data;
+  }
+
+  try {
+    return await refresh(url, ttl);
+  } catch (err) {
+    if (!hit) throw err;
+    console.warn(`[squiggle] ${err.name}: ${err.message} — serving cached copy`);
+    return { ...hit.data, stale: true, staleSince: new Date(hit.storedAt).toISOString() };
+  }
+}
+
+/**
+ * Completed seasons get a long TTL; everything else keeps the caller's.
+ */
+function cacheTtl(params, ttlSeconds) {
+  const year = parseInt(params.year);
+  return year && year < new Date().getFullYear() ? COMPLETED_SEASON_TTL : ttlSeconds;
+}
+
+// Fetch and store. Concurrent calls for the same URL share one request.
+function refresh(url, ttl) {
+  if (inFlight.has(url)) return inFlight.get(url);
+
+  const request = fetchWithRetry(url)
+    .then(async data => {
+      const now = Date.now();
+      await store.set(url, {
+        data,
+        storedAt:   now,
+        freshUntil: now + ttl * 1000,
+        staleUntil: now + ttl * 1000 * STALE_FACTOR,
+      });
+      return data;
+    })
+    .finally(() => inFlight.delete(url));
+
+  inFlight.set(url, request);
+  return request;
+}
+
+// Background refresh of a stale entry
+function revalidate(url, ttl) {
+  refresh(url, ttl)
+    .catch(err => console.warn('[squiggle] background refresh failed:', err.message));
+}
 
-  const hit = cache.get(url);
-  if (hit && Date.now() < hit.exp) return Promise.resolve(hit.data);
+/**
+ * fetchJson with exponential backoff on retryable errors.
+ * A 429's Retry-After wins over the backoff schedule.
+ */
+async function fetchWithRetry(url) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchJson(url);
+    } catch (err) {
+      if (!err.retryable || attempt >= config.retries) throw err;
+      const backoff = config.backoffMs * 2 ** attempt * (0.8 + Math.random() * 0.4);
+      const delay = Math.min(config.maxDelayMs, err.retryAfterMs ?? backoff);
+      await new Promise(r => setTimeout(r, delay));
+    }
+  }
+}
 
+function fetchJson(url) {
   return new Promise((resolve, reject) => {
-    https.get(url, { headers: { 'User-Agent': UA } }, (res) => {
+    const client = url.startsWith('http:') ? http : https;
+    const req = client.get(url, { headers: { 'User-Agent': UA }, timeout: config.timeoutMs }, (res) => {
       let raw = '';
       res.on('data', c => raw += c);
       res.on('end', () => {
         if (res.statusCode === 429) {
-          return reject(new Error('Squiggle rate limit hit — wait a moment and retry'));
+          return reject(new RateLimitError('Squiggle rate limit hit — wait a moment and retry', {
+            url, retryAfterMs: parseRetryAfter(res.headers['retry-after']),
+          }));
+        }
+        if (res.statusCode !== 200) {
+          return reject(new UpstreamError(`Squiggle returned HTTP ${res.statusCode}`, {
+            url, status: res.statusCode,
+          }));
         }
         try {
-          const data = JSON.parse(raw);
-          cache.set(url, { data, exp: Date.now() + ttlSeconds * 1000 });
-          resolve(data);
+          resolve(JSON.parse(raw));
         } catch (e) {
-          reject(new Error(`Squiggle parse error: ${e.message}`));
+          reject(new ParseError(`Squiggle parse error: ${e.message}`, { url }));
         }
       });
-    }).on('error', reject);
+      res.on('error', e => reject(new NetworkError(`Squiggle connection error: ${e.message}`, { url })));
+    });
+    req.on('timeout', () => {
+      req.destroy(new TimeoutError(`Squiggle did not respond within ${config.timeoutMs}ms`, { url }));
+    });
+    req.on('error', e => {
+      reject(e instanceof SquiggleError ? e : new NetworkError(`Squiggle connection error: ${e.message}`, { url }));
+    });
   });
 }
 
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const secs = Number(header);
+  if (!Number.isNaN(secs)) return secs * 1000;
+  const when = Date.parse(header);
+  return Number.isNaN(when) ? null : Math.max(0, when - Date.now());
+}
+
+/**
+ * Override request behaviour: { base, timeoutMs, retries, backoffMs, maxDelayMs }
+ */
+function configure(options) {
+  Object.assign(config, options);
+}
+
+/**
+ * Base URL, timeout and retry count from SQUIGGLE_BASE, SQUIGGLE_TIMEOUT_MS
+ * and SQUIGGLE_RETRIES. A number that isn't a whole count (NaN would mean
+ * retrying forever) falls back to the default.
+ */
+function configFromEnv(env = process.env) {
+  return {
+    base:      env.SQUIGGLE_BASE || 'https://api.squiggle.com.au/',
+    timeoutMs: envCount(env, 'SQUIGGLE_TIMEOUT_MS', 8000, 1),
+    retries:   envCount(env, 'SQUIGGLE_RETRIES', 2, 0),
+  };
+}
+
+function envCount(env, name, fallback, min) {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+  const n = /^\s*\d+\s*$/.test(raw) ? Number(raw) : NaN;
+  if (Number.isSafeInteger(n) && n >= min) return n;
+  console.warn(`[squiggle] ${name} must be a whole number >= ${min} (got "${raw}") — using ${fallback}`);
+  return fallback;
+}
+
+/**
+ * Read from a fixture directory instead of the network (null to go back online).
+ */
+function useFixtures(dir) {
+  fixtures = dir ? createFixtureProvider(dir) : null;
+}
+
+/**
+ * Swap the cache store (see cache.js) — e.g. a file store in scripts.
+ */
+function setCacheStore(newStore) {
+  store = newStore;
+}
+
+// ─── STALE TRACKING ───────────────────────────────────────────────────────────
+// Getters return plain arrays, so staleness is tracked on the array itself.
+function withStale(data, result) {
+  if (data.stale) staleResults.add(result);
+  return result;
+}
+
+function carryStale(source, result) {
+  if (staleResults.has(source)) staleResults.add(result);
+  return result;
+}
+
+/**
+ * True if any of the given results came from an old cached copy because
+ * Squiggle was unreachable. Handlers pass this through as `stale: true`.
+ */
+function isStale(...results) {
+  return results.some(r => r && typeof r === 'object' && staleResults.has(r));
+}
+
 // ─── TEAMS ────────────────────────────────────────────────────────────────────
-/** Returns all 18 AFL teams with id, name, abbrev */
+/**
+ * Returns all 18 AFL teams with id, name, abbrev.
+ * Also keeps the team registry (teams.js) in step with Squiggle's names.
+ */
 async function getTeams() {
   const data = await squiggleGet({ q: 'teams' }, 86400); // cache 24hrs
-  return data.teams || [];
+  const list = data.teams || [];
+  teams.register(list);
+  return withStale(data, list);
 }
 
 // ─── GAMES ────────────────────────────────────────────────────────────────────
@@ -64,7 +305,16 @@ async function getGames(year, round = null) {
   const params = { q: 'games', year };
   if (round !== null) params.round = round;
   const data = await squiggleGet(params, 120);
-  return data.games || [];
+  return withStale(data, data.games || []);
+}
+
+/**
+ * Games in a round with scores no more than LIVE_TTL seconds old, for the
+ * in-play model (/api/live).
+ */
+async function getLiveGames(year, round) {
+  const data = await squiggleGet({ q: 'games', year, round }, LIVE_TTL);
+  return withStale(data, data.games || []);
 }
 
 /**
@@ -72,7 +322,7 @@ async function getGames(year, round = null) {
  */
 async function getUpcoming(year) {
   const games = await getGames(year);
-  return games.filter(g => g.complete === 0);
+  return carryStale(games, games.filter(g => g.complete === 0));
 }
 
 /**
@@ -80,19 +330,41 @@ async function getUpcoming(year) {
  */
 async function getCompleted(year) {
   const games = await getGames(year);
-  return games.filter(g => g.complete === 100);
+  return carryStale(games, games.filter(g => g.complete === 100));
+}
+
+/**
+ * The round being played: the first round with a game not yet finished,
+ * else the fixture's last round (1 for an empty fixture). The CLI and every
+ * endpoint that defaults to "this round" use it.
+ */
+function currentRound(games) {
+  const open = games.filter(g => g.complete < 100).map(g => g.round);
+  if (open.length > 0) return Math.min(...open);
+  return games.length > 0 ? Math.max(...games.map(g => g.round)) : 1;
+}
+
+/**
+ * A requested round number: null when none was given (the caller then uses
+ * currentRound()), NaN when it isn't a whole number >= 0. Round 0 is Opening
+ * Round, so callers should fall back with ?? rather than ||.
+ */
+function parseRound(value) {
+  if (value === undefined || value === null) return null;
+  return /^\d+$/.test(String(value)) ? Number(value) : NaN;
 }
 
 /**
  * Get last N completed games for a specific team
- * @param {string} teamName  — e.g. 'Sydney'
+ * @param {string|number} team — name, alias or Squiggle id, e.g. 'Sydney'
  * @param {number} year
  * @param {number} n
  */
-async function getTeamRecentGames(teamName, year, n = 8) {
+async function getTeamRecentGames(team, year, n = 8) {
+  const id = teams.teamId(team);
   const completed = await getCompleted(year);
   return completed
-    .filter(g => g.hteam === teamName || g.ateam === teamName)
+    .filter(g => id !== null && (teams.homeId(g) === id || teams.awayId(g) === id))
     .slice(-n);
 }
 
@@ -105,7 +377,7 @@ async function getStandings(year, round = null) {
   const params = { q: 'standings', year };
   if (round !== null) params.round = round;
   const data = await squiggleGet(params, 300);
-  return data.standings || [];
+  return withStale(data, data.standings || []);
 }
 
 // ─── TIPS (PREDICTIONS) ───────────────────────────────────────────────────────
@@ -120,7 +392,7 @@ async function getTips(year, round = null) {
   const params = { q: 'tips', year };
   if (round !== null) params.round = round;
   const data = await squiggleGet(params, 120);
-  return data.tips || [];
+  return withStale(data, data.tips || []);
 }
 
 /**
@@ -130,10 +402,14 @@ async function getTips(year, round = null) {
  */
 async function getAggregateTip(year, round, hteam, ateam) {
   const tips = await getTips(year, round);
-  const matchTips = tips.filter(t =>
-    t.hteam === hteam && t.ateam === ateam
-  );
-  // Prefer the aggregate model (sourceid 8)
+  return pickAggregateTip(tipsForMatch(tips, round, hteam, ateam));
+}
+
+/**
+ * Choose the aggregate tip from a list of tips for one match.
+ * Prefers sourceid 8 (Aggregate), then 1 (Squiggle), then whatever is first.
+ */
+function pickAggregateTip(matchTips) {
   return matchTips.find(t => t.sourceid === 8)
     || matchTips.find(t => t.sourceid === 1) // Squiggle's own model
     || matchTips[0]
@@ -145,76 +421,155 @@ async function getAggregateTip(year, round, hteam, ateam) {
  */
 async function getAllTipsForMatch(year, round, hteam, ateam) {
   const tips = await getTips(year, round);
-  return tips.filter(t => t.hteam === hteam && t.ateam === ateam);
+  return carryStale(tips, tipsForMatch(tips, round, hteam, ateam));
+}
+
+/**
+ * Tips for one match picked out of tips already fetched — a whole season's
+ * or a round's — so a round of games needs only one getTips call.
+ */
+function tipsForMatch(tips, round, hteam, ateam) {
+  const forMatch = isTipFor(hteam, ateam);
+  return tips.filter(t => (round == null || t.round === round) && forMatch(t));
+}
+
+// Tip filter for a home / away pairing, matched on team id
+function isTipFor(hteam, ateam) {
+  const h = teams.teamId(hteam);
+  const a = teams.teamId(ateam);
+  return t => h !== null && teams.homeId(t) === h && teams.awayId(t) === a;
 }
 
 // ─── AGGREGATION HELPERS ─────────────────────────────────────────────────────
+// Preseason priors: until a team has `n` games this season, the sample is
+// topped up with its last games of the previous season. Each of those counts
+// for PRIOR_WEIGHT of a current game, decaying by PRIOR_DECAY per game further
+// back, and the rest of its slot is filled with a league-average result — so
+// last season is both down-weighted and regressed toward the mean.
+const PRIOR_WEIGHT = 0.7;
+const PRIOR_DECAY  = 0.85;
+// Ladder position and percentage likewise start from last season's ladder,
+// pulled halfway back to mid-table, and hand over to this season's by game n
+const PRIOR_LADDER_REGRESSION = 0.5;
+
 /**
  * Build the team stats object needed by the prediction engine.
- * Uses Squiggle games + standings data.
+ * Uses Squiggle games + standings data, plus last season's games as a prior
+ * while this season's sample is short (see PRIOR_WEIGHT).
  * 
- * @param {string} teamName   — e.g. 'Sydney'
+ * @param {string|number} teamRef — name, alias or Squiggle id, e.g. 'Sydney'
  * @param {number} year
  * @param {Array}  allGames   — pre-fetched completed games
  * @param {Array}  standings  — pre-fetched ladder
  * @param {number} n          — how many recent games to use
+ * @param {Array}  [priorGames] — last season's completed games
+ * @returns {Object|null} null for an unknown team or one with no games in
+ *   either season. `prior.share` is the percentage of each input that came
+ *   from last season.
  */
-function buildTeamStats(teamName, year, allGames, standings, n = 6) {
-  const teamGames = allGames
-    .filter(g => (g.hteam === teamName || g.ateam === teamName) && g.complete === 100)
-    .slice(-n);
+function buildTeamStats(teamRef, year, allGames, standings, n = 6, priorGames = []) {
+  const team = teams.getTeam(teamRef);
+  if (!team) return null;
+
+  const plays = g => (teams.homeId(g) === team.id || teams.awayId(g) === team.id) && g.complete === 100;
+  const teamGames = allGames.filter(plays).slice(-n);
+  const priorCompleted = [...priorGames]
+    .filter(g => g.complete === 100)
+    .sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.id - b.id);
+  const missing = n - teamGames.length;
+  const priorTeamGames = missing > 0 ? priorCompleted.filter(plays).slice(-missing) : [];
+
+  if (teamGames.length === 0 && priorTeamGames.length === 0) return null;
+
+  // League-average score last season, the value prior games regress toward
+  const leagueAvg = priorCompleted.length
+    ? priorCompleted.reduce((s, g) => s + (g.hscore || 0) + (g.ascore || 0), 0) / (priorCompleted.length * 2)
+    : 0;
 
-  if (teamGames.length === 0) return null;
+  // Most recent first: this season's games, then last season's, each with
+  // the share of a full game it counts for
+  const slots = [
+    ...[...teamGames].reverse().map(g => ({ g, weight: 1 })),
+    ...[...priorTeamGames].reverse().map((g, k) => ({ g, weight: PRIOR_WEIGHT * PRIOR_DECAY ** k, prior: true })),
+  ];
 
-  const scores    = [];
-  const conceded  = [];
-  const form      = [];
+  const scores      = [];
+  const conceded    = [];
+  const form        = [];
+  const formWeights = [];
 
-  for (const g of teamGames) {
-    const isHome   = g.hteam === teamName;
+  for (const { g, weight } of slots) {
+    const isHome   = teams.homeId(g) === team.id;
     const scored   = isHome ? (g.hscore || 0) : (g.ascore || 0);
     const against  = isHome ? (g.ascore || 0) : (g.hscore || 0);
-    scores.push(scored);
-    conceded.push(against);
+    scores.push(weight * scored + (1 - weight) * leagueAvg);
+    conceded.push(weight * against + (1 - weight) * leagueAvg);
     form.push(scored > against ? 'W' : scored < against ? 'L' : 'D');
+    formWeights.push(parseFloat(weight.toFixed(3)));
   }
 
   const avg = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+  const priorWeight = slots.filter(s => s.prior).reduce((s, x) => s + x.weight, 0);
+  const gameShare = priorWeight / (teamGames.length + priorWeight);
 
-  // Ladder entry for this team
-  const ladderEntry = standings.find(s =>
-    s.name === teamName || s.name?.includes(teamName.split(' ')[0])
-  );
+  // Ladder entry for this team, leaning on last season's until it has played a few
+  const ladderEntry = standings.find(s => (s.id ?? teams.teamId(s.name)) === team.id);
+  const priorEntry  = priorTeamGames.length
+    ? buildLadder(priorCompleted.filter(g => !g.is_final)).find(s => (s.id ?? teams.teamId(s.name)) === team.id)
+    : null;
+  const played = ladderEntry ? (ladderEntry.wins || 0) + (ladderEntry.losses || 0) + (ladderEntry.draws || 0) : 0;
+  const ladderShare = priorEntry ? Math.max(0, 1 - played / n) : 0;
+  const blend = (current, prior, mean) =>
+    (1 - ladderShare) * current + ladderShare * (mean + PRIOR_LADDER_REGRESSION * (prior - mean));
+
+  const pct = share => parseFloat((share * 100).toFixed(1));
 
   return {
-    name: teamName,
-    code: teamName.substring(0, 3).toUpperCase(),
+    id:   team.id,
+    name: team.name,
+    code: team.abbrev,
     recentGames: teamGames.length,
+    priorGames:  priorTeamGames.length,
     avgScore:    parseFloat(avg(scores).toFixed(1)),
     avgConceded: parseFloat(avg(conceded).toFixed(1)),
     // Squiggle doesn't have clearances — use scoring margin as proxy
     avgClearances: parseFloat(((avg(scores) - avg(conceded)) / 3 + 34).toFixed(1)),
-    form:        form.reverse(), // most recent first
+    form,        // most recent first, last season's results after this season's
+    formWeights, // 1 for this season, less for last season (see calcFormScore)
     scoringMargin: parseFloat((avg(scores) - avg(conceded)).toFixed(1)),
     // From ladder
     wins:        ladderEntry?.wins    || 0,
     losses:      ladderEntry?.losses  || 0,
-    percentage:  ladderEntry?.percentage || 100,
-    rank:        ladderEntry?.rank    || 9,
+    percentage:  priorEntry
+      ? parseFloat(blend(ladderEntry?.percentage || 100, priorEntry.percentage, 100).toFixed(1))
+      : ladderEntry?.percentage || 100,
+    rank:        priorEntry
+      ? Math.round(blend(ladderEntry?.rank || 9, priorEntry.rank, 9))
+      : ladderEntry?.rank || 9,
+    prior: {
+      year:  year - 1,
+      games: priorTeamGames.length,
+      share: { scoring: pct(gameShare), form: pct(gameShare), ladder: pct(ladderShare) },
+    },
   };
 }
 
 /**
  * Calculate H2H record between two teams from historical games
+ * (teams by name, alias or Squiggle id)
  */
-function calcH2H(teamName, opponentName, allGames) {
+function calcH2H(team, opponent, allGames) {
+  const id    = teams.teamId(team);
+  const oppId = teams.teamId(opponent);
+  if (id === null || oppId === null) return { wins: 0, played: 0 };
+
   const h2h = allGames.filter(g =>
-    (g.hteam === teamName && g.ateam === opponentName) ||
-    (g.ateam === teamName && g.hteam === opponentName)
+    (teams.homeId(g) === id && teams.awayId(g) === oppId) ||
+    (teams.awayId(g) === id && teams.homeId(g) === oppId)
   ).filter(g => g.complete === 100);
 
   const wins = h2h.filter(g => {
-    const isHome = g.hteam === teamName;
+    const isHome = teams.homeId(g) === id;
     return isHome
       ? (g.hscore || 0) > (g.ascore || 0)
       : (g.ascore || 0) > (g.hscore || 0);
@@ -224,17 +579,21 @@ function calcH2H(teamName, opponentName, allGames) {
 }
 
 /**
- * Calculate venue record for a team at a specific venue
+ * Calculate venue record for a team at a specific venue, under any of the
+ * names the ground has gone by (venues.sameVenue)
  */
-function calcVenueRecord(teamName, venueName, allGames) {
+function calcVenueRecord(team, venueName, allGames) {
+  const id = teams.teamId(team);
+  if (id === null) return { wins: 0, played: 0 };
+
   const venueGames = allGames.filter(g =>
-    (g.hteam === teamName || g.ateam === teamName) &&
-    g.venue === venueName &&
+    (teams.homeId(g) === id || teams.awayId(g) === id) &&
+    venues.sameVenue(g.venue, venueName) &&
     g.complete === 100
   );
 
   const wins = venueGames.filter(g => {
-    const isHome = g.hteam === teamName;
+    const isHome = teams.homeId(g) === id;
     return isHome
       ? (g.hscore || 0) > (g.ascore || 0)
       : (g.ascore || 0) > (g.hscore || 0);
@@ -243,18 +602,105 @@ function calcVenueRecord(teamName, venueName, allGames) {
   return { wins, played: venueGames.length };
 }
 
+/**
+ * Rebuild a ladder from completed games.
+ * Entries have the same shape as getStandings() so they can be passed to
+ * buildTeamStats — useful when you need the ladder as it stood at a point in
+ * time rather than the latest one.
+ */
+function buildLadder(games) {
+  // Keyed by team id, so a club's games count together under any of its
+  // names; a club the registry doesn't know keeps its own row by name
+  const table = new Map();
+  const entry = (id, name) => {
+    const key = id ?? name;
+    if (!table.has(key)) {
+      table.set(key, {
+        id, name, played: 0, wins: 0, losses: 0, draws: 0,
+        for: 0, against: 0, pts: 0, percentage: 0,
+      });
+    }
+    return table.get(key);
+  };
+
+  for (const g of games) {
+    if (g.complete !== 100) continue;
+    const hs = g.hscore || 0;
+    const as = g.ascore || 0;
+    const home = entry(teams.homeId(g), g.hteam);
+    const away = entry(teams.awayId(g), g.ateam);
+    home.played++; away.played++;
+    home.for += hs; home.against += as;
+    away.for += as; away.against += hs;
+    if (hs > as)      { home.wins++;  away.losses++; }
+    else if (hs < as) { home.losses++; away.wins++; }
+    else              { home.draws++; away.draws++; }
+  }
+
+  const ladder = [...table.values()];
+  for (const t of ladder) {
+    t.pts = t.wins * 4 + t.draws * 2;
+    t.percentage = t.against > 0
+      ? parseFloat(((t.for / t.against) * 100).toFixed(1))
+      : 100;
+  }
+  ladder.sort((a, b) => b.pts - a.pts || b.percentage - a.percentage);
+  ladder.forEach((t, i) => { t.rank = i + 1; });
+  return ladder;
+}
+
+/**
+ * The ladder going into a round: every completed home-and-away game from
+ * earlier rounds. Empty before round 1 (or the first round played).
+ */
+function ladderBefore(games, round) {
+  return buildLadder(games.filter(g => !g.is_final && g.round < round));
+}
+
+/**
+ * The home-and-away ladder after each round that has a completed game,
+ * oldest first: each table counts the completed games from that round and
+ * every one before it.
+ *
+ * @returns {Array<{ round, ladder }>} ladder entries as buildLadder()
+ */
+function ladderHistory(games) {
+  const season = games.filter(g => !g.is_final && g.complete === 100);
+  const rounds = [...new Set(season.map(g => g.round))].sort((a, b) => a - b);
+  return rounds.map(round => ({ round, ladder: ladderBefore(season, round + 1) }));
+}
+
 // ─── EXPORTS ──────────────────────────────────────────────────────────────────
 module.exports = {
+  SquiggleError,
+  NetworkError,
+  TimeoutError,
+  RateLimitError,
+  UpstreamError,
+  ParseError,
+  configure,
+  configFromEnv,
+  useFixtures,
+  setCacheStore,
+  isStale,
   getTeams,
   getGames,
+  getLiveGames,
   getUpcoming,
   getCompleted,
+  currentRound,
+  parseRound,
   getTeamRecentGames,
   getStandings,
   getTips,
   getAggregateTip,
   getAllTipsForMatch,
+  tipsForMatch,
+  pickAggregateTip,
   buildTeamStats,
   calcH2H,
   calcVenueRecord,
+  buildLadder,
+  ladderBefore,
+  ladderHistory,
 };
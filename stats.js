@@ -0,0 +1,93 @@
+/**
+ * AFL Edge — Probability helpers
+ *
+ * Normal distribution functions and a seedable random number generator,
+ * shared by the simulators and score model, and the rounding every module
+ * reports its figures with.
+ */
+
+// ─── NORMAL DISTRIBUTION ──────────────────────────────────────────────────────
+/**
+ * Standard normal CDF, Φ(z). Abramowitz & Stegun 7.1.26 (error < 1.5e-7).
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741
+    + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Inverse standard normal CDF, Φ⁻¹(p). Acklam's rational approximation.
+ */
+function normalQuantile(p) {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687,
+    138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866,
+    66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996,
+    3.754408661907416];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// ─── RANDOM ───────────────────────────────────────────────────────────────────
+/**
+ * Seedable uniform [0, 1) generator (mulberry32). Same seed, same sequence —
+ * so a simulation can be reproduced exactly.
+ */
+function createRng(seed = Date.now()) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw from N(mean, sd) using a uniform generator (Box-Muller).
+ */
+function sampleNormal(rng, mean = 0, sd = 1) {
+  const u = 1 - rng(); // (0, 1] so log() is finite
+  const v = rng();
+  return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// ─── ROUNDING ─────────────────────────────────────────────────────────────────
+/**
+ * `x` to `dp` decimal places, as a number (1.25 → 1.3 at dp 1).
+ */
+function round(x, dp) {
+  return parseFloat(x.toFixed(dp));
+}
+
+module.exports = {
+  round,
+  normalCdf,
+  normalQuantile,
+  createRng,
+  sampleNormal,
+};
@@ -0,0 +1,137 @@
+/**
+ * AFL Edge — Team registry
+ *
+ * One entry per club, keyed by Squiggle team id, with the official
+ * abbreviation, the other names the club goes by, its home state and home
+ * grounds (Squiggle venue names, main ground first).
+ *
+ * Anything that needs to know whether two names are the same club resolves
+ * them to ids here rather than comparing strings — "GWS Giants",
+ * "Greater Western Sydney" and "GWS" are all team 9.
+ *
+ * The table is fixed, but getTeams() passes Squiggle's list through
+ * register() so a renamed club still resolves under its new name.
+ */
+
+const TEAMS = [
+  { id: 1,  name: 'Adelaide',               abbrev: 'ADE', state: 'SA',  grounds: ['Adelaide Oval'],
+    aliases: ['Adelaide Crows', 'Crows'] },
+  { id: 2,  name: 'Brisbane Lions',         abbrev: 'BRI', state: 'QLD', grounds: ['Gabba'],
+    aliases: ['Brisbane', 'Lions'] },
+  { id: 3,  name: 'Carlton',                abbrev: 'CAR', state: 'VIC', grounds: ['M.C.G.', 'Docklands'],
+    aliases: ['Blues'] },
+  { id: 4,  name: 'Collingwood',            abbrev: 'COL', state: 'VIC', grounds: ['M.C.G.'],
+    aliases: ['Magpies', 'Pies'] },
+  { id: 5,  name: 'Essendon',               abbrev: 'ESS', state: 'VIC', grounds: ['Docklands', 'M.C.G.'],
+    aliases: ['Bombers'] },
+  { id: 6,  name: 'Fremantle',              abbrev: 'FRE', state: 'WA',  grounds: ['Perth Stadium'],
+    aliases: ['Dockers'] },
+  { id: 7,  name: 'Geelong',                abbrev: 'GEE', state: 'VIC', grounds: ['Kardinia Park'],
+    aliases: ['Geelong Cats', 'Cats'] },
+  { id: 8,  name: 'Gold Coast',             abbrev: 'GCS', state: 'QLD', grounds: ['Carrara'],
+    aliases: ['Gold Coast Suns', 'Suns'] },
+  { id: 9,  name: 'Greater Western Sydney', abbrev: 'GWS', state: 'NSW', grounds: ['Sydney Showground', 'Manuka Oval'],
+    aliases: ['GWS Giants', 'Greater Western Sydney Giants', 'Giants'] },
+  { id: 10, name: 'Hawthorn',               abbrev: 'HAW', state: 'VIC', grounds: ['M.C.G.', 'York Park'],
+    aliases: ['Hawks'] },
+  { id: 11, name: 'Melbourne',              abbrev: 'MEL', state: 'VIC', grounds: ['M.C.G.'],
+    aliases: ['Demons'] },
+  { id: 12, name: 'North Melbourne',        abbrev: 'NTH', state: 'VIC', grounds: ['Docklands', 'Bellerive Oval'],
+    aliases: ['North', 'Kangaroos', 'NME'] },
+  { id: 13, name: 'Port Adelaide',          abbrev: 'POR', state: 'SA',  grounds: ['Adelaide Oval'],
+    aliases: ['Port', 'Power', 'PTA'] },
+  { id: 14, name: 'Richmond',               abbrev: 'RIC', state: 'VIC', grounds: ['M.C.G.'],
+    aliases: ['Tigers'] },
+  { id: 15, name: 'St Kilda',               abbrev: 'STK', state: 'VIC', grounds: ['Docklands'],
+    aliases: ['Saints'] },
+  { id: 16, name: 'Sydney',                 abbrev: 'SYD', state: 'NSW', grounds: ['S.C.G.'],
+    aliases: ['Sydney Swans', 'Swans'] },
+  { id: 17, name: 'West Coast',             abbrev: 'WCE', state: 'WA',  grounds: ['Perth Stadium'],
+    aliases: ['West Coast Eagles', 'Eagles'] },
+  { id: 18, name: 'Western Bulldogs',       abbrev: 'WBD', state: 'VIC', grounds: ['Docklands', 'Eureka Stadium'],
+    aliases: ['Bulldogs', 'Footscray', 'Dogs'] },
+];
+
+const byId   = new Map();
+const byName = new Map(); // normalised name / alias / abbreviation → team
+
+// "St. Kilda", "st kilda" and "StKilda" are the same key
+const key = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function index(team) {
+  byId.set(team.id, team);
+  for (const name of [team.name, team.abbrev, ...team.aliases]) byName.set(key(name), team);
+}
+
+TEAMS.forEach(index);
+
+// ─── LOOKUP ───────────────────────────────────────────────────────────────────
+/**
+ * Team for a Squiggle id, name, alias or abbreviation. null if unknown.
+ */
+function getTeam(ref) {
+  if (ref === null || ref === undefined || ref === '') return null;
+  if (typeof ref === 'number') return byId.get(ref) || null;
+  return byName.get(key(ref)) || (/^\d+$/.test(ref) ? byId.get(parseInt(ref)) : null) || null;
+}
+
+function teamId(ref) {
+  return getTeam(ref)?.id ?? null;
+}
+
+/**
+ * Squiggle ids of a game's home and away sides. Fixture games carry them;
+ * hypothetical games (finals projections, comparisons) only have names.
+ */
+function homeId(game) {
+  return game.hteamid ?? teamId(game.hteam);
+}
+
+function awayId(game) {
+  return game.ateamid ?? teamId(game.ateam);
+}
+
+/**
+ * Official abbreviation, or the first three letters for a club we don't know.
+ */
+function abbrev(ref) {
+  return getTeam(ref)?.abbrev || String(ref || '').substring(0, 3).toUpperCase();
+}
+
+// ─── SYNC ─────────────────────────────────────────────────────────────────────
+/**
+ * Fold Squiggle's team list (getTeams) into the registry. A new name for a
+ * known id becomes the display name, with the old one kept as an alias; an
+ * id we've never seen is added with what Squiggle gives us.
+ *
+ * @returns {{ added: Array, renamed: Array }}
+ */
+function register(squiggleTeams) {
+  const added = [], renamed = [];
+  for (const t of squiggleTeams || []) {
+    if (!t?.id || !t.name) continue;
+    const known = byId.get(t.id);
+    if (!known) {
+      const team = { id: t.id, name: t.name, abbrev: t.abbrev || abbrev(t.name), state: null, grounds: [], aliases: [] };
+      TEAMS.push(team);
+      index(team);
+      added.push(team.name);
+    } else if (known.name !== t.name) {
+      renamed.push({ id: t.id, from: known.name, to: t.name });
+      known.aliases.push(known.name);
+      known.name = t.name;
+      index(known);
+    }
+  }
+  return { added, renamed };
+}
+
+module.exports = {
+  TEAMS,
+  getTeam,
+  teamId,
+  homeId,
+  awayId,
+  abbrev,
+  register,
+};
@@ -0,0 +1,515 @@
+const { SEASON, HISTORY_SEASON, call } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const api = name => require(`../api/${name}`);
+
+// Server-sent events in a response body: [{ id, event, data }]
+function sseEvents(body) {
+  return body.trim().split('\n\n').map(block => {
+    const fields = Object.fromEntries(block.split('\n').map(line => line.match(/^(\w+): (.*)$/).slice(1)));
+    return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+test('GET /api/health', async () => {
+  const res = await call(api('health'));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'ok');
+});
+
+test('GET /api/debug reports each Squiggle check', async () => {
+  const res = await call(api('debug'));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.tests.games2025.ok, true);
+  assert.equal(res.body.tests.games2025.count, 81);
+  assert.equal(res.body.tests.standings2025.ok, true);
+  assert.deepEqual(res.body.tests.games2025.unknownVenues, []);
+  assert.deepEqual(res.body.tests.teams.unknownTeams, []);
+});
+
+test('GET /api/upcoming picks the next unplayed round', async () => {
+  const res = await call(api('upcoming'), { year: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.year, SEASON);
+  assert.equal(res.body.round, 6);
+  assert.equal(res.body.count, 9);
+  assert.deepEqual(res.body.availableRounds, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.equal(res.body.stale, false);
+  assert.equal(res.headers['access-control-allow-origin'], '*');
+});
+
+test('GET /api/upcoming with a round', async () => {
+  const res = await call(api('upcoming'), { year: String(SEASON), round: '2' });
+  assert.ok(res.body.matches.every(m => m.round === 2 && m.complete === 100));
+});
+
+test('GET /api/ladder falls back to the fixed season when this year has no data', async () => {
+  const res = await call(api('ladder'));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.year, 2025);
+  assert.equal(res.body.standings.length, 18);
+  assert.equal(res.body.standings[0].rank, 1);
+});
+
+test('GET /api/predict', async () => {
+  const { body: round } = await call(api('upcoming'), { year: String(SEASON) });
+  const match = round.matches[0];
+
+  const res = await call(api('predict'), { matchId: String(match.id), year: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.match.hteam, match.hteam);
+  const { home, away } = res.body.prediction;
+  assert.equal(Math.round(home.winProbability + away.winProbability), 100);
+  assert.ok(res.body.prediction.keyFactors.length > 0);
+  assert.ok(res.body.squiggle.modelCount > 0);
+  assert.equal(res.body.match.ground.known, true);
+  assert.ok(res.body.match.ground.groundAdvantage.points > 0);
+  assert.equal(typeof home.team.travelKm, 'number');
+});
+
+test('GET /api/predict prices a requested line and total', async () => {
+  const { body: round } = await call(api('upcoming'), { year: String(SEASON) });
+  const res = await call(api('predict'), { matchId: String(round.matches[0].id), year: String(SEASON), line: '-10.5', total: '160.5' });
+  const { lineAssessment } = res.body.prediction;
+  assert.equal(lineAssessment.requestedLine.line, -10.5);
+  assert.equal(Math.round(lineAssessment.requestedLine.homeCovers + lineAssessment.requestedLine.awayCovers), 100);
+  assert.equal(Math.round(lineAssessment.requestedTotal.over + lineAssessment.requestedTotal.under), 100);
+  // Bigger handicaps are always harder to cover
+  const covers = lineAssessment.lines.map(l => l.winnerCovers);
+  assert.deepEqual(covers, [...covers].sort((a, b) => b - a));
+});
+
+test('GET /api/predict rejects a missing or unknown match', async () => {
+  assert.equal((await call(api('predict'), {})).status, 400);
+  assert.equal((await call(api('predict'), { matchId: '1', year: String(SEASON) })).status, 404);
+});
+
+test('GET /api/predict reports the blend, and blend overrides Squiggle\'s share', async () => {
+  const { body: round } = await call(api('upcoming'), { year: String(SEASON) });
+  const query = { matchId: String(round.matches[0].id), year: String(SEASON) };
+
+  const res = await call(api('predict'), query);
+  assert.deepEqual(res.body.blend, {
+    engineWeight: 0.7, squiggleWeight: 0.3, source: 'default', squiggleSource: 'ensemble',
+  });
+  // Five rounds in, the ensemble has weighted the models that tipped
+  assert.ok(res.body.squiggle.ensembleModels > 0);
+  assert.equal(typeof res.body.squiggle.ensembleHomeWinPct, 'number');
+
+  const engineOnly = await call(api('predict'), { ...query, blend: '0' });
+  assert.equal(engineOnly.body.blend.source, 'request');
+  const engineProb = engineOnly.body.prediction.home.winProbability;
+  const expected = engineProb * 0.7 + res.body.squiggle.ensembleHomeWinPct * 0.3;
+  assert.ok(Math.abs(res.body.prediction.home.winProbability - expected) < 0.1);
+  const squiggleOnly = await call(api('predict'), { ...query, blend: '1' });
+  assert.equal(squiggleOnly.body.prediction.home.winProbability, res.body.squiggle.ensembleHomeWinPct);
+
+  assert.equal((await call(api('predict'), { ...query, blend: '1.5' })).status, 400);
+  assert.equal((await call(api('predict'), { ...query, blend: 'lots' })).status, 400);
+});
+
+test('GET /api/team profiles one club', async () => {
+  const res = await call(api('team'), { name: 'Cats', year: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.team.name, 'Geelong');
+  assert.equal(res.body.log.length, res.body.season.played);
+  assert.equal(res.body.season.played, res.body.ladder.played);
+  assert.equal(res.body.splits.home.played + res.body.splits.away.played, res.body.season.played);
+  assert.equal(res.body.venues.reduce((s, v) => s + v.played, 0), res.body.season.played);
+  assert.equal(res.body.trend.games.length, res.body.season.played);
+  assert.equal(res.body.lastSeason.year, HISTORY_SEASON);
+  assert.ok(res.body.lastSeason.played > 0);
+
+  // The rest of the fixture, priced from Geelong's side
+  assert.ok(res.body.remaining.length > 0);
+  assert.ok(res.body.remaining.every(g => g.winProbability > 0 && g.winProbability < 100));
+  const next = res.body.remaining[0];
+  const { body: pred } = await call(api('predict'), { matchId: String(next.gameId), year: String(SEASON) });
+  const side = next.home ? pred.prediction.home : pred.prediction.away;
+  assert.ok(Math.abs(side.winProbability - next.winProbability) < 0.2);
+
+  assert.equal((await call(api('team'), {})).status, 400);
+  assert.equal((await call(api('team'), { name: 'Fitzroy' })).status, 400);
+});
+
+test('GET /api/models ranks Squiggle\'s models and weights the ensemble', async () => {
+  const res = await call(api('models'), { year: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.models.length > 0);
+  for (const m of res.body.models) {
+    assert.equal(m.games, 45);
+    assert.ok(m.accuracy >= 0 && m.accuracy <= 100);
+    assert.ok(m.brier > 0 && m.brier < 1);
+    assert.equal(typeof m.bits, 'number');
+    assert.equal(typeof m.marginMAE, 'number');
+  }
+  // The Aggregate is an average of the others, so it isn't in the ensemble
+  assert.equal(res.body.models.find(m => m.aggregate).ensembleWeight, 0);
+  const total = res.body.ensemble.reduce((s, m) => s + m.weight, 0);
+  assert.equal(Math.round(total), 100);
+
+  const byMae = await call(api('models'), { year: String(SEASON), sort: 'marginMAE' });
+  assert.deepEqual(byMae.body.models.map(m => m.ranks.marginMAE), byMae.body.models.map((m, i) => i + 1));
+
+  // Before round 1 nothing has been played
+  const before = await call(api('models'), { year: String(SEASON), round: '1' });
+  assert.deepEqual(before.body.models, []);
+  assert.deepEqual(before.body.ensemble, []);
+
+  assert.equal((await call(api('models'), { year: String(SEASON), sort: 'vibes' })).status, 400);
+});
+
+test('GET /api/compare', async () => {
+  const res = await call(api('compare'), { team1: 'Geelong', team2: 'Carlton', year: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.team1.name, 'Geelong');
+  assert.equal(Math.round(res.body.team1.winProbability + res.body.team2.winProbability), 100);
+  assert.equal(res.body.keyFactors.length, 7);
+  assert.equal((await call(api('compare'), { team1: 'Geelong' })).status, 400);
+  assert.equal((await call(api('compare'), { team1: 'Geelong', team2: 'Fitzroy' })).status, 400);
+
+  // The Compare view's dropdown says "GWS Giants"; Squiggle says "Greater Western Sydney"
+  const gws = await call(api('compare'), { team1: 'GWS Giants', team2: 'Cats', year: String(SEASON) });
+  assert.equal(gws.status, 200);
+  assert.equal(gws.body.team1.name, 'Greater Western Sydney');
+  assert.equal(gws.body.team2.name, 'Geelong');
+
+  // A season with no games yet is compared on last season's
+  const preseason = await call(api('compare'), { team1: 'Geelong', team2: 'Carlton', year: String(SEASON + 1) });
+  assert.equal(preseason.status, 200);
+  assert.equal(preseason.body.team1.prior.year, SEASON);
+  assert.equal(preseason.body.team1.prior.share.scoring, 100);
+});
+
+test('GET /api/compare runs the prediction engine for the chosen home side and venue', async () => {
+  const { body: round } = await call(api('upcoming'), { year: String(SEASON) });
+  const match = round.matches[0];
+
+  // A fixtured game comes out exactly as /api/predict has it
+  const predict = await call(api('predict'), { matchId: String(match.id), year: String(SEASON) });
+  const fixture = await call(api('compare'), { team1: match.ateam, team2: match.hteam, home: 'team2', year: String(SEASON) });
+  assert.equal(fixture.status, 200);
+  assert.equal(fixture.body.match.fixture.id, match.id);
+  assert.equal(fixture.body.team2.winProbability, predict.body.prediction.home.winProbability);
+  assert.deepEqual(fixture.body.keyFactors.map(f => f.key), predict.body.prediction.keyFactors.map(f => f.key));
+
+  // Neutral: the order the teams are given in doesn't matter
+  const ab = await call(api('compare'), { team1: match.hteam, team2: match.ateam, home: 'neutral', year: String(SEASON) });
+  const ba = await call(api('compare'), { team1: match.ateam, team2: match.hteam, home: 'neutral', year: String(SEASON) });
+  assert.equal(ab.body.match.home, null);
+  assert.equal(ab.body.team1.winProbability, ba.body.team2.winProbability);
+
+  // A hypothetical at another ground isn't blended with Squiggle
+  const mcg = await call(api('compare'), { team1: match.hteam, team2: match.ateam, venue: 'MCG', year: String(SEASON) });
+  assert.equal(mcg.body.match.venue, 'M.C.G.');
+  assert.equal(mcg.body.prediction.blended, false);
+
+  const bad = { team1: match.hteam, team2: match.ateam, year: String(SEASON) };
+  assert.equal((await call(api('compare'), { ...bad, venue: 'Narnia' })).status, 400);
+  assert.equal((await call(api('compare'), { ...bad, home: 'Fitzroy' })).status, 400);
+  assert.equal((await call(api('compare'), { ...bad, team2: match.hteam })).status, 400);
+});
+
+test('GET /api/live plays back a replay with worms', async () => {
+  const res = await call(api('live'), { replay: '2025-round-6', step: '2' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, 'replay');
+  assert.equal(res.body.round, 6);
+  assert.equal(res.body.live, 2);
+
+  const game = res.body.games.find(g => g.id === 35127);
+  assert.equal(game.status, 'live');
+  assert.equal(game.complete, 75);
+  // Pre-game point plus one per snapshot played so far
+  assert.deepEqual(game.worm.map(p => p.complete), [0, 25, 50, 75]);
+  assert.equal(game.worm[0].homeWinProbability, game.preGameProbability);
+
+  // Squiggle's fixture: nothing in progress, probabilities are the pre-game ones
+  const now = await call(api('live'), { year: String(SEASON) });
+  assert.equal(now.body.round, 6);
+  assert.equal(now.body.live, 0);
+  assert.ok(now.body.games.every(g => g.homeWinProbability === g.preGameProbability));
+
+  assert.equal((await call(api('live'), { replay: 'no-such-replay' })).status, 404);
+  assert.equal((await call(api('live'), { replay: '2025-round-6', step: '9' })).status, 400);
+});
+
+test('GET /api/live streams server-sent events', async () => {
+  const res = await call(api('live'), { replay: '2025-round-6', interval: '0' }, { headers: { accept: 'text/event-stream' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers['content-type'], 'text/event-stream');
+
+  const events = sseEvents(res.body);
+  assert.deepEqual(events.map(e => e.event), ['snapshot', 'update', 'update', 'update', 'end']);
+  assert.deepEqual(events.map(e => e.id), ['0', '1', '2', '3', undefined]);
+  assert.equal(events[4].data.reason, 'replay finished');
+  assert.equal(events[0].data.games.length, 9);
+  // Updates carry only the games whose score moved
+  assert.deepEqual(events[1].data.games.map(g => g.id), [35127]);
+  const final = events[3].data.games.find(g => g.id === 35127);
+  assert.equal(final.status, 'complete');
+  assert.equal(final.homeWinProbability, 0);
+});
+
+test('GET /api/live: a reconnecting replay resumes, and a stream with nothing live says so', async () => {
+  const stream = { accept: 'text/event-stream' };
+  const resumed = await call(api('live'), { replay: '2025-round-6', interval: '0' }, { headers: { ...stream, 'last-event-id': '2' } });
+  const events = sseEvents(resumed.body);
+  assert.deepEqual(events.map(e => [e.event, e.id]), [['snapshot', '2'], ['update', '3'], ['end', undefined]]);
+
+  // Round 6 hasn't started in the fixtures
+  const quiet = await call(api('live'), { year: String(SEASON), round: '6' }, { headers: stream });
+  assert.deepEqual(sseEvents(quiet.body).map(e => e.event), ['snapshot', 'end']);
+  assert.deepEqual(sseEvents(quiet.body)[1].data, { reason: 'no live games', live: 0 });
+});
+
+test('GET /api/ratings', async () => {
+  const res = await call(api('ratings'), { year: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.teams.length, 18);
+  const mean = res.body.teams.reduce((s, t) => s + t.rating, 0) / 18;
+  assert.ok(Math.abs(mean - res.body.meanRating) < 1, `mean ${mean}`);
+});
+
+test('GET /api/simulate is reproducible with a seed', async () => {
+  const query = { year: String(SEASON), sims: '200', seed: '7' };
+  const a = await call(api('simulate'), query);
+  const b = await call(api('simulate'), query);
+  assert.equal(a.status, 200);
+  assert.equal(a.body.remainingGames, 36);
+  assert.deepEqual(a.body.teams, b.body.teams);
+  const top8 = a.body.teams.reduce((s, t) => s + t.top8, 0);
+  assert.ok(Math.abs(top8 - 800) < 1, `top 8 odds sum to ${top8}`);
+});
+
+test('GET /api/predict explains each factor and reruns what-ifs', async () => {
+  const query = { matchId: '35127', year: String(SEASON) };
+  const { body } = await call(api('predict'), query);
+  const { contributions } = body;
+  const total = Object.values(contributions.factors).reduce((s, x) => s + x, 0) + contributions.squiggle;
+  assert.ok(Math.abs(contributions.baseline + total - body.prediction.home.winProbability) < 0.5);
+  assert.equal(body.whatIf, null);
+
+  // Head to Head comes from the pair's own meetings, listed with the prediction
+  assert.ok(body.h2h.meetings.length > 0);
+  assert.ok(body.h2h.meetings.every(m => [m.hteam, m.ateam].sort().join() === 'Adelaide,Geelong'));
+  assert.equal(body.h2h.venue.name, 'Adelaide Oval');
+
+  // Geelong not travelling to Adelaide Oval helps Geelong, and only through travel
+  const res = await call(api('predict'), { ...query, 'override[awayTravel]': 'none' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.prediction.home.winProbability, body.prediction.home.winProbability);
+  const { whatIf } = res.body;
+  assert.deepEqual(whatIf.overrides, [{ team: 'Geelong', input: 'travel', value: 0 }]);
+  assert.ok(whatIf.change.engine < 0);
+  assert.ok(whatIf.factors.every(f => f.key === 'travel' ? f.change < 0 : f.change === 0));
+  assert.ok(Math.abs(whatIf.homeWinPct - (body.prediction.home.winProbability + whatIf.change.blend)) < 0.01);
+
+  assert.equal((await call(api('predict'), { ...query, 'override[weather]': 'wet' })).status, 400);
+});
+
+test('GET /api/calendar.ics serves a club\'s fixture with our tips', async () => {
+  const res = await call(api('calendar'), { team: 'Cats', year: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.match(res.headers['content-type'], /^text\/calendar/);
+  const ics = res.body.replace(/\r\n /g, '');
+  assert.match(ics, /X-WR-CALNAME:Geelong 2025 fixture/);
+  assert.equal(ics.match(/BEGIN:VEVENT/g).length, 9);
+  assert.match(ics, /UID:afl-edge-game-35127@afl-edge\r\nDTSTAMP:\d{8}T\d{6}Z\r\nDTSTART:\d{8}T\d{6}Z/);
+  assert.equal(ics.match(/AFL Edge tip(s|ped) /g).length, 9);
+  assert.equal(ics.match(/Final score: /g).length, 5);
+
+  const all = await call(api('calendar'), { year: String(SEASON) });
+  assert.equal(all.body.match(/BEGIN:VEVENT/g).length, 81);
+  assert.equal((await call(api('calendar'), { team: 'Fitzroy' })).status, 400);
+});
+
+test('GET /api/ladder/history tracks every team round by round', async () => {
+  const res = await call(api('ladder/history'), { year: String(SEASON), round: '3' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.rounds, [1, 2, 3, 4, 5]);
+  assert.equal(res.body.teams.length, 18);
+
+  // Ends on the latest ladder, in its order
+  const { body: latest } = await call(api('ladder'), { year: String(SEASON) });
+  assert.deepEqual(res.body.teams.map(t => [t.name, t.rounds[4].rank, t.rounds[4].pts]),
+    latest.standings.map(t => [t.name, t.rank, t.pts]));
+
+  assert.equal(res.body.before.round, 3);
+  assert.ok(res.body.before.ladder.every(t => t.played === 2));
+  assert.equal((await call(api('ladder/history'), { round: 'next' })).status, 400);
+});
+
+test('GET /api/predict backdates a played game to the ladder before its round', async () => {
+  const games = await require('../squiggle').getGames(SEASON);
+  const match = games.find(g => g.round === 3 && g.complete === 100);
+  const res = await call(api('predict'), { matchId: String(match.id), year: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.match.backdated, true);
+
+  // Record and form from rounds 1-2 only, not the season so far
+  const before = require('../squiggle').ladderBefore(games, 3);
+  for (const side of ['home', 'away']) {
+    const team = res.body.prediction[side].team;
+    const entry = before.find(t => t.name === team.name);
+    assert.deepEqual([team.wins, team.losses], [entry.wins, entry.losses]);
+    assert.equal(team.recentGames, 2);
+  }
+});
+
+test('GET /api/predict-round predicts a whole round as /api/predict does', async () => {
+  const res = await call(api('predict-round'), { year: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.round, 6);
+  assert.equal(res.body.games.length, 9);
+
+  // Each game exactly as /api/predict has it
+  const first = res.body.games[0];
+  const predict = await call(api('predict'), { matchId: String(first.matchId), year: String(SEASON) });
+  assert.deepEqual(first, predict.body);
+
+  const { summary } = res.body;
+  assert.equal(summary.tips.length, 9);
+  const probs = summary.tips.map(t => t.winProbability);
+  assert.equal(summary.mostConfident.winProbability, Math.max(...probs));
+  assert.equal(summary.closest.winProbability, Math.min(...probs));
+  assert.ok(summary.tips.every(t => t.winProbability >= 50 && t.correct === null));
+  assert.ok(Math.abs(summary.expectedCorrect - probs.reduce((s, p) => s + p / 100, 0)) < 0.1);
+
+  // A played round grades its tips
+  const played = await call(api('predict-round'), { year: String(SEASON), round: '3' });
+  assert.ok(played.body.summary.tips.every(t => typeof t.correct === 'boolean'));
+  assert.ok(played.body.games.every(g => g.match.backdated));
+
+  assert.equal((await call(api('predict-round'), { year: String(SEASON), round: '99' })).status, 404);
+  assert.equal((await call(api('predict-round'), { round: 'next' })).status, 400);
+});
+
+test('GET /api/fixture-difficulty rates every team\'s draw', async () => {
+  const res = await call(api('fixture-difficulty'), { year: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.teams.length, 18);
+  assert.deepEqual(res.body.rounds, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  for (const t of res.body.teams) {
+    assert.equal(t.played.games, 5);
+    assert.equal(t.games.length, t.played.games + t.remaining.games);
+    assert.ok(t.played.difficulty > 0 && t.played.difficulty < 100);
+  }
+  // Hardest draw so far first
+  const hardest = res.body.teams.map(t => t.played.difficulty);
+  assert.deepEqual(hardest, [...hardest].sort((a, b) => b - a));
+  assert.equal(res.body.teams[0].playedRank, 1);
+
+  // The ladder projection carries the same adjustment
+  const sim = await call(api('simulate'), { year: String(SEASON), sims: '200', seed: '7' });
+  for (const t of sim.body.teams) {
+    const sos = res.body.teams.find(x => x.name === t.name);
+    assert.equal(t.scheduleAdjustment, sos.credit);
+    assert.ok(Math.abs(t.adjustedWins - (t.expectedWins + sos.credit)) < 0.11);
+  }
+});
+
+test('every endpoint taking a round reads round=0 as Opening Round and rejects junk', async () => {
+  const endpoints = ['upcoming', 'live', 'models', 'ratings', 'ladder/history', 'predict-round', 'value'];
+  for (const name of endpoints) {
+    for (const round of ['next', '-1', '1.5', '']) {
+      assert.equal((await call(api(name), { year: String(SEASON), round })).status, 400, `${name} round=${round}`);
+    }
+  }
+
+  // Round 0 is asked for, not the current round
+  const live = await call(api('live'), { year: String(SEASON), round: '0' });
+  assert.equal(live.body.round, 0);
+  assert.deepEqual(live.body.games, []);
+  assert.equal((await call(api('upcoming'), { year: String(SEASON), round: '0' })).body.count, 0);
+  assert.equal((await call(api('models'), { year: String(SEASON), round: '0' })).body.games, 0);
+  assert.equal((await call(api('ratings'), { year: String(SEASON), round: '0' })).body.round, 0);
+  assert.equal((await call(api('predict-round'), { year: String(SEASON), round: '0' })).status, 404);
+});
+
+test('GET /api/finals', async () => {
+  const res = await call(api('finals'), { year: String(SEASON), sims: '200', seed: '7' });
+  assert.equal(res.status, 200);
+  const premiers = res.body.teams.reduce((s, t) => s + t.premiership, 0);
+  assert.ok(Math.abs(premiers - 100) < 1, `premiership odds sum to ${premiers}`);
+});
+
+test('GET /api/simulate and /api/finals: sims must be a whole number from 1 to 50000', async () => {
+  for (const name of ['simulate', 'finals']) {
+    for (const sims of ['-5', '0', '0.5', 'lots', '50001']) {
+      assert.equal((await call(api(name), { year: String(SEASON), sims })).status, 400, `${name} sims=${sims}`);
+    }
+  }
+  const one = await call(api('simulate'), { year: String(SEASON), sims: '1', seed: '7' });
+  assert.equal(one.status, 200);
+  assert.equal(one.body.sims, 1);
+});
+
+test('GET /api/backtest', async () => {
+  const res = await call(api('backtest'), { from: String(SEASON), to: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.ok(res.body.games > 0);
+  // Round 1 is predicted from last season, so nothing is skipped
+  assert.equal(res.body.skipped, 0);
+  for (const model of ['engine', 'blend', 'aggregate', 'ensemble']) {
+    assert.ok(res.body.models[model].accuracy >= 0 && res.body.models[model].accuracy <= 100);
+  }
+  assert.equal((await call(api('backtest'), { from: '2025', to: '2024' })).status, 400);
+});
+
+test('GET /api/calibrate', async () => {
+  const res = await call(api('calibrate'), { from: String(HISTORY_SEASON), to: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.trainedOn, [HISTORY_SEASON]);
+  const total = Object.values(res.body.fitted).reduce((a, b) => a + b, 0);
+  assert.ok(Math.abs(total - 1) < 0.01, `fitted weights sum to ${total}`);
+});
+
+test('GET /api/value prices a round from the odds CSV', async () => {
+  const res = await call(api('value'), { year: String(SEASON), round: '6' });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, 'csv');
+  assert.equal(res.body.count, 6);
+  assert.equal(res.body.unmatched.length, 1);
+  for (const game of res.body.games) {
+    assert.equal(game.round, 6);
+    assert.equal(game.flagged, game.maxEdge > res.body.threshold);
+    assert.ok(game.h2h.home.fairProb + game.h2h.away.fairProb > 99.8);
+  }
+
+  // A looser threshold flags fewer games
+  const loose = await call(api('value'), { year: String(SEASON), round: '6', threshold: '50' });
+  assert.equal(loose.body.flagged, 0);
+
+  assert.equal((await call(api('value'), { year: String(SEASON), round: '7' })).status, 404);
+  assert.equal((await call(api('value'), { year: String(SEASON), kelly: '2' })).status, 400);
+  assert.equal((await call(api('value'), { year: String(SEASON), round: 'next' })).status, 400);
+  // Round 0 is a round of its own, not "the current round"
+  const opening = await call(api('value'), { year: String(SEASON), round: '0' });
+  assert.equal(opening.status, 404);
+  assert.match(opening.body.error, /round 0/);
+});
+
+test('POST /api/value takes odds as JSON', async () => {
+  const round = await call(api('upcoming'), { year: String(SEASON) });
+  const match = round.body.matches[0];
+  const body = { year: SEASON, odds: [{ matchId: match.id, homeOdds: 1.9, awayOdds: 1.9 }] };
+
+  const res = await call(api('value'), {}, { method: 'POST', body });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, 'json');
+  assert.equal(res.body.games[0].matchId, match.id);
+  assert.equal(res.body.games[0].line, null);
+
+  // The same model probability /api/predict reports, from the same meetings
+  const predict = await call(api('predict'), { matchId: String(match.id), year: String(SEASON) });
+  assert.equal(res.body.games[0].homeWinProbability, predict.body.prediction.home.winProbability);
+
+  assert.equal((await call(api('value'), {}, { method: 'POST', body: { year: SEASON } })).status, 400);
+  for (const row of [null, 'Adelaide 1.9', [1.9, 1.9]]) {
+    const bad = await call(api('value'), {}, { method: 'POST', body: { year: SEASON, odds: [body.odds[0], row] } });
+    assert.equal(bad.status, 400);
+    assert.match(bad.body.error, /odds\[1\]/);
+  }
+});
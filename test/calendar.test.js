@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const calendar = require('../calendar');
+
+const game = {
+  id: 35127, year: 2025, round: 6, roundname: 'Round 6',
+  hteam: 'Adelaide', ateam: 'Geelong', hscore: null, ascore: null,
+  venue: 'Adelaide Oval', date: '2025-04-18 19:40:00', tz: '+09:30', complete: 0,
+};
+const now = Date.parse('2025-04-01T00:00:00Z');
+
+test('an event\'s kickoff is in UTC, from the local date and tz', () => {
+  const event = calendar.gameEvent(game, { homeProb: 0.42, now });
+  assert.ok(event.includes('DTSTART:20250418T101000Z'));
+  assert.ok(event.includes('DTEND:20250418T131000Z'));
+  assert.ok(event.includes('UID:afl-edge-game-35127@afl-edge'));
+  assert.ok(event.includes('SUMMARY:Adelaide v Geelong'));
+  assert.ok(event.includes('LOCATION:Adelaide Oval\\, SA'));
+  // A ground outside Australia has no state to add
+  const shanghai = calendar.gameEvent({ ...game, venue: 'Adelaide Arena at Jiangwan Stadium', tz: '+08:00' }, { now });
+  assert.ok(shanghai.includes('LOCATION:Jiangwan Stadium'));
+  assert.ok(event.some(l => l.startsWith('DESCRIPTION:') && l.includes('AFL Edge tips Geelong (58% chance)')));
+  assert.equal(calendar.gameEvent({ ...game, date: null }), null);
+});
+
+test('a played game shows the final score', () => {
+  const event = calendar.gameEvent({ ...game, complete: 100, hscore: 70, ascore: 91 }, { homeProb: 0.6, now });
+  assert.ok(event.includes('SUMMARY:Adelaide 70 v Geelong 91'));
+  const description = event.find(l => l.startsWith('DESCRIPTION:'));
+  assert.ok(description.includes('Final score: Adelaide 70 – Geelong 91 (Geelong by 21)\\nAFL Edge tipped Adelaide (60% chance)'));
+});
+
+test('SEQUENCE and LAST-MODIFIED follow Squiggle\'s last change to the game', () => {
+  const field = (event, name) => event.find(l => l.startsWith(`${name}:`))?.slice(name.length + 1);
+
+  const scheduled = calendar.gameEvent({ ...game, updated: '2025-03-01 12:00:00' }, { now });
+  const moved     = calendar.gameEvent({ ...game, date: '2025-04-19 16:15:00', updated: '2025-04-02 09:30:00' }, { now });
+  assert.equal(field(scheduled, 'LAST-MODIFIED'), '20250301T023000Z');
+  assert.equal(field(moved, 'LAST-MODIFIED'), '20250402T000000Z');
+  assert.ok(Number(field(moved, 'SEQUENCE')) > Number(field(scheduled, 'SEQUENCE')));
+  assert.equal(field(scheduled, 'DTSTAMP'), '20250401T000000Z');
+
+  // No stamp: no LAST-MODIFIED, and the game's progress orders the copies
+  assert.equal(field(calendar.gameEvent(game, { now }), 'LAST-MODIFIED'), undefined);
+  assert.deepEqual([0, 50, 100].map(complete => field(calendar.gameEvent({ ...game, complete }, { now }), 'SEQUENCE')),
+    ['0', '1', '2']);
+});
+
+test('the calendar folds long lines and ends each with CRLF', () => {
+  const ics = calendar.buildCalendar([game], { name: 'Test', now, probabilities: new Map([[game.id, 0.5]]) });
+  assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  const lines = ics.split('\r\n');
+  assert.ok(lines.every(l => Buffer.byteLength(l) <= 75));
+  // Unfolding gives back the description
+  const unfolded = ics.replace(/\r\n /g, '');
+  assert.match(unfolded, /DESCRIPTION:AFL Edge tips Adelaide \(50% chance\)\\nRound 6\\, 2025\r\n/);
+
+  assert.equal(calendar.fold('x'.repeat(80)), `${'x'.repeat(75)}\r\n ${'x'.repeat(5)}`);
+  assert.equal(calendar.escapeText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne');
+});
@@ -0,0 +1,43 @@
+const { SEASON, call } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const cli = require('../bin/afl-edge');
+
+test('predict: the next round as a table, matching /api/predict', async () => {
+  const out = await cli.run(['predict', '--year', String(SEASON)]);
+  const lines = out.split('\n');
+  assert.match(lines[0], /^\s*Id\s+Rd\s+Date\s+Home\s+Away/);
+  assert.equal(lines.length, 2 + 9);
+
+  const rows = JSON.parse(await cli.run(['predict', `--year=${SEASON}`, '--round', '6', '--format', 'json']));
+  const api = await call(require('../api/predict'), { matchId: String(rows[0].id), year: String(SEASON) });
+  assert.equal(rows[0].homeWinPct, api.body.prediction.home.winProbability);
+  assert.equal(rows[0].margin, Math.abs(api.body.prediction.predictedMargin));
+});
+
+test('ladder, compare and export', async () => {
+  const ladder = JSON.parse(await cli.run(['ladder', '--year', String(SEASON), '--round', '3', '--format', 'json']));
+  assert.equal(ladder.length, 18);
+  assert.ok(ladder.every(t => t.played === 2));
+
+  const [sydney, pies] = JSON.parse(await cli.run(['compare', 'Swans', 'Pies', '--year', String(SEASON), '--format', 'json']));
+  assert.deepEqual([sydney.team, sydney.side, pies.side], ['Sydney', 'home', 'away']);
+  assert.equal(sydney.winPct + pies.winPct, 100);
+
+  const csv = (await cli.run(['export', '--year', String(SEASON)])).split('\n');
+  assert.equal(csv[0], 'id,round,date,home,away,venue,homeWinPct,engineHomeWinPct,squiggleHomeWinPct,tip,margin,homeScore,awayScore,result,correct');
+  assert.equal(csv.length, 1 + 81);
+  assert.equal(csv.filter(l => /,(yes|no|draw)$/.test(l)).length, 45);
+});
+
+test('bad command lines are usage errors', async () => {
+  assert.match(await cli.run([]), /^Usage: afl-edge/);
+  await assert.rejects(cli.run(['frob']), cli.UsageError);
+  await assert.rejects(cli.run(['compare', 'Sydney']), cli.UsageError);
+  await assert.rejects(cli.run(['predict', '--format', 'xml']), cli.UsageError);
+  await assert.rejects(cli.run(['ladder', '--round', 'next']), cli.UsageError);
+  assert.deepEqual(JSON.parse(await cli.run(['ladder', '--year', String(SEASON), '--round', '0', '--format', 'json'])), []);
+  assert.deepEqual(cli.parseArgs(['compare', 'a', '--home=neutral', '--venue', 'MCG', 'b', '--verbose']),
+    { _: ['compare', 'a', 'b'], home: 'neutral', venue: 'MCG', verbose: true });
+});
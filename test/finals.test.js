@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { playedFinals, simulateFinals } = require('../finals');
+
+const final = (id, round, hteam, ateam, hscore, ascore, extra = {}) =>
+  ({ id, round, hteam, ateam, hscore, ascore, is_final: 1, is_grand_final: 0, complete: 100, ...extra });
+
+test('playedFinals: a played final only stands in for the same week, once', () => {
+  const played = playedFinals([
+    { id: 1, round: 24, hteam: 'Geelong', ateam: 'Sydney', is_final: 0, complete: 100 },
+    final(2, 25, 'Geelong', 'Sydney', 90, 70),
+    final(3, 28, 'Sydney', 'Geelong', 0, 0, { is_grand_final: 1, complete: 0 }),
+  ]);
+  assert.equal(played.count, 1);
+
+  const result = played.series();
+  // The Grand Final rematch isn't decided by the qualifying final
+  assert.equal(result('Geelong', 'Sydney', { week: 4, grandFinal: true }), null);
+  assert.equal(result('Sydney', 'Geelong', { week: 2 }), null);
+  assert.equal(result('Sydney', 'Geelong', { week: 1 }), 'Geelong');
+  assert.equal(result('Sydney', 'Geelong', { week: 1 }), null);
+  // Each series starts afresh
+  assert.equal(played.series()('Geelong', 'Sydney', { week: 1 }), 'Geelong');
+});
+
+test('simulateFinals: every game knows its week', () => {
+  const top8 = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+  const weeks = [];
+  const reached = simulateFinals(top8, (home, away, { week, grandFinal }) => {
+    weeks.push([week, !!grandFinal]);
+    return home;
+  });
+  assert.deepEqual(weeks.map(w => w[0]), [1, 1, 1, 1, 2, 2, 3, 3, 4]);
+  assert.deepEqual(weeks.filter(w => w[1]), [[4, true]]);
+  assert.equal(reached.A, 5);
+});
+
+test('simulateFinals: qualifying final winners host the preliminary finals', () => {
+  const top8 = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
+  const games = [];
+  // A loses its qualifying final to D, then wins its semi; everyone else goes by seed
+  simulateFinals(top8, (home, away, { week }) => {
+    games.push({ week, home, away });
+    if (week === 1 && home === 'A') return away;
+    return top8.indexOf(home) < top8.indexOf(away) ? home : away;
+  });
+  const prelims = games.filter(g => g.week === 3);
+  assert.deepEqual(prelims.find(g => g.away === 'A'), { week: 3, home: 'B', away: 'A' });
+  assert.deepEqual(prelims.find(g => g.home === 'D'), { week: 3, home: 'D', away: 'C' });
+});
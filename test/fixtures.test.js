@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createServer, DEFAULT_DIR } = require('../fixtures');
+const squiggle = require('../squiggle');
+
+// Exercises the real HTTP path: client → stand-in server → fixture files
+test('stand-in server serves fixtures in Squiggle\'s shape', async (t) => {
+  const server = createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const base = `http://127.0.0.1:${server.address().port}/`;
+
+  squiggle.useFixtures(null);
+  squiggle.configure({ base, retries: 0 });
+
+  const games = await squiggle.getGames(2025, 1);
+  assert.equal(games.length, 9);
+  assert.ok(games.every(g => g.round === 1 && g.year === 2025));
+
+  // Squiggle's own ; separators work too
+  const raw = await fetch(`${base}?q=tips;year=2025;round=2`).then(r => r.json());
+  assert.ok(raw.tips.length > 0 && raw.tips.every(tip => tip.round === 2));
+
+  const bad = await fetch(`${base}?q=nonsense`);
+  assert.equal(bad.status, 400);
+});
+
+test('SQUIGGLE_FIXTURES reads the same files without a server', async () => {
+  squiggle.useFixtures(DEFAULT_DIR);
+  const standings = await squiggle.getStandings(2024);
+  assert.equal(standings.length, 18);
+  assert.equal(standings[0].rank, 1);
+});
@@ -0,0 +1,96 @@
+const { SEASON, HISTORY_SEASON } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const squiggle = require('../squiggle');
+const h2h = require('../h2h');
+
+const game = (id, date, hteam, ateam, hscore, ascore, venue = 'MCG') =>
+  ({ id, date, year: parseInt(date), round: 1, hteam, ateam, hscore, ascore, venue, complete: 100 });
+
+test('lastMeetings: the pair\'s own games across seasons, newest first', async () => {
+  const games = (await squiggle.getCompleted(HISTORY_SEASON)).concat(await squiggle.getCompleted(SEASON));
+  const meetings = h2h.lastMeetings('Adelaide', 'Geelong', games);
+  assert.ok(meetings.length > 0);
+  assert.ok(meetings.every(g =>
+    [g.hteam, g.ateam].sort().join() === 'Adelaide,Geelong'));
+  assert.ok(meetings.every((g, i) => i === 0 || meetings[i - 1].date >= g.date));
+
+  // Found however far back they are — not just among the league's last games
+  assert.deepEqual(h2h.lastMeetings('Adelaide', 'Geelong', games.slice(-10)), []);
+  assert.equal(h2h.lastMeetings('Adelaide', 'Geelong', games, 1)[0].id, meetings[0].id);
+});
+
+test('headToHead: recent meetings count for more, draws for half', () => {
+  const games = [
+    game(1, '2021-05-01', 'Carlton', 'Essendon', 90, 60),
+    game(2, '2022-05-01', 'Essendon', 'Carlton', 80, 80),
+    game(3, '2023-05-01', 'Essendon', 'Carlton', 70, 100, 'Marvel Stadium'),
+    game(4, '2023-06-01', 'Carlton', 'Richmond', 50, 120),
+    { ...game(5, '2024-05-01', 'Carlton', 'Essendon', 0, 0), complete: 0 },
+  ];
+  const record = h2h.headToHead('Carlton', 'Essendon', games, { decay: 0.5, venue: 'MCG' });
+
+  assert.deepEqual(record.meetings.map(m => [m.gameId, m.result, m.weight]), [[3, 'W', 1], [2, 'D', 0.5], [1, 'W', 0.25]]);
+  assert.deepEqual(record.record, { wins: 2, draws: 1, losses: 0 });
+  assert.equal(record.played, 1.75);
+  assert.equal(record.wins, 1.5);
+  assert.deepEqual(record.venue.at, { wins: 0.5, played: 0.75, games: 2 });
+  assert.deepEqual(record.venue.elsewhere, { wins: 1, played: 1, games: 1 });
+
+  // The other side's weighted wins are what's left
+  const other = h2h.headToHead('Essendon', 'Carlton', games, { decay: 0.5 });
+  assert.equal(other.wins, record.played - record.wins);
+  assert.equal(other.venue, null);
+
+  assert.equal(h2h.headToHead('Carlton', 'Essendon', games, { meetings: 1 }).played, 1);
+});
+
+test('headToHead: the venue split knows a ground by any of its names', () => {
+  const games = [
+    game(1, '2018-05-01', 'Carlton', 'Essendon', 90, 60, 'Etihad Stadium'),
+    game(2, '2022-05-01', 'Essendon', 'Carlton', 80, 70, 'Marvel Stadium'),
+    game(3, '2023-05-01', 'Carlton', 'Essendon', 100, 70, 'M.C.G.'),
+  ];
+  const record = h2h.headToHead('Carlton', 'Essendon', games, { decay: 0.5, venue: 'Docklands' });
+  assert.deepEqual(record.venue.at, { wins: 0.25, played: 0.75, games: 2 });
+  assert.deepEqual(record.venue.elsewhere, { wins: 1, played: 1, games: 1 });
+});
+
+test('loadMeetings: older seasons only as far back as a pair needs', async () => {
+  const { loadSeasonContext, loadMeetings, HISTORY_YEARS } = require('../matchup');
+  const ctx = await loadSeasonContext(SEASON);
+  assert.deepEqual(ctx.archive, []);
+  assert.equal(ctx.archiveYear, SEASON - HISTORY_YEARS);
+
+  // Ten meetings already in the recent seasons — nothing older is fetched
+  const history = Array.from({ length: h2h.H2H_MEETINGS }, (_, i) =>
+    game(i + 1, `${SEASON - 1}-0${(i % 9) + 1}-01`, 'Carlton', 'Essendon', 80, 70));
+  const seasons = { year: SEASON, history, archive: [], archiveYear: SEASON - HISTORY_YEARS };
+  await loadMeetings(seasons, 'Carlton', 'Essendon');
+  assert.equal(seasons.archiveYear, SEASON - HISTORY_YEARS);
+
+  // Short of meetings — goes back a season at a time, each season once
+  await loadMeetings(ctx, 'Adelaide', 'Geelong');
+  const reached = ctx.archiveYear;
+  assert.ok(reached < SEASON - HISTORY_YEARS);
+  await loadMeetings(ctx, 'Adelaide', 'Geelong');
+  assert.equal(ctx.archiveYear, reached);
+});
+
+test('loadAllMeetings: a pair\'s record doesn\'t depend on which pairs were loaded first', async () => {
+  const { loadAllMeetings } = require('../matchup');
+  // Two seasons on, so both fixture seasons are "older" and fetched on demand
+  const context = () => ({ year: SEASON + 2, history: [], archive: [], archiveYear: SEASON + 1 });
+  const pairs = [{ hteam: 'Geelong', ateam: 'Adelaide' }, { hteam: 'Sydney', ateam: 'Collingwood' }];
+
+  const forward = context();
+  const backward = context();
+  await loadAllMeetings(forward, pairs);
+  await loadAllMeetings(backward, [...pairs].reverse());
+  for (const { hteam, ateam } of pairs) {
+    const record = ctx => h2h.headToHead(hteam, ateam, ctx.archive.concat(ctx.history));
+    assert.deepEqual(record(forward), record(backward));
+    assert.ok(record(forward).games > 0);
+  }
+});
@@ -0,0 +1,51 @@
+/**
+ * Shared test setup — points squiggle.js at the recorded fixtures and
+ * provides a minimal Vercel-style req/res for calling api handlers.
+ *
+ * Require this before anything that loads squiggle.js.
+ */
+
+const path = require('path');
+
+process.env.SQUIGGLE_FIXTURES = path.join(__dirname, 'fixtures');
+delete process.env.AFL_EDGE_CACHE;
+process.env.AFL_EDGE_LEDGER = 'memory';
+delete process.env.AFL_EDGE_WEIGHTS;
+process.env.AFL_EDGE_ODDS_DIR = path.join(__dirname, 'fixtures', 'odds');
+process.env.AFL_EDGE_REPLAY_DIR = path.join(__dirname, 'fixtures', 'replays');
+
+// The fixed season: rounds 1-5 played, 6-9 still to come. 2024 is complete.
+const SEASON = 2025;
+const HISTORY_SEASON = 2024;
+
+/**
+ * Call a handler and resolve with { status, headers, body }. A streamed
+ * response (res.write) has everything written as its body.
+ */
+async function call(handler, query = {}, { method = 'GET', body, headers = {} } = {}) {
+  const req = { method, query, body, headers, on() {} };
+  const chunks = [];
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; },
+    send(data) { this.body = data; return this; },
+    write(chunk) { chunks.push(String(chunk)); return true; },
+    end(data) {
+      if (data !== undefined) this.body = data;
+      else if (chunks.length > 0) this.body = chunks.join('');
+      return this;
+    },
+  };
+  await handler(req, res);
+  return { status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+module.exports = {
+  SEASON,
+  HISTORY_SEASON,
+  call,
+};
@@ -0,0 +1,82 @@
+const { SEASON, call } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const squiggle = require('../squiggle');
+const ledger   = require('../ledger');
+const { kickoff } = require('../gametime');
+const { createMemoryStore } = require('../cache');
+
+const before = match => ({ now: kickoff(match) - 86400000 });
+
+// Record played games as if we'd predicted them the day before
+async function recordPlayed(games) {
+  for (const g of games) {
+    await ledger.record({ ...g, complete: 0 }, {
+      engineHomeProb: 60, blendHomeProb: 62, homeScore: 90, awayScore: 80,
+      aggregate: { hconfidence: 55, tip: g.hteam, margin: 4 }, ensembleHomeProb: 40,
+    }, before(g));
+  }
+}
+
+test.beforeEach(() => ledger.setStore(createMemoryStore()));
+
+test('record: only before kickoff', async () => {
+  const [next] = await squiggle.getUpcoming(SEASON);
+  const p = { engineHomeProb: 55, blendHomeProb: 54, homeScore: 88, awayScore: 80 };
+
+  assert.equal(await ledger.record(next, p, { now: kickoff(next) + 1 }), null);
+  const [played] = await squiggle.getCompleted(SEASON);
+  assert.equal(await ledger.record(played, p, before(played)), null);
+
+  const snap = await ledger.record(next, p, before(next));
+  assert.equal(snap.gameId, next.id);
+  assert.equal(snap.predicted.margin, 8);
+  assert.equal(snap.aggregate, null);
+});
+
+test('record: a later pre-game call replaces the snapshot', async () => {
+  const [next] = await squiggle.getUpcoming(SEASON);
+  const kick = kickoff(next);
+  await ledger.record(next, { engineHomeProb: 55, blendHomeProb: 54, homeScore: 88, awayScore: 80 }, { now: kick - 7200000 });
+  await ledger.record(next, { engineHomeProb: 40, blendHomeProb: 45, homeScore: 80, awayScore: 84 }, { now: kick - 3600000 });
+
+  const [snap] = await ledger.grade(SEASON, []);
+  assert.equal(snap.blend.homeProb, 45);
+  assert.equal(snap.firstRecordedAt, new Date(kick - 7200000).toISOString());
+  assert.equal(snap.result, null);
+});
+
+test('grade + summarise: results attach once the game is complete', async () => {
+  const played = (await squiggle.getCompleted(SEASON)).slice(0, 9);
+  await recordPlayed(played);
+
+  const snapshots = await ledger.grade(SEASON, played);
+  assert.ok(snapshots.every(s => s.result));
+  assert.equal(snapshots[0].result.margin, played[0].hscore - played[0].ascore);
+
+  const summary = ledger.summarise(snapshots, await squiggle.getTips(SEASON));
+  const homeWins = played.filter(g => g.hscore > g.ascore).length;
+  assert.equal(summary.graded, 9);
+  assert.equal(summary.models.blend.accuracy, parseFloat((homeWins / 9 * 100).toFixed(1)));
+  assert.equal(summary.rounds.length, 1);
+  assert.equal(summary.calibration.blend.find(b => b.range === '60-70').games, 9);
+  // The ensemble is graded too: it tipped every away side
+  assert.equal(summary.models.ensemble.games, 9);
+  assert.equal(summary.models.ensemble.accuracy, parseFloat(((9 - homeWins) / 9 * 100).toFixed(1)));
+  assert.ok(snapshots[0].ensemble.margin < 0);
+  assert.ok(summary.squiggleModels.every(m => m.games === 9));
+});
+
+test('GET /api/accuracy grades recorded predictions', async () => {
+  const played = (await squiggle.getCompleted(SEASON)).filter(g => g.round <= 2);
+  await recordPlayed(played);
+
+  const res = await call(require('../api/accuracy'), { year: String(SEASON) });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.graded, 18);
+  assert.equal(res.body.pending, 0);
+  assert.equal(res.body.ledger.persistent, true);
+  assert.deepEqual(res.body.rounds.map(r => r.round), [1, 2]);
+  assert.ok(res.body.squiggleModels.length > 0);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const live = require('../live');
+
+test('before the first bounce the in-play probability is the pre-game one', () => {
+  const start = live.inPlay(0.65, { complete: 0, hscore: null, ascore: null });
+  assert.equal(start.homeWinProbability, 65);
+  assert.equal(start.remaining, 1);
+  assert.ok(start.projectedMargin > 0);
+});
+
+test('the scoreboard matters more as the game runs out', () => {
+  // Home side 12 points down against a pre-game favourite
+  const early = live.inPlay(0.65, { complete: 25, hscore: 20, ascore: 32 });
+  const late  = live.inPlay(0.65, { complete: 90, hscore: 60, ascore: 72 });
+  assert.ok(late.homeWinProbability < early.homeWinProbability);
+  assert.ok(late.homeWinProbability < 25);
+
+  // Projected margin: current margin plus what's left of the expected one
+  assert.ok(early.projectedMargin > -12 && late.projectedMargin > -12);
+  assert.ok(early.projectedMargin > late.projectedMargin);
+});
+
+test('a finished game is decided', () => {
+  assert.equal(live.inPlay(0.2, { complete: 100, hscore: 80, ascore: 70 }).homeWinProbability, 100);
+  assert.equal(live.inPlay(0.8, { complete: 100, hscore: 70, ascore: 80 }).homeWinProbability, 0);
+  assert.equal(live.inPlay(0.8, { complete: 100, hscore: 70, ascore: 70 }).homeWinProbability, 50);
+});
+
+test('game states report status and leave undecided finals without a probability', () => {
+  const game = { id: 1, round: 25, hteam: null, ateam: null, complete: 0 };
+  const state = live.gameState(game, null);
+  assert.equal(state.status, 'upcoming');
+  assert.equal(state.homeWinProbability, null);
+  assert.equal(live.gameState({ ...game, complete: 40 }, 0.5).status, 'live');
+});
+
+test('replays step through snapshots from an unplayed round', () => {
+  const games = [
+    { id: 1, hteam: 'A', ateam: 'B', complete: 100, hscore: 90, ascore: 50 },
+    { id: 2, hteam: 'C', ateam: 'D', complete: 0, hscore: null, ascore: null },
+  ];
+  const replay = live.createReplay({
+    year: 2025, round: 1,
+    snapshots: [
+      { games: [{ id: 1, complete: 50, hscore: 40, ascore: 30 }] },
+      { games: [{ id: 2, complete: 10, hscore: 6, ascore: 0 }, { id: 99, complete: 10 }] },
+    ],
+  }, games);
+
+  assert.equal(replay.steps, 2);
+  assert.deepEqual(replay.at(0).map(g => g.complete), [50, 0]);
+  // Games a snapshot doesn't mention keep their last state
+  assert.deepEqual(replay.at(1).map(g => [g.complete, g.hscore]), [[50, 40], [10, 6]]);
+  assert.throws(() => live.createReplay({ snapshots: [] }, games), /no snapshots/);
+
+  const before = replay.at(0).map(g => live.gameState(g, 0.5));
+  const after  = replay.at(1).map(g => live.gameState(g, 0.5));
+  assert.deepEqual(live.changedStates(before, after).map(s => s.id), [2]);
+});
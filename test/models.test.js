@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const models = require('../models');
+
+// Ten home wins by 20; model 2 is sharper than model 3, the Aggregate sits between
+const games = Array.from({ length: 10 }, (_, i) => ({
+  id: i + 1, round: i < 5 ? 1 : 2, complete: 100, hscore: 100, ascore: 80,
+}));
+const tip = (game, sourceid, hconfidence, err) => ({
+  gameid: game.id, sourceid, source: `Model ${sourceid}`, round: game.round,
+  hconfidence, correct: hconfidence >= 50 ? 1 : 0, err,
+});
+const tips = games.flatMap(g => [
+  tip(g, 2, 80, 10),
+  tip(g, 3, 55, 18),
+  tip(g, models.AGGREGATE_SOURCE, 70, 14),
+]);
+
+test('the leaderboard scores every source on accuracy, bits, Brier and margin', () => {
+  const board = models.leaderboard(tips, games);
+  assert.deepEqual(board.map(r => r.sourceid), [2, models.AGGREGATE_SOURCE, 3]);
+
+  const best = board[0];
+  assert.equal(best.games, 10);
+  assert.equal(best.accuracy, 100);
+  assert.equal(best.bits, parseFloat((10 * (1 + Math.log2(0.8))).toFixed(2)));
+  assert.equal(best.brier, 0.04);
+  assert.equal(best.marginMAE, 10);
+  assert.deepEqual(best.ranks, { accuracy: 1, bits: 1, brier: 1, marginMAE: 1 });
+  assert.equal(board.find(r => r.sourceid === 3).ranks.brier, 3);
+});
+
+test('the leaderboard can be taken as it stood before a round', () => {
+  const board = models.leaderboard(tips, games, { beforeRound: 2 });
+  assert.ok(board.every(r => r.games === 5));
+  assert.deepEqual(models.leaderboard(tips, games, { beforeRound: 1 }), []);
+
+  // Tips for games not yet played don't count
+  const open = games.map(g => g.round === 2 ? { ...g, complete: 0 } : g);
+  assert.ok(models.leaderboard(tips, open).every(r => r.games === 5));
+});
+
+test('ensemble weights favour the better record and leave the Aggregate out', () => {
+  const weights = models.ensembleWeights(models.leaderboard(tips, games));
+  assert.deepEqual([...weights.keys()].sort(), [2, 3]);
+  assert.ok(weights.get(2) > weights.get(3));
+  assert.ok(Math.abs(weights.get(2) + weights.get(3) - 1) < 1e-9);
+
+  // Too few games to judge anyone yet
+  const early = models.leaderboard(tips, games.slice(0, models.MIN_ENSEMBLE_GAMES - 1));
+  assert.equal(models.ensembleWeights(early).size, 0);
+});
+
+test('the ensemble probability is the weighted average of the models that tipped', () => {
+  const weights = new Map([[2, 0.75], [3, 0.25]]);
+  const game = { id: 99, round: 3 };
+  assert.equal(models.ensembleProbability([tip(game, 2, 80), tip(game, 3, 40)], weights), 70);
+  // Re-normalised over the models present; unweighted sources are ignored
+  assert.equal(models.ensembleProbability([tip(game, 3, 40), tip(game, 8, 90)], weights), 40);
+  assert.equal(models.ensembleProbability([tip(game, 8, 90)], weights), null);
+});
+
+test('the season ensemble only uses rounds before the game', () => {
+  const ensemble = models.createEnsemble(tips, games);
+  assert.equal(ensemble.weightsAt(1).size, 0);
+  assert.equal(ensemble.probability(tips.filter(t => t.gameid === 1), 1), null);
+  const p = ensemble.probability(tips.filter(t => t.gameid === 6), 2);
+  assert.ok(p > 55 && p < 80);
+});
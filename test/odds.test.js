@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const odds = require('../odds');
+
+const near = (a, b, tol, msg) => assert.ok(Math.abs(a - b) <= tol, `${msg || ''} ${a} vs ${b}`);
+
+test('removing the margin leaves fair probabilities that sum to one', () => {
+  const fair = odds.fairProbabilities(1.80, 2.05);
+  near(fair.home + fair.away, 1, 1e-9);
+  near(fair.overround, 1 / 1.80 + 1 / 2.05 - 1, 1e-9);
+  assert.ok(fair.home > fair.away);
+  assert.equal(odds.fairProbabilities(1.0, 2.0), null);
+  assert.equal(odds.fairProbabilities(undefined, 2.0), null);
+});
+
+test('edge, EV and Kelly for one side', () => {
+  const side = odds.assessSide(0.6, 0.5, 2.0, 0.5);
+  assert.equal(side.edge, 10);
+  assert.equal(side.ev, 0.2);
+  // Full Kelly is (1 × 0.6 − 0.4) / 1 = 20%, halved
+  assert.equal(side.kelly, 10);
+
+  // Never suggests a stake on a negative-EV side
+  assert.equal(odds.assessSide(0.4, 0.5, 2.0).kelly, 0);
+});
+
+test('a game is flagged when model and market disagree by more than the threshold', () => {
+  const row = { homeOdds: 2.0, awayOdds: 2.0, line: -0.5, lineHomeOdds: 1.9, lineAwayOdds: 1.9 };
+
+  const close = odds.assessGame(0.52, row, { threshold: 5 });
+  assert.equal(close.flagged, false);
+  assert.equal(close.h2h.home.fairProb, 50);
+
+  const apart = odds.assessGame(0.7, row, { threshold: 5 });
+  assert.equal(apart.flagged, true);
+  assert.equal(apart.h2h.home.edge, 20);
+  assert.equal(apart.best.side, 'home');
+  // Giving half a point makes the home line less likely than the home win
+  assert.ok(apart.line.home.modelProb < apart.h2h.home.modelProb);
+});
+
+test('CSV parsing and matching rows to games', () => {
+  const rows = odds.parseOddsCsv([
+    '# comment',
+    'HTeam,ATeam,homeOdds,awayOdds,bookie',
+    '"Brisbane Lions",Sydney,1.70,2.20,somewhere',
+    '',
+  ].join('\n'));
+  assert.deepEqual(rows, [{ hteam: 'Brisbane Lions', ateam: 'Sydney', homeOdds: 1.7, awayOdds: 2.2 }]);
+  assert.throws(() => odds.parseOddsCsv('hteam,ateam\nA,B'), /header/);
+
+  const games = [
+    { id: 1, hteam: 'Brisbane Lions', ateam: 'Sydney' },
+    { id: 2, hteam: 'Carlton', ateam: 'Essendon' },
+  ];
+  assert.equal(odds.findGame(rows[0], games).id, 1);
+  assert.equal(odds.findGame({ matchId: 2 }, games).id, 2);
+  assert.equal(odds.findGame({ hteam: 'Sydney', ateam: 'Brisbane Lions' }, games), null);
+});
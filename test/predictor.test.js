@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { predictMatch, applyHomeProbability, DEFAULT_WEIGHTS } = require('../predictor');
+
+function stats(name, overrides = {}) {
+  return {
+    name,
+    code: name.slice(0, 3).toUpperCase(),
+    recentGames: 6,
+    avgScore: 85,
+    avgConceded: 85,
+    avgClearances: 34,
+    form: ['W', 'L', 'W', 'L', 'W', 'L'],
+    scoringMargin: 0,
+    wins: 5, losses: 5, percentage: 100, rank: 9,
+    h2hWins: 2, h2hPlayed: 4,
+    venueWins: 2, venuePlayed: 4,
+    travellingInterstate: false,
+    rating: 1500,
+    ...overrides,
+  };
+}
+
+const venue = { name: 'M.C.G.', code: 'MCG' };
+
+const strong = stats('Strong', {
+  avgScore: 105, avgConceded: 70, scoringMargin: 35, avgClearances: 45.7,
+  form: ['W', 'W', 'W', 'W', 'W', 'W'], wins: 10, losses: 0, percentage: 150, rank: 1,
+  h2hWins: 4, venueWins: 4, rating: 1620,
+});
+const weak = stats('Weak', {
+  avgScore: 65, avgConceded: 100, scoringMargin: -35, avgClearances: 22.3,
+  form: ['L', 'L', 'L', 'L', 'L', 'L'], wins: 0, losses: 10, percentage: 65, rank: 18,
+  h2hWins: 0, venueWins: 0, rating: 1380,
+});
+
+test('predictMatch: win probabilities add to 100', () => {
+  const p = predictMatch(strong, weak, venue);
+  assert.equal(Math.round(p.home.winProbability + p.away.winProbability), 100);
+});
+
+test('predictMatch: the stronger side is favoured whichever end it is at', () => {
+  const home = predictMatch(strong, weak, venue);
+  assert.ok(home.home.winProbability > 70);
+  assert.equal(home.predictedWinner, strong.code);
+
+  const away = predictMatch(weak, strong, venue);
+  assert.ok(away.away.winProbability > 70);
+  assert.equal(away.predictedWinner, strong.code);
+  assert.ok(away.home.predictedScore < away.away.predictedScore);
+});
+
+test('predictMatch: evenly matched sides are close to a coin flip', () => {
+  const p = predictMatch(stats('Home'), stats('Away'), venue);
+  assert.ok(Math.abs(p.home.winProbability - 50) < 5, `got ${p.home.winProbability}`);
+  assert.equal(p.confidence.level, 'low');
+});
+
+test('predictMatch: reports every weighted factor', () => {
+  const p = predictMatch(strong, weak, venue);
+  const keys = p.keyFactors.map(f => f.key).sort();
+  assert.deepEqual(keys, Object.keys(DEFAULT_WEIGHTS).sort());
+  for (const f of p.keyFactors) {
+    assert.ok(f.homeEdge >= 0 && f.homeEdge <= 1, `${f.key} homeEdge ${f.homeEdge}`);
+    assert.ok([strong.code, weak.code].includes(f.advantage), `${f.key} advantage ${f.advantage}`);
+  }
+});
+
+test('predictMatch: custom weights are used and labelled', () => {
+  // Only form counts — and the weak side is the one in form
+  const formOnly = Object.fromEntries(Object.keys(DEFAULT_WEIGHTS).map(k => [k, k === 'recentForm' ? 1 : 0]));
+  const inForm = stats('InForm', { form: ['W', 'W', 'W', 'W', 'W', 'W'] });
+  const p = predictMatch(inForm, strong, venue, { weights: formOnly });
+  assert.equal(p.weightsVersion, 'custom');
+  assert.equal(p.keyFactors.find(f => f.key === 'recentForm').weight, 1);
+
+  const even = predictMatch(inForm, stats('Slumping', { form: ['L', 'L', 'L', 'L', 'L', 'L'] }), venue, { weights: formOnly });
+  assert.ok(even.home.winProbability > 60);
+});
+
+test('predictMatch: scores follow the probability and the margin is signed', () => {
+  const p = predictMatch(weak, strong, venue);
+  assert.ok(p.predictedMargin < 0, `home margin ${p.predictedMargin}`);
+  assert.equal(p.predictedMargin, p.home.predictedScore - p.away.predictedScore);
+  assert.ok(p.scoreModel.margin.mean < 0);
+  assert.ok(p.scoreModel.buckets.awayBig > p.scoreModel.buckets.homeBig);
+});
+
+test('applyHomeProbability: re-derives scores for a new probability', () => {
+  const p = predictMatch(stats('Home'), stats('Away'), venue);
+  applyHomeProbability(p, 80);
+  assert.equal(p.home.winProbability, 80);
+  assert.equal(p.away.winProbability, 20);
+  assert.ok(p.predictedMargin > 20);
+  assert.equal(p.confidence.level, 'high');
+});
+
+test('predictMatch: factor contributions add up to the win probability', () => {
+  const p = predictMatch(strong, weak, venue);
+  const total = p.keyFactors.reduce((s, f) => s + f.contribution, 0);
+  assert.ok(Math.abs(50 + total - p.home.winProbability) < 0.5, `50 + ${total} vs ${p.home.winProbability}`);
+  // Everything favours the strong side except travel, which neither has
+  for (const f of p.keyFactors) {
+    if (f.key === 'travel') assert.equal(f.contribution, 0);
+    else assert.ok(f.contribution > 0, `${f.key} ${f.contribution}`);
+  }
+  assert.ok(predictMatch(stats('Home'), stats('Away'), venue).keyFactors.every(f => f.contribution === 0));
+});
+
+test('predictMatch: a change in travel moves only the travel factor', () => {
+  const home = predictMatch(strong, weak, venue);
+  const away = predictMatch(strong, { ...weak, travelPenalty: 0.6 }, venue);
+  for (const [i, f] of away.keyFactors.entries()) {
+    assert.ok(Math.abs(f.homeEdge + f.awayEdge - 1) < 1e-9, f.key);
+    if (f.key === 'travel') assert.ok(f.contribution > home.keyFactors[i].contribution);
+    else assert.equal(f.contribution, home.keyFactors[i].contribution, f.key);
+  }
+});
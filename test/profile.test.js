@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const profile = require('../profile');
+
+// Geelong (id 7): home win, away loss, home draw, home win, away win, away win
+const game = (id, round, home, hscore, ascore, venue) => ({
+  id, year: 2025, round, complete: 100, date: `2025-04-0${round} 19:00:00`, venue,
+  hteam: home ? 'Geelong' : 'Carlton', hteamid: home ? 7 : 3,
+  ateam: home ? 'Carlton' : 'Geelong', ateamid: home ? 3 : 7,
+  hscore, ascore,
+});
+const games = [
+  game(1, 1, true, 100, 70, 'Kardinia Park'),
+  game(2, 2, false, 90, 80, 'M.C.G.'),
+  game(3, 3, true, 80, 80, 'Kardinia Park'),
+  game(4, 4, true, 95, 60, 'GMHBA Stadium'),
+  game(5, 5, false, 70, 85, 'M.C.G.'),
+  game(6, 6, false, 60, 100, 'Docklands'),
+  { ...game(7, 7, true, 0, 0, 'Kardinia Park'), complete: 0 },
+];
+
+test('the season log is from the team\'s side, under any name', () => {
+  const log = profile.seasonLog('Cats', games);
+  assert.equal(log.length, 6);
+  assert.deepEqual(log.map(g => g.result), ['W', 'L', 'D', 'W', 'W', 'W']);
+  assert.deepEqual(log[1], {
+    gameId: 2, year: 2025, round: 2, roundName: null, date: '2025-04-02 19:00:00', venue: 'M.C.G.',
+    opponent: 'Carlton', home: false, isFinal: false, for: 80, against: 90, margin: -10, result: 'L',
+  });
+  assert.deepEqual(profile.seasonLog(7, games), log);
+  assert.deepEqual(profile.seasonLog('Fitzroy', games), []);
+});
+
+test('splits separate home and away, and count own-ground games', () => {
+  const { home, away, ownGround } = profile.splits('Geelong', profile.seasonLog('Geelong', games));
+  assert.deepEqual([home.played, home.wins, home.losses, home.draws], [3, 2, 0, 1]);
+  assert.deepEqual([away.played, away.wins, away.losses], [3, 2, 1]);
+  assert.equal(away.for, 80 + 85 + 100);
+  assert.equal(away.percentage, parseFloat((265 / 220 * 100).toFixed(1)));
+  // GMHBA Stadium is Kardinia Park
+  assert.equal(ownGround.played, 3);
+});
+
+test('venue records merge a ground\'s names', () => {
+  const byVenue = profile.venueRecords(profile.seasonLog('Geelong', games));
+  assert.deepEqual(byVenue.map(v => [v.venue, v.played]), [
+    ['Kardinia Park', 3], ['M.C.G.', 2], ['Docklands', 1],
+  ]);
+});
+
+test('streaks: a draw ends a run', () => {
+  const s = profile.streaks(profile.seasonLog('Geelong', games));
+  assert.deepEqual(s.current, { result: 'W', length: 3 });
+  assert.deepEqual(s.longestWin, { length: 3, from: 4, to: 6 });
+  assert.deepEqual(s.longestLoss, { length: 1, from: 2, to: 2 });
+  assert.deepEqual(profile.streaks([]), {
+    current: null, longestWin: { length: 0, from: null, to: null }, longestLoss: { length: 0, from: null, to: null },
+  });
+});
+
+test('the scoring trend is a rolling average', () => {
+  const trend = profile.scoringTrend(profile.seasonLog('Geelong', games));
+  assert.equal(trend.length, 6);
+  assert.equal(trend[0].avgFor, 100);
+  assert.equal(trend[2].avgFor, parseFloat(((100 + 80 + 80) / 3).toFixed(1)));
+  assert.equal(trend[5].avgAgainst, parseFloat(((60 + 70 + 60) / 3).toFixed(1)));
+});
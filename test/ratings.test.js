@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ratings = require('../ratings');
+const { teamId } = require('../teams');
+
+const COL = teamId('Collingwood');
+const CAR = teamId('Carlton');
+const GWS = teamId('Greater Western Sydney');
+
+const game = (id, hteam, ateam, hscore, ascore) =>
+  ({ id, year: 2025, round: id, date: `2025-03-${10 + id} 19:40:00`, hteam, ateam, hscore, ascore, venue: 'M.C.G.', complete: 100 });
+
+test('computeRatings: a draw still moves ratings towards the underdog', () => {
+  // Collingwood start as favourites at home after beating Carlton
+  const { ratings: after, history } = ratings.computeRatings([
+    game(1, 'Collingwood', 'Carlton', 100, 60),
+    game(2, 'Collingwood', 'Carlton', 80, 80),
+  ]);
+  const draw = history[COL][1];
+  assert.ok(draw.change < 0, `favourite's rating changed by ${draw.change} on a draw`);
+  assert.equal(history[CAR][1].change, -draw.change);
+  assert.equal(after.get(COL) + after.get(CAR), 2 * ratings.MEAN_RATING);
+});
+
+test('computeRatings: a bigger win moves ratings further', () => {
+  const change = margin => ratings.computeRatings([game(1, 'Carlton', 'Collingwood', 80 + margin, 80)])
+    .history[CAR][0].change;
+  assert.ok(change(1) > 0);
+  assert.ok(change(1) <= change(2));
+  assert.ok(change(2) < change(30));
+});
+
+test('computeRatings: a team keeps one rating under any of its names', () => {
+  const { ratings: after, history } = ratings.computeRatings([
+    game(1, 'GWS Giants', 'Carlton', 100, 60),
+    game(2, 'Carlton', 'Greater Western Sydney', 70, 90),
+  ]);
+  assert.equal(after.size, 2);
+  assert.equal(history[GWS].length, 2);
+  assert.ok(history[GWS][1].change > 0);
+  assert.equal(after.get(GWS) + after.get(CAR), 2 * ratings.MEAN_RATING);
+});
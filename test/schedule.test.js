@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const schedule = require('../schedule');
+const { MEAN_RATING } = require('../ratings');
+const { teamId } = require('../teams');
+
+// Two Melbourne clubs at the MCG (a local home game) and one trip west
+const current = new Map([
+  [teamId('Collingwood'), MEAN_RATING + 100],
+  [teamId('Carlton'), MEAN_RATING],
+  [teamId('West Coast'), MEAN_RATING - 100],
+]);
+const game = (id, round, hteam, ateam, venue, score = null) => ({
+  id, round, hteam, ateam, venue,
+  complete: score ? 100 : 0,
+  hscore: score?.[0] ?? null, ascore: score?.[1] ?? null,
+});
+
+test('a stronger opponent and a road trip make a game harder', () => {
+  const vsPies = game(1, 1, 'Carlton', 'Collingwood', 'M.C.G.');
+  const vsEagles = game(2, 2, 'Carlton', 'West Coast', 'M.C.G.');
+  assert.ok(schedule.gameDifficulty(vsPies, true, current) > 0.5);
+  assert.ok(schedule.gameDifficulty(vsEagles, true, current) < 0.5);
+
+  // Hosting the Eagles is easier than going to Perth to play them
+  const inPerth = game(3, 3, 'West Coast', 'Carlton', 'Perth Stadium');
+  assert.ok(schedule.gameDifficulty(inPerth, false, current) > schedule.gameDifficulty(vsEagles, true, current));
+
+  assert.equal(schedule.gameDifficulty(game(4, 4, 'Carlton', 'Fitzroy', 'M.C.G.'), true, current), null);
+});
+
+test('strength of schedule splits games played and to come', () => {
+  const games = [
+    game(1, 1, 'Carlton', 'Collingwood', 'M.C.G.', [80, 70]),
+    game(2, 2, 'Collingwood', 'Carlton', 'M.C.G.', [90, 60]),
+    game(3, 3, 'Carlton', 'West Coast', 'M.C.G.'),
+    { ...game(4, 4, 'Carlton', 'Collingwood', 'M.C.G.'), is_final: 1 },
+  ];
+  const sos = schedule.strengthOfSchedule(games, current);
+  const blues = sos.find(t => t.name === 'Carlton');
+
+  assert.equal(blues.played.games, 2);
+  assert.equal(blues.remaining.games, 1);
+  assert.equal(blues.games.length, 3); // finals left out
+  assert.equal(blues.played.opponentRating, MEAN_RATING + 100);
+  assert.deepEqual(blues.games.map(g => g.result), ['W', 'L', null]);
+
+  // Two games against the best side: a win and a bit of credit
+  assert.equal(blues.wins, 1);
+  assert.ok(blues.credit > 0);
+  assert.equal(blues.adjustedWins, parseFloat((1 + blues.credit).toFixed(1)));
+
+  // Collingwood have played an average side home and away: no credit either way
+  assert.equal(sos[0].name, 'Carlton');
+  assert.equal(sos.find(t => t.name === 'Collingwood').credit, 0);
+});
+
+test('strength of schedule counts a team once under any of its names', () => {
+  const sos = schedule.strengthOfSchedule([
+    game(1, 1, 'Carlton', 'Collingwood', 'M.C.G.', [80, 70]),
+    game(2, 2, 'Pies', 'Carlton', 'M.C.G.'),
+  ], current);
+  assert.equal(sos.length, 2);
+  const pies = sos.find(t => t.name === 'Collingwood');
+  assert.equal(pies.id, teamId('Collingwood'));
+  assert.equal(pies.games.length, 2);
+  assert.equal(pies.season.opponentRating, MEAN_RATING);
+});
+
+test('schedule credit is the difficulty over an even game', () => {
+  assert.ok(Math.abs(schedule.scheduleCredit([{ difficulty: 60 }, { difficulty: 60 }, { difficulty: null }]) - 0.2) < 1e-9);
+  assert.ok(Math.abs(schedule.scheduleCredit([{ difficulty: 60 }, { difficulty: 35 }]) - -0.05) < 1e-9);
+  assert.equal(schedule.scheduleCredit([]), 0);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const scoremodel = require('../scoremodel');
+const { createRng, sampleNormal } = require('../stats');
+
+const near = (a, b, tol, msg) => assert.ok(Math.abs(a - b) <= tol, `${msg || ''} ${a} vs ${b}`);
+
+test('the margin distribution agrees with the win probability', () => {
+  for (const p of [0.2, 0.5, 0.65, 0.9]) {
+    const { margin } = scoremodel.scoreDistribution(p, 165);
+    near(scoremodel.probMarginOver(margin, 0), p, 0.002, `p=${p}`);
+  }
+  assert.ok(scoremodel.expectedMargin(0.3) < 0);
+  assert.equal(scoremodel.expectedMargin(0.5), 0);
+});
+
+test('buckets cover every outcome and intervals are nested', () => {
+  const dist = scoremodel.scoreDistribution(0.7, 170);
+  const sum = Object.values(dist.buckets).reduce((a, b) => a + b, 0);
+  near(sum, 100, 0.2, 'bucket total');
+  assert.ok(dist.buckets.homeClose > dist.buckets.awayClose);
+
+  const [lo50, hi50] = dist.margin.intervals[50];
+  const [lo95, hi95] = dist.margin.intervals[95];
+  assert.ok(lo95 < lo50 && hi50 < hi95);
+  near((lo95 + hi95) / 2, dist.margin.mean, 1, 'centred');
+});
+
+test('total line probabilities', () => {
+  const { total } = scoremodel.scoreDistribution(0.5, 160, { marginSd: 36, totalSd: 25, totalBias: 5 });
+  assert.equal(total.mean, 165);
+  near(scoremodel.probTotalOver(total, 165), 0.5, 1e-6);
+  near(scoremodel.probTotalOver(total, 190), 1 - 0.8413, 0.001, 'one sd');
+});
+
+test('fitScoreModel recovers the spreads it was generated with', () => {
+  const rng = createRng(3);
+  const samples = [];
+  for (let i = 0; i < 3000; i++) {
+    const homeProb = 0.2 + rng() * 0.6;
+    const expectedTotal = 150 + rng() * 30;
+    samples.push({
+      homeProb,
+      expectedTotal,
+      actualMargin: sampleNormal(rng, scoremodel.expectedMargin(homeProb, 30), 30),
+      actualTotal:  sampleNormal(rng, expectedTotal + 8, 20),
+    });
+  }
+  const fitted = scoremodel.fitScoreModel(samples);
+  near(fitted.marginSd, 30, 1.5, 'marginSd');
+  near(fitted.totalSd, 20, 1, 'totalSd');
+  near(fitted.totalBias, 8, 1.5, 'totalBias');
+});
+
+test('fitScoreModel keeps the current model on too few games', () => {
+  const current = { marginSd: 33, totalSd: 24, totalBias: 2 };
+  assert.deepEqual(scoremodel.fitScoreModel([], current), { ...current, games: 0 });
+});
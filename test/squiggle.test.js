@@ -0,0 +1,211 @@
+const { SEASON, HISTORY_SEASON } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const squiggle = require('../squiggle');
+
+const won = (team, g) => g.hteam === team ? g.hscore > g.ascore : g.ascore > g.hscore;
+
+test('fixtures: games, tips, standings and teams load for the fixed season', async () => {
+  const [games, tips, standings, teams] = await Promise.all([
+    squiggle.getGames(SEASON),
+    squiggle.getTips(SEASON),
+    squiggle.getStandings(SEASON),
+    squiggle.getTeams(),
+  ]);
+  assert.equal(games.length, 81);
+  assert.ok(tips.length > 0);
+  assert.equal(standings.length, 18);
+  assert.equal(teams.length, 18);
+  assert.equal(squiggle.isStale(games, standings), false);
+});
+
+test('fixtures: round filter and completion helpers', async () => {
+  const round3 = await squiggle.getGames(SEASON, 3);
+  assert.equal(round3.length, 9);
+  assert.ok(round3.every(g => g.round === 3));
+
+  const tips = await squiggle.getTips(SEASON, 3);
+  assert.ok(tips.length > 0 && tips.every(t => t.round === 3));
+
+  assert.equal((await squiggle.getCompleted(SEASON)).length, 45);
+  assert.equal((await squiggle.getUpcoming(SEASON)).length, 36);
+});
+
+test('currentRound: the first round with a game not yet finished, else the last', async () => {
+  const games = await squiggle.getGames(SEASON);
+  assert.equal(squiggle.currentRound(games), 6);
+
+  // A game in progress keeps its round current, wherever it sits in the list
+  const inPlay = games.find(g => g.round === 5);
+  const live = games.map(g => g === inPlay ? { ...g, complete: 60 } : g);
+  assert.equal(squiggle.currentRound([...live].reverse()), 5);
+
+  const finished = games.map(g => ({ ...g, complete: 100 }));
+  assert.equal(squiggle.currentRound(finished), Math.max(...games.map(g => g.round)));
+  assert.equal(squiggle.currentRound([]), 1);
+});
+
+test('configFromEnv: a bad retry count or timeout falls back to the default', t => {
+  t.mock.method(console, 'warn', () => {});
+  const defaults = squiggle.configFromEnv({});
+  assert.equal(defaults.retries, 2);
+  assert.equal(defaults.timeoutMs, 8000);
+
+  assert.equal(squiggle.configFromEnv({ SQUIGGLE_RETRIES: '0' }).retries, 0);
+  assert.equal(squiggle.configFromEnv({ SQUIGGLE_RETRIES: '5', SQUIGGLE_TIMEOUT_MS: '3000' }).timeoutMs, 3000);
+  for (const bad of ['lots', '-1', '1.5', 'Infinity', '1e3']) {
+    assert.equal(squiggle.configFromEnv({ SQUIGGLE_RETRIES: bad }).retries, 2, `SQUIGGLE_RETRIES=${bad}`);
+    assert.equal(squiggle.configFromEnv({ SQUIGGLE_TIMEOUT_MS: bad }).timeoutMs, 8000, `SQUIGGLE_TIMEOUT_MS=${bad}`);
+  }
+  assert.equal(squiggle.configFromEnv({ SQUIGGLE_TIMEOUT_MS: '0' }).timeoutMs, 8000);
+  assert.equal(console.warn.mock.callCount(), 11);
+});
+
+test('parseRound: whole numbers from 0 up, null when missing', () => {
+  assert.equal(squiggle.parseRound(undefined), null);
+  assert.equal(squiggle.parseRound(null), null);
+  assert.equal(squiggle.parseRound('0'), 0);
+  assert.equal(squiggle.parseRound('12'), 12);
+  assert.equal(squiggle.parseRound(6), 6);
+  for (const bad of ['', 'next', '-1', '1.5', '6abc', 1.5, true]) {
+    assert.ok(Number.isNaN(squiggle.parseRound(bad)), `parseRound(${JSON.stringify(bad)})`);
+  }
+});
+
+test('fixtures: a season with no data is an empty list', async () => {
+  assert.deepEqual(await squiggle.getGames(1990), []);
+  assert.deepEqual(await squiggle.getStandings(1990), []);
+});
+
+test('buildTeamStats: averages and form over the last N games', async () => {
+  const [games, standings] = await Promise.all([
+    squiggle.getCompleted(SEASON),
+    squiggle.getStandings(SEASON),
+  ]);
+  const team = standings[0].name;
+  const played = games.filter(g => g.hteam === team || g.ateam === team).slice(-3);
+
+  const stats = squiggle.buildTeamStats(team, SEASON, games, standings, 3);
+  const scored = played.map(g => g.hteam === team ? g.hscore : g.ascore);
+  const avg = scored.reduce((a, b) => a + b, 0) / scored.length;
+
+  assert.equal(stats.name, team);
+  assert.equal(stats.recentGames, 3);
+  assert.equal(stats.avgScore, parseFloat(avg.toFixed(1)));
+  assert.deepEqual(stats.form, played.map(g => won(team, g) ? 'W' : 'L').reverse());
+  assert.equal(stats.rank, 1);
+  assert.equal(stats.wins, standings[0].wins);
+});
+
+test('buildTeamStats: codes and ladder rows come from the team registry', async () => {
+  const [games, standings] = await Promise.all([
+    squiggle.getCompleted(SEASON),
+    squiggle.getStandings(SEASON),
+  ]);
+  const westCoast = squiggle.buildTeamStats('West Coast', SEASON, games, standings);
+  const bulldogs  = squiggle.buildTeamStats('Western Bulldogs', SEASON, games, standings);
+  assert.equal(westCoast.code, 'WCE');
+  assert.equal(bulldogs.code, 'WBD');
+  assert.equal(westCoast.rank, standings.find(s => s.name === 'West Coast').rank);
+  assert.equal(bulldogs.rank, standings.find(s => s.name === 'Western Bulldogs').rank);
+
+  // Aliases and ids reach the same club
+  const gws = squiggle.buildTeamStats('GWS Giants', SEASON, games, standings);
+  assert.equal(gws.name, 'Greater Western Sydney');
+  assert.deepEqual(squiggle.buildTeamStats(9, SEASON, games, standings), gws);
+});
+
+test('buildTeamStats: null for a team with no completed games', async () => {
+  const games = await squiggle.getCompleted(SEASON);
+  assert.equal(squiggle.buildTeamStats('Fitzroy', SEASON, games, []), null);
+});
+
+test('buildTeamStats: last season fills in before a team has played', async () => {
+  const prior = await squiggle.getCompleted(HISTORY_SEASON);
+  const games = await squiggle.getCompleted(SEASON);
+
+  const preseason = squiggle.buildTeamStats('Geelong', SEASON, [], [], 6, prior);
+  assert.equal(preseason.recentGames, 0);
+  assert.equal(preseason.priorGames, 6);
+  assert.deepEqual(preseason.prior.share, { scoring: 100, form: 100, ladder: 100 });
+  // Older games count for less
+  assert.equal(preseason.formWeights[0], 0.7);
+  assert.ok(preseason.formWeights[5] < preseason.formWeights[0]);
+
+  // Regressed toward the league mean: a margin smaller than last season's raw one
+  const last6 = prior.filter(g => g.hteam === 'Geelong' || g.ateam === 'Geelong').slice(-6);
+  const raw = last6.reduce((s, g) => s + (g.hteam === 'Geelong' ? g.hscore - g.ascore : g.ascore - g.hscore), 0) / 6;
+  assert.ok(Math.abs(preseason.scoringMargin) < Math.abs(raw));
+
+  // Two rounds in, this season's games take over part of the sample
+  const early = games.filter(g => g.round <= 2);
+  const round3 = squiggle.buildTeamStats('Geelong', SEASON, early, squiggle.buildLadder(early), 6, prior);
+  assert.equal(round3.recentGames, 2);
+  assert.equal(round3.priorGames, 4);
+  assert.deepEqual(round3.formWeights.slice(0, 2), [1, 1]);
+  assert.ok(round3.prior.share.scoring > 0 && round3.prior.share.scoring < 100);
+
+  // With a full sample last season isn't used at all
+  const full = squiggle.buildTeamStats('Geelong', SEASON, games, [], 3, prior);
+  assert.equal(full.priorGames, 0);
+  assert.deepEqual(full.prior.share, { scoring: 0, form: 0, ladder: 0 });
+});
+
+test('calcH2H: counts meetings from either end', async () => {
+  const games = (await squiggle.getCompleted(HISTORY_SEASON)).concat(await squiggle.getCompleted(SEASON));
+  const g = games[0];
+  const meetings = games.filter(x =>
+    (x.hteam === g.hteam && x.ateam === g.ateam) || (x.hteam === g.ateam && x.ateam === g.hteam)
+  );
+
+  const home = squiggle.calcH2H(g.hteam, g.ateam, games);
+  const away = squiggle.calcH2H(g.ateam, g.hteam, games);
+  const draws = meetings.filter(x => x.hscore === x.ascore).length;
+
+  assert.equal(home.played, meetings.length);
+  assert.equal(away.played, meetings.length);
+  assert.equal(home.wins, meetings.filter(x => won(g.hteam, x)).length);
+  assert.equal(home.wins + away.wins + draws, meetings.length);
+});
+
+test('calcH2H: ignores games that are not complete', async () => {
+  const upcoming = await squiggle.getUpcoming(SEASON);
+  const g = upcoming[0];
+  assert.deepEqual(squiggle.calcH2H(g.hteam, g.ateam, upcoming), { wins: 0, played: 0 });
+});
+
+test('calcVenueRecord: only games at that venue, by any of its names', async () => {
+  const games = await squiggle.getCompleted(HISTORY_SEASON);
+  const team = 'Geelong';
+  const atVenue = games.filter(g => (g.hteam === team || g.ateam === team) && g.venue === 'Kardinia Park');
+
+  const record = squiggle.calcVenueRecord(team, 'Kardinia Park', games);
+  assert.ok(atVenue.length > 0);
+  assert.equal(record.played, atVenue.length);
+  assert.equal(record.wins, atVenue.filter(g => won(team, g)).length);
+  assert.deepEqual(squiggle.calcVenueRecord(team, 'Nowhere Oval', games), { wins: 0, played: 0 });
+  // The ground under its sponsor's name is the same ground
+  assert.deepEqual(squiggle.calcVenueRecord(team, 'GMHBA Stadium', games), record);
+});
+
+test('buildLadder: rebuilds the recorded ladder from results', async () => {
+  const [games, standings] = await Promise.all([
+    squiggle.getCompleted(SEASON),
+    squiggle.getStandings(SEASON),
+  ]);
+  const ladder = squiggle.buildLadder(games);
+  assert.deepEqual(ladder.map(t => [t.name, t.pts]), standings.map(t => [t.name, t.pts]));
+});
+
+test('ladderHistory: one table per round, ending on the latest ladder', async () => {
+  const games = await squiggle.getGames(SEASON);
+  const history = squiggle.ladderHistory(games);
+  assert.deepEqual(history.map(h => h.round), [1, 2, 3, 4, 5]);
+  assert.ok(history.every(({ round, ladder }) => ladder.every(t => t.played <= round)));
+  assert.deepEqual(history[4].ladder, squiggle.buildLadder(games));
+
+  // Going into a round is the table after the one before it
+  assert.deepEqual(squiggle.ladderBefore(games, 4), history[2].ladder);
+  assert.deepEqual(squiggle.ladderBefore(games, 1), []);
+});
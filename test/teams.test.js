@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const teams = require('../teams');
+const { isInterstate } = require('../travel');
+const { finalsVenue } = require('../finals');
+
+test('every club has a unique id, abbreviation and home state', () => {
+  assert.equal(teams.TEAMS.length, 18);
+  assert.equal(new Set(teams.TEAMS.map(t => t.id)).size, 18);
+  assert.equal(new Set(teams.TEAMS.map(t => t.abbrev)).size, 18);
+  for (const t of teams.TEAMS) {
+    assert.ok(t.state, `${t.name} state`);
+    assert.ok(t.grounds.length > 0, `${t.name} grounds`);
+  }
+});
+
+test('names, aliases, abbreviations and ids resolve to the same club', () => {
+  for (const ref of ['Greater Western Sydney', 'GWS Giants', 'GWS', 'gws', 9, '9']) {
+    assert.equal(teams.teamId(ref), 9, String(ref));
+  }
+  assert.equal(teams.teamId('St. Kilda'), 15);
+  assert.equal(teams.abbrev('West Coast'), 'WCE');
+  assert.equal(teams.abbrev('Western Bulldogs'), 'WBD');
+  assert.equal(teams.getTeam('Fitzroy'), null);
+  assert.equal(teams.getTeam(undefined), null);
+});
+
+test('games resolve to ids with or without Squiggle team ids', () => {
+  assert.equal(teams.homeId({ hteamid: 16, hteam: 'Sydney' }), 16);
+  assert.equal(teams.awayId({ ateam: 'Sydney Swans' }), 16);
+});
+
+test('register picks up a renamed club without losing the old name', () => {
+  const list = teams.TEAMS.map(t => ({ id: t.id, name: t.name, abbrev: t.abbrev }));
+  const renamed = list.map(t => t.id === 8 ? { ...t, name: 'Gold Coast SUNS' } : t);
+  try {
+    const changes = teams.register(renamed);
+    assert.deepEqual(changes.renamed, [{ id: 8, from: 'Gold Coast', to: 'Gold Coast SUNS' }]);
+    assert.equal(teams.getTeam(8).name, 'Gold Coast SUNS');
+    assert.equal(teams.teamId('Gold Coast'), 8);
+  } finally {
+    teams.register(list);
+  }
+  assert.equal(teams.getTeam(8).name, 'Gold Coast');
+});
+
+test('travel and finals venues use the registry', () => {
+  // GWS used to miss the home-state table under its Squiggle name
+  assert.equal(isInterstate('Greater Western Sydney', 'Perth Stadium'), true);
+  assert.equal(isInterstate('Greater Western Sydney', 'Sydney Showground'), false);
+  assert.equal(isInterstate('Hawthorn', 'York Park'), false);
+  assert.equal(finalsVenue('Greater Western Sydney'), 'Sydney Showground');
+  assert.equal(finalsVenue('Geelong'), 'M.C.G.');
+  assert.equal(finalsVenue('West Coast', { grandFinal: true }), 'M.C.G.');
+});
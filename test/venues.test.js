@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const venues = require('../venues');
+const travel = require('../travel');
+
+const near = (a, b, tol, msg) => assert.ok(Math.abs(a - b) <= tol, `${msg || ''} ${a} vs ${b}`);
+
+test('former and sponsor names resolve to the Squiggle name', () => {
+  for (const name of ['Marvel Stadium', 'Etihad Stadium', 'docklands', 'Telstra Dome']) {
+    assert.equal(venues.canonicalName(name), 'Docklands', name);
+  }
+  assert.equal(venues.canonicalName('GMHBA Stadium'), 'Kardinia Park');
+  assert.ok(venues.sameVenue('Optus Stadium', 'Perth Stadium'));
+  // Exact matches only — no more substring guesses
+  assert.equal(venues.getVenue('Stadium'), null);
+  assert.equal(venues.canonicalName('Nowhere Oval'), 'Nowhere Oval');
+});
+
+test('unknown venue names are reported once each', () => {
+  const games = [{ venue: 'M.C.G.' }, { venue: 'Nowhere Oval' }, { venue: 'Nowhere Oval' }, { venue: 'Marvel Stadium' }];
+  assert.deepEqual(venues.unknownVenues(games), ['Nowhere Oval']);
+});
+
+test('distances between grounds', () => {
+  near(venues.distanceKm('M.C.G.', 'Perth Stadium'), 2720, 30, 'MCG to Perth');
+  near(venues.distanceKm('M.C.G.', 'Kardinia Park'), 65, 10, 'MCG to Geelong');
+  assert.equal(venues.distanceKm('M.C.G.', 'Nowhere Oval'), null);
+});
+
+test('trips are measured from the home ground', () => {
+  const perth = travel.trip('Collingwood', 'Perth Stadium');
+  assert.equal(perth.longTrip, true);
+  assert.equal(perth.timeZones, 2);
+  assert.equal(perth.penalty, 1);
+
+  const geelong = travel.trip('Collingwood', 'Kardinia Park');
+  assert.equal(geelong.longTrip, false);
+  assert.ok(geelong.penalty > 0 && geelong.penalty < 0.05);
+
+  const adelaide = travel.trip('Carlton', 'Adelaide Oval');
+  assert.equal(adelaide.timeZones, 0.5);
+  assert.ok(adelaide.penalty > geelong.penalty && adelaide.penalty < perth.penalty);
+
+  // A club's own ground is home wherever it is
+  const launceston = travel.trip('Hawthorn', 'UTAS Stadium');
+  assert.equal(launceston.homeGround, true);
+  assert.equal(launceston.penalty, 0);
+
+  assert.deepEqual(travel.trip('Collingwood', 'Nowhere Oval'),
+    { km: null, timeZones: null, homeGround: false, longTrip: false, penalty: 0 });
+});
+
+test('ground advantage is learned from home wins over travelling visitors', () => {
+  const table = travel.createGroundTable();
+  const empty = table.advantage('Kardinia Park');
+  assert.equal(empty.games, 0);
+  assert.equal(empty.points, 8);
+
+  const game = (hteam, ateam, venue, margin) => ({ hteam, ateam, venue, hscore: 80 + margin, ascore: 80, complete: 100 });
+  for (let i = 0; i < 20; i++) {
+    table.add(game('Geelong', 'West Coast', 'GMHBA Stadium', 40));
+    // Local derbies and neutral games don't count
+    table.add(game('Geelong', 'Collingwood', 'Kardinia Park', -40));
+    table.add(game('Sydney', 'Fremantle', 'M.C.G.', -40));
+  }
+
+  const kardinia = table.advantage('Kardinia Park');
+  assert.equal(kardinia.games, 20);
+  assert.ok(kardinia.points > 20 && kardinia.points < 40, `shrunk towards the league: ${kardinia.points}`);
+  assert.ok(table.advantage('Perth Stadium').points < kardinia.points);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const whatif = require('../whatif');
+
+test('overrides are read from override[...] keys or an override object', () => {
+  const { overrides, errors } = whatif.parseOverrides({
+    matchId: '1',
+    'override[travel]': 'none',
+    'override[awayForm]': 'wwldw',
+  });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(overrides, [
+    { side: 'both', input: 'travel', value: 0 },
+    { side: 'away', input: 'form', value: ['W', 'W', 'L', 'D', 'W'] },
+  ]);
+  assert.deepEqual(whatif.parseOverrides({ override: { homeVenue: '3/4' } }).overrides, [
+    { side: 'home', input: 'venue', value: { wins: 3, played: 4 } },
+  ]);
+
+  const bad = whatif.parseOverrides({ 'override[pace]': '1', 'override[rating]': '', 'override[h2h]': '5/3' });
+  assert.equal(bad.overrides.length, 0);
+  assert.equal(bad.errors.length, 3);
+});
+
+test('overrides apply to copies, one side or both', () => {
+  const home = { code: 'SYD', travelPenalty: 0, rating: 1600, scoringMargin: 10, avgClearances: 37.3 };
+  const away = { code: 'WCE', travelPenalty: 1, travellingInterstate: true, rating: 1400 };
+  const { overrides } = whatif.parseOverrides({
+    'override[travel]': 'none', 'override[homeTravel]': '0.5', 'override[awayRating]': '1650', 'override[homeMargin]': '-30',
+  });
+  const changed = whatif.applyOverrides(home, away, overrides);
+
+  assert.equal(changed.homeStats.travelPenalty, 0.5);
+  assert.equal(changed.awayStats.travelPenalty, 0);
+  assert.equal(changed.awayStats.travellingInterstate, false);
+  assert.equal(changed.awayStats.rating, 1650);
+  assert.equal(changed.homeStats.rating, 1600);
+  assert.deepEqual([changed.homeStats.scoringMargin, changed.homeStats.avgClearances], [-30, 24]);
+  // The originals are untouched
+  assert.equal(away.travelPenalty, 1);
+  assert.equal(home.scoringMargin, 10);
+});
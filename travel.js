@@ -0,0 +1,113 @@
+/**
+ * AFL Edge — Travel and home ground
+ *
+ * How far each side has come for a game, measured from the club's main home
+ * ground (teams.js) to the venue (venues.js): kilometres and time zones
+ * crossed. A club at one of its own grounds is at home however far that is
+ * from base (Hawthorn in Launceston, GWS in Canberra).
+ *
+ * Also keeps each ground's home advantage, learned from results there: how
+ * much better home sides do than expected when the visitors have made a
+ * long trip.
+ */
+
+const { getTeam } = require('./teams');
+const venues = require('./venues');
+
+// A trip at least this long (or across a time zone) counts as "interstate"
+const LONG_TRIP_KM = 400;
+
+// Travel penalty (0-1): a full penalty for a cross-country trip, plus a share
+// per hour of time difference
+const FULL_PENALTY_KM = 2700; // roughly Melbourne to Perth
+const TZ_PENALTY      = 0.1;
+
+// Ground advantage, in points: pulled towards the league-wide figure until a
+// ground has this many games, and the figure used before there's any data
+const GROUND_SHRINK_GAMES = 30;
+const DEFAULT_GROUND_POINTS = 8;
+
+// ─── TRIPS ────────────────────────────────────────────────────────────────────
+/**
+ * A team's trip to a venue.
+ *
+ * @param {string|number} team — name, alias or Squiggle id
+ * @param {string} venue
+ * @returns {{ km, timeZones, homeGround, longTrip, penalty }}
+ *   km and timeZones are null when the team or venue isn't in the registries
+ */
+function trip(team, venue) {
+  const club   = getTeam(team);
+  const ground = venues.getVenue(venue);
+  const base   = venues.getVenue(club?.grounds[0]);
+  const homeGround = !!club && club.grounds.some(g => venues.sameVenue(g, venue));
+
+  if (!ground || !base) {
+    return { km: null, timeZones: null, homeGround, longTrip: false, penalty: 0 };
+  }
+
+  const km = Math.round(venues.distanceKm(base, ground));
+  const timeZones = Math.abs(ground.utcOffset - base.utcOffset);
+  const longTrip = !homeGround && (km >= LONG_TRIP_KM || timeZones > 0);
+  const penalty = homeGround ? 0 : Math.min(1, km / FULL_PENALTY_KM + timeZones * TZ_PENALTY);
+
+  return { km, timeZones, homeGround, longTrip, penalty: parseFloat(penalty.toFixed(3)) };
+}
+
+/**
+ * True if the team has made a long trip to a ground that isn't its own.
+ */
+function isInterstate(team, venue) {
+  return trip(team, venue).longTrip;
+}
+
+// ─── GROUND ADVANTAGE ─────────────────────────────────────────────────────────
+/**
+ * Running table of home advantage per ground. Feed it completed games in
+ * date order with add(); advantage(venue) then reflects only the games
+ * added so far, so it can be used point-in-time.
+ *
+ * Only home-and-away games where the home side is at its own ground and the
+ * visitors made a long trip count. Each contributes the home margin over
+ * `expectedMargin` (what the teams' strength alone predicted, 0 if unknown).
+ */
+function createGroundTable() {
+  const grounds = new Map(); // canonical venue → { games, total }
+  const league  = { games: 0, total: 0 };
+
+  function add(game, expectedMargin = 0) {
+    if (game.complete !== 100 || game.is_final) return;
+    if (!trip(game.hteam, game.venue).homeGround || !isInterstate(game.ateam, game.venue)) return;
+
+    const residual = (game.hscore || 0) - (game.ascore || 0) - expectedMargin;
+    const name = venues.canonicalName(game.venue);
+    if (!grounds.has(name)) grounds.set(name, { games: 0, total: 0 });
+    const g = grounds.get(name);
+    g.games++;       g.total += residual;
+    league.games++;  league.total += residual;
+  }
+
+  // League-wide advantage, itself pulled towards the default on thin data
+  function leaguePoints() {
+    return (league.total + GROUND_SHRINK_GAMES * DEFAULT_GROUND_POINTS) / (league.games + GROUND_SHRINK_GAMES);
+  }
+
+  /**
+   * @returns {{ venue, games, points }} home advantage in points at this ground
+   */
+  function advantage(venue) {
+    const name = venues.canonicalName(venue);
+    const g = grounds.get(name) || { games: 0, total: 0 };
+    const points = (g.total + GROUND_SHRINK_GAMES * leaguePoints()) / (g.games + GROUND_SHRINK_GAMES);
+    return { venue: name, games: g.games, points: parseFloat(points.toFixed(1)) };
+  }
+
+  return { add, advantage, leaguePoints };
+}
+
+module.exports = {
+  LONG_TRIP_KM,
+  trip,
+  isInterstate,
+  createGroundTable,
+};
@@ -0,0 +1,150 @@
+/**
+ * AFL Edge — Venue registry
+ *
+ * One entry per ground under Squiggle's name for it, with the names it has
+ * gone by (grounds change naming-rights sponsor every few years — Docklands
+ * has been Colonial, Telstra Dome, Etihad and Marvel), state, coordinates,
+ * capacity and time zone.
+ *
+ * Lookups are exact after normalising case and punctuation, never by
+ * substring, so a renamed ground is either a known alias or reported as
+ * unknown (/api/debug) rather than silently matching the wrong entry.
+ *
+ * utcOffset is standard time in hours; the AFL season is played almost
+ * entirely outside daylight saving, so it is what the players' body clocks
+ * see.
+ */
+
+const VENUES = [
+  // ── VIC ──
+  { name: 'M.C.G.',            state: 'VIC', lat: -37.8200, lon: 144.9834, capacity: 100024, tz: 'Australia/Melbourne', utcOffset: 10,
+    aliases: ['MCG', 'Melbourne Cricket Ground'] },
+  { name: 'Docklands',         state: 'VIC', lat: -37.8165, lon: 144.9475, capacity: 53359,  tz: 'Australia/Melbourne', utcOffset: 10,
+    aliases: ['Marvel Stadium', 'Etihad Stadium', 'Telstra Dome', 'Colonial Stadium', 'Docklands Stadium'] },
+  { name: 'Kardinia Park',     state: 'VIC', lat: -38.1580, lon: 144.3546, capacity: 40000,  tz: 'Australia/Melbourne', utcOffset: 10,
+    aliases: ['GMHBA Stadium', 'Simonds Stadium', 'Skilled Stadium'] },
+  { name: 'Eureka Stadium',    state: 'VIC', lat: -37.5392, lon: 143.8482, capacity: 11000,  tz: 'Australia/Melbourne', utcOffset: 10,
+    aliases: ['Mars Stadium'] },
+  { name: 'Princes Park',      state: 'VIC', lat: -37.7839, lon: 144.9617, capacity: 22000,  tz: 'Australia/Melbourne', utcOffset: 10,
+    aliases: ['Ikon Park', 'Optus Oval', 'Visy Park'] },
+
+  // ── NSW / ACT ──
+  { name: 'S.C.G.',            state: 'NSW', lat: -33.8917, lon: 151.2247, capacity: 48000,  tz: 'Australia/Sydney', utcOffset: 10,
+    aliases: ['SCG', 'Sydney Cricket Ground'] },
+  { name: 'Sydney Showground', state: 'NSW', lat: -33.8435, lon: 151.0674, capacity: 24000,  tz: 'Australia/Sydney', utcOffset: 10,
+    aliases: ['ENGIE Stadium', 'GIANTS Stadium', 'Spotless Stadium', 'Showground Stadium'] },
+  { name: 'Stadium Australia', state: 'NSW', lat: -33.8474, lon: 151.0634, capacity: 83500,  tz: 'Australia/Sydney', utcOffset: 10,
+    aliases: ['Accor Stadium', 'ANZ Stadium', 'Telstra Stadium'] },
+  { name: 'Manuka Oval',       state: 'ACT', lat: -35.3181, lon: 149.1346, capacity: 13550,  tz: 'Australia/Sydney', utcOffset: 10,
+    aliases: ['Corroboree Group Oval', 'UNSW Canberra Oval'] },
+
+  // ── QLD ──
+  { name: 'Gabba',             state: 'QLD', lat: -27.4858, lon: 153.0381, capacity: 37000,  tz: 'Australia/Brisbane', utcOffset: 10,
+    aliases: ['The Gabba', 'Brisbane Cricket Ground'] },
+  { name: 'Carrara',           state: 'QLD', lat: -28.0063, lon: 153.3672, capacity: 22000,  tz: 'Australia/Brisbane', utcOffset: 10,
+    aliases: ['People First Stadium', 'Heritage Bank Stadium', 'Metricon Stadium', 'Carrara Stadium'] },
+  { name: "Cazaly's Stadium",  state: 'QLD', lat: -16.9355, lon: 145.7494, capacity: 13500,  tz: 'Australia/Brisbane', utcOffset: 10,
+    aliases: ['Cazalys Stadium'] },
+  { name: 'Riverway Stadium',  state: 'QLD', lat: -19.3166, lon: 146.7287, capacity: 10000,  tz: 'Australia/Brisbane', utcOffset: 10,
+    aliases: [] },
+
+  // ── SA ──
+  { name: 'Adelaide Oval',     state: 'SA',  lat: -34.9156, lon: 138.5961, capacity: 53583,  tz: 'Australia/Adelaide', utcOffset: 9.5,
+    aliases: [] },
+  { name: 'Norwood Oval',      state: 'SA',  lat: -34.9209, lon: 138.6330, capacity: 10000,  tz: 'Australia/Adelaide', utcOffset: 9.5,
+    aliases: ['The Parade'] },
+  { name: 'Barossa Park',      state: 'SA',  lat: -34.6020, lon: 138.8890, capacity: 10000,  tz: 'Australia/Adelaide', utcOffset: 9.5,
+    aliases: ['Barossa Oval'] },
+  { name: 'Summit Sports Park', state: 'SA', lat: -35.0730, lon: 138.8590, capacity: 10000,  tz: 'Australia/Adelaide', utcOffset: 9.5,
+    aliases: ['Adelaide Hills'] },
+
+  // ── WA ──
+  { name: 'Perth Stadium',     state: 'WA',  lat: -31.9512, lon: 115.8890, capacity: 60000,  tz: 'Australia/Perth', utcOffset: 8,
+    aliases: ['Optus Stadium'] },
+  { name: 'Subiaco',           state: 'WA',  lat: -31.9443, lon: 115.8300, capacity: 43500,  tz: 'Australia/Perth', utcOffset: 8,
+    aliases: ['Subiaco Oval', 'Domain Stadium', 'Patersons Stadium'] },
+
+  // ── TAS ──
+  { name: 'York Park',         state: 'TAS', lat: -41.4258, lon: 147.1390, capacity: 19000,  tz: 'Australia/Hobart', utcOffset: 10,
+    aliases: ['UTAS Stadium', 'University of Tasmania Stadium', 'Aurora Stadium'] },
+  { name: 'Bellerive Oval',    state: 'TAS', lat: -42.8774, lon: 147.3735, capacity: 19500,  tz: 'Australia/Hobart', utcOffset: 10,
+    aliases: ['Blundstone Arena', 'Ninja Stadium'] },
+
+  // ── NT ──
+  { name: 'Marrara Oval',      state: 'NT',  lat: -12.3990, lon: 130.8872, capacity: 12500,  tz: 'Australia/Darwin', utcOffset: 9.5,
+    aliases: ['TIO Stadium'] },
+  { name: 'Traeger Park',      state: 'NT',  lat: -23.7081, lon: 133.8720, capacity: 7200,   tz: 'Australia/Darwin', utcOffset: 9.5,
+    aliases: ['TIO Traeger Park'] },
+
+  // ── Overseas ──
+  { name: 'Jiangwan Stadium',  state: null,  lat: 31.3100,  lon: 121.5100, capacity: 11000,  tz: 'Asia/Shanghai', utcOffset: 8,
+    aliases: ['Adelaide Arena at Jiangwan Stadium'] },
+];
+
+const byName = new Map();
+const key = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+for (const venue of VENUES) {
+  for (const name of [venue.name, ...venue.aliases]) byName.set(key(name), venue);
+}
+
+// ─── LOOKUP ───────────────────────────────────────────────────────────────────
+/**
+ * Venue for a canonical name or any former name. null if unknown.
+ */
+function getVenue(name) {
+  if (!name) return null;
+  return byName.get(key(name)) || null;
+}
+
+/**
+ * Squiggle's name for a ground, or the name as given if we don't know it.
+ */
+function canonicalName(name) {
+  return getVenue(name)?.name ?? name;
+}
+
+/**
+ * True if two names refer to the same ground (e.g. "Marvel Stadium" and
+ * "Docklands").
+ */
+function sameVenue(a, b) {
+  const va = getVenue(a);
+  return va ? va === getVenue(b) : key(a || '') === key(b || '');
+}
+
+/**
+ * Venue names in a list of games that the registry doesn't know.
+ */
+function unknownVenues(games) {
+  const names = new Set(games.map(g => g.venue).filter(v => v && !getVenue(v)));
+  return [...names].sort();
+}
+
+// ─── DISTANCE ─────────────────────────────────────────────────────────────────
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance in km between two venues (objects or names).
+ * null if either is unknown.
+ */
+function distanceKm(a, b) {
+  const va = typeof a === 'string' ? getVenue(a) : a;
+  const vb = typeof b === 'string' ? getVenue(b) : b;
+  if (!va || !vb) return null;
+
+  const rad = x => x * Math.PI / 180;
+  const dLat = rad(vb.lat - va.lat);
+  const dLon = rad(vb.lon - va.lon);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(rad(va.lat)) * Math.cos(rad(vb.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+module.exports = {
+  VENUES,
+  getVenue,
+  canonicalName,
+  sameVenue,
+  unknownVenues,
+  distanceKm,
+};
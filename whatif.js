@@ -0,0 +1,132 @@
+/**
+ * AFL Edge — What-if overrides
+ *
+ * Rerun a prediction with some of the engine's inputs replaced — "what if
+ * Sydney weren't travelling?" — without touching the data. An override
+ * names an input and sets it for both teams, or for one side with a home /
+ * away prefix:
+ *
+ *   travel=none        neither side travels
+ *   awayTravel=full    the visitors make a full interstate trip
+ *   homeForm=WWWWW     the home side's last five results
+ *
+ * /api/predict takes them as override[name]=value.
+ */
+
+const { round } = require('./stats');
+
+// Engine inputs that can be overridden: how to read a value from the query
+// string (null if it isn't valid) and how to set it on a team's stats
+const INPUTS = {
+  // Results, most recent first; all counted as this season's
+  form: {
+    describe: 'W/L/D results, most recent first (e.g. WWLWW)',
+    parse: v => /^[WLD]{1,10}$/i.test(v) ? v.toUpperCase().split('') : null,
+    apply: (s, form) => { s.form = form; s.formWeights = form.map(() => 1); },
+  },
+  // Travel penalty 0-1 (travel.js): none, full, or anything between
+  travel: {
+    describe: 'none, full or a penalty from 0 to 1',
+    parse: v => v === 'none' ? 0 : v === 'full' ? 1 : inRange(v, 0, 1),
+    apply: (s, penalty) => { s.travelPenalty = penalty; s.travellingInterstate = penalty > 0; },
+  },
+  // Elo rating
+  rating: {
+    describe: 'an Elo rating from 1000 to 2000',
+    parse: v => inRange(v, 1000, 2000),
+    apply: (s, rating) => { s.rating = Math.round(rating); },
+  },
+  // Average scoring margin — the clearance proxy is derived from it, so it
+  // moves too (squiggle.buildTeamStats)
+  margin: {
+    describe: 'an average scoring margin from -100 to 100',
+    parse: v => inRange(v, -100, 100),
+    apply: (s, margin) => { s.scoringMargin = margin; s.avgClearances = round(margin / 3 + 34, 1); },
+  },
+  // Head-to-head and venue records as wins/played
+  h2h: {
+    describe: 'wins/played (e.g. 3/5)',
+    parse: record,
+    apply: (s, r) => { s.h2hWins = r.wins; s.h2hPlayed = r.played; },
+  },
+  venue: {
+    describe: 'wins/played (e.g. 3/5)',
+    parse: record,
+    apply: (s, r) => { s.venueWins = r.wins; s.venuePlayed = r.played; },
+  },
+};
+
+// ─── PARSING ──────────────────────────────────────────────────────────────────
+/**
+ * Read overrides from a request's query: override[name]=value keys as
+ * Vercel passes them, or an `override` object from a qs-style parser.
+ *
+ * @returns {{ overrides: Array<{ side: 'home'|'away'|'both', input, value }>,
+ *   errors: string[] }} errors name each override that couldn't be read
+ */
+function parseOverrides(query = {}) {
+  const raw = [];
+  if (query.override && typeof query.override === 'object') {
+    raw.push(...Object.entries(query.override));
+  }
+  for (const [key, value] of Object.entries(query)) {
+    const m = key.match(/^override\[(\w+)\]$/);
+    if (m) raw.push([m[1], value]);
+  }
+
+  const overrides = [];
+  const errors = [];
+  for (const [name, value] of raw) {
+    const m = name.match(/^(home|away)?(\w+)$/) || [];
+    const side  = m[1] || 'both';
+    const input = m[1] ? m[2][0].toLowerCase() + m[2].slice(1) : m[2];
+    const spec  = Object.hasOwn(INPUTS, input) ? INPUTS[input] : null;
+    if (!spec) {
+      errors.push(`Unknown override: ${name} (one of ${Object.keys(INPUTS).join(', ')}, optionally home/away prefixed)`);
+      continue;
+    }
+    const parsed = spec.parse(String(value));
+    if (parsed === null) {
+      errors.push(`override[${name}] must be ${spec.describe}`);
+      continue;
+    }
+    overrides.push({ side, input, value: parsed });
+  }
+  return { overrides, errors };
+}
+
+// ─── APPLYING ─────────────────────────────────────────────────────────────────
+/**
+ * Copies of both teams' engine inputs with the overrides applied. Later
+ * overrides win, so awayTravel=full after travel=none leaves only the home
+ * side at home.
+ */
+function applyOverrides(homeStats, awayStats, overrides) {
+  const home = { ...homeStats };
+  const away = { ...awayStats };
+  for (const { side, input, value } of overrides) {
+    if (side !== 'away') INPUTS[input].apply(home, value);
+    if (side !== 'home') INPUTS[input].apply(away, value);
+  }
+  return { homeStats: home, awayStats: away };
+}
+
+// ─── HELPERS ──────────────────────────────────────────────────────────────────
+function inRange(v, lo, hi) {
+  const x = Number(v);
+  return v.trim() !== '' && Number.isFinite(x) && x >= lo && x <= hi ? x : null;
+}
+
+function record(v) {
+  const m = v.match(/^(\d+)\/(\d+)$/);
+  if (!m) return null;
+  const wins = parseInt(m[1]);
+  const played = parseInt(m[2]);
+  return wins <= played ? { wins, played } : null;
+}
+
+module.exports = {
+  INPUTS,
+  parseOverrides,
+  applyOverrides,
+};